@@ -7,19 +7,34 @@
  * Session Cookie: PID_SESSION (HTTP-Only)
  * 
  * SECURITY NOTES (PoC only):
- * - Passwords in vault are stored as PLAIN TEXT
+ * - Vault credentials are encrypted at rest by the Vault Service (AES-256-GCM)
  * - pluginToken is a random string (not JWT)
  * - This component can be replaced with Keycloak in production
  */
 
+const path = require('path');
 const express = require('express');
 const session = require('express-session');
+const QRCode = require('qrcode');
 const db = require('./db');
 const vaultClient = require('./vaultClient');
+const healthMonitor = require('./healthMonitor');
+const jwt = require('./jwt');
+const tokenSweeper = require('./tokenSweeper');
+const totp = require('./totp');
+const webauthn = require('./webauthn');
+const loginThrottle = require('./loginThrottle');
+const passwordPolicy = require('./passwordPolicy');
+const metrics = require('./metrics');
+const logger = require('./logger');
 
 const app = express();
 const PORT = 4000;
 
+const authLog = logger.child({ component: 'auth' });
+const adminLog = logger.child({ component: 'admin' });
+const vaultLog = logger.child({ component: 'vault' });
+
 // ============================================================================
 // MIDDLEWARE
 // ============================================================================
@@ -27,6 +42,13 @@ const PORT = 4000;
 app.use(express.urlencoded({ extended: true }));
 app.use(express.json());
 
+// Request id (sent back in X-Request-Id and forwarded to the Vault) and
+// access logging. After the body parsers: they would drop the logging context.
+app.use(logger.requestLogging);
+
+// Request counts and latency per route for /metrics
+app.use(metrics.requestMetrics);
+
 // Session configuration
 app.use(session({
     name: 'PID_SESSION',
@@ -44,15 +66,110 @@ app.use(session({
 // AUTH MIDDLEWARE
 // ============================================================================
 
+// Second step a correct password leads to: 'passkey', 'totp', or null (signed in)
+function secondFactorFor(user) {
+    if (user.login_mode !== 'password') return 'passkey';
+    if (db.getMfa(user.id)) return 'totp';
+    // Policy satisfied by a passkey instead of TOTP
+    if (db.isMfaRequired(user.role) && db.getWebAuthnCredentials(user.id).length) return 'passkey';
+    return null;
+}
+
+// Second factor still owed by a signed-in session: 'totp' or 'passkey' if the user
+// has one but this session never passed it (set up from another session), 'enroll'
+// if their role requires MFA and they have not set anything up yet
+function pendingMfaStep(req) {
+    if (req.session.mfaVerified) return null;
+    const user = db.findUserById(req.session.userId);
+    const factor = user ? secondFactorFor(user) : null;
+    if (factor) return factor;
+    if (db.isMfaRequired(req.session.role)) return 'enroll';
+    return null;
+}
+
+// What a refresh-token holder owes before new tokens are issued. The sign-in passed
+// every step when it began; this catches a policy change or MFA reset since then
+function refreshBlockedBy(user) {
+    if (db.isMfaRequired(user.role) && !secondFactorFor(user)) return 'enroll';
+    if (user.must_change_password) return 'password';
+    return null;
+}
+
+function denyUntilMfa(req, res, step) {
+    if (req.path.startsWith('/api/')) {
+        recordAccessEvent(req, 'mfa_required', { detail: step });
+        return res.status(step === 'enroll' ? 403 : 401).json({
+            error: step === 'enroll' ? 'MFA enrollment required' : 'MFA verification required'
+        });
+    }
+    if (step === 'enroll') {
+        return res.redirect('/dashboard/mfa');
+    }
+    beginMfaChallenge(req, req.session.userId, step);
+    res.redirect(step === 'totp' ? '/login/mfa' : '/login/passkey');
+}
+
+// Admin-created users pick their own password before anything else (after MFA)
+function mustChangePassword(req) {
+    const user = db.findUserById(req.session.userId);
+    return Boolean(user && user.must_change_password);
+}
+
+function denyUntilPasswordChanged(req, res) {
+    if (req.path.startsWith('/api/')) {
+        recordAccessEvent(req, 'password_change_required');
+        return res.status(403).json({ error: 'Password change required' });
+    }
+    res.redirect('/account/password');
+}
+
 function requireAuth(req, res, next) {
-    if (req.session && req.session.userId) {
-        return next();
+    if (!req.session || !req.session.userId) {
+        return res.redirect('/login');
     }
-    res.redirect('/login');
+    const step = pendingMfaStep(req);
+    if (step) {
+        return denyUntilMfa(req, res, step);
+    }
+    if (mustChangePassword(req)) {
+        return denyUntilPasswordChanged(req, res);
+    }
+    next();
+}
+
+// Like requireAuth, but lets users who must change their password reach /account/password
+function requireAuthOrChangingPassword(req, res, next) {
+    if (!req.session || !req.session.userId) {
+        return res.redirect('/login');
+    }
+    const step = pendingMfaStep(req);
+    if (step) {
+        return denyUntilMfa(req, res, step);
+    }
+    next();
+}
+
+// Like requireAuth, but lets users whose role requires MFA reach the enrollment pages
+function requireAuthOrEnrolling(req, res, next) {
+    if (!req.session || !req.session.userId) {
+        return res.redirect('/login');
+    }
+    const step = pendingMfaStep(req);
+    if (step && step !== 'enroll') {
+        return denyUntilMfa(req, res, step);
+    }
+    next();
 }
 
 function requireAdmin(req, res, next) {
     if (req.session && req.session.userId && req.session.role === 'admin') {
+        const step = pendingMfaStep(req);
+        if (step) {
+            return denyUntilMfa(req, res, step);
+        }
+        if (mustChangePassword(req)) {
+            return denyUntilPasswordChanged(req, res);
+        }
         return next();
     }
     res.status(403).send(htmlPage('Access Denied', '<h1>403 - Admin Access Required</h1><p><a href="/login">Login</a></p>'));
@@ -66,9 +183,11 @@ function requireBearerToken(req, res, next) {
     }
     
     const token = authHeader.substring(7);
-    const introspection = db.introspectToken(token);
+    const introspection = jwt.ENABLED && jwt.isJwt(token) ? verifyJwtBearer(token) : db.introspectToken(token);
     
     if (!introspection.active) {
+        metrics.countIntrospectionFailure('bearer', introspection.error);
+        recordAccessEvent(req, 'token_rejected', { detail: introspection.error || 'Invalid token' });
         return res.status(401).json({ error: introspection.error || 'Invalid token' });
     }
     
@@ -76,6 +195,40 @@ function requireBearerToken(req, res, next) {
     next();
 }
 
+// A valid signature outlives revocation, so a JWT must also still have its
+// plugin_tokens row (logout, password changes, MFA resets and admin revokes
+// delete it). Claims come from the token; the lookup is one indexed read.
+function verifyJwtBearer(token) {
+    const claims = jwt.verify(token);
+    if (!claims.active) {
+        return claims;
+    }
+    const stored = db.introspectToken(token);
+    if (!stored.active) {
+        return { active: false, error: stored.error === 'Token not found' ? 'Token revoked' : stored.error };
+    }
+    return claims;
+}
+
+// For token exchanges: the sign-in (refresh family) the bearer token belongs
+// to must not have been revoked since, whatever the token's own state
+function requireLiveSignIn(req, res, next) {
+    const { familyId } = req.tokenData;
+    if (familyId && !db.isRefreshFamilyActive(familyId)) {
+        metrics.countIntrospectionFailure('bearer', 'Sign-in revoked');
+        recordAccessEvent(req, 'token_rejected', { detail: 'Sign-in revoked' });
+        return res.status(401).json({ error: 'Sign-in revoked' });
+    }
+    next();
+}
+
+// Record a denied or failed request in PID's audit_events table
+function recordAccessEvent(req, event, { outcome = 'denied', appId = null, detail = null } = {}) {
+    const userId = req.tokenData ? req.tokenData.userId : (req.session && req.session.userId) || null;
+    const username = req.tokenData ? req.tokenData.username : (req.session && req.session.username) || null;
+    db.recordAuditEvent({ event, outcome, userId, username, appId, detail, ip: req.ip, requestId: req.requestId });
+}
+
 // ============================================================================
 // HTML TEMPLATES
 // ============================================================================
@@ -117,15 +270,118 @@ function htmlPage(title, content) {
 </html>`;
 }
 
+// For values the client controls (e.g. User-Agent)
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
 function navBar(role) {
-    const adminLinks = role === 'admin' ? '<a href="/admin">Admin Panel</a>' : '';
+    const adminLinks = role === 'admin' ? '<a href="/admin">Admin Panel</a><a href="/admin/audit">Audit Log</a><a href="/admin/sessions">Sessions</a><a href="/admin/passkeys">Passkeys</a><a href="/admin/status">Status</a>' : '';
     return `<nav>
         <a href="/dashboard">Dashboard</a>
+        <a href="/account/password">Password</a>
         ${adminLinks}
         <a href="/logout">Logout</a>
     </nav>`;
 }
 
+// ============================================================================
+// LOGIN SESSION HELPERS
+// ============================================================================
+
+const MFA_CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const MFA_MAX_ATTEMPTS = 5;
+
+function startSession(req, user, { mfaVerified }) {
+    loginThrottle.recordSuccess(user.username);
+    delete req.session.mfaChallenge;
+    req.session.userId = user.id;
+    req.session.username = user.username;
+    req.session.role = user.role;
+    req.session.mfaVerified = mfaVerified;
+}
+
+// Refuse a sign-in attempt while its username or IP is backing off or locked
+function throttledLoginPage(res, { retryAfter, locked }) {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).send(htmlPage('Login Error', `
+        <h1>Login Failed</h1>
+        <div class="error message">${locked
+            ? `Too many failed sign-ins. Sign-in is locked for ${formatDuration(retryAfter)}, or until an admin unlocks it.`
+            : `Too many failed sign-ins. Wait ${formatDuration(retryAfter)} and try again.`}</div>
+        <p><a href="/login">Back to login</a></p>
+    `));
+}
+
+// Usernames typed at the login form are recorded as given, up to this length
+const AUDIT_USERNAME_MAX = 64;
+
+// Count a wrong password or code against the username and IP, and audit it
+function recordLoginFailure(req, { event, userId, username: typed, detail }) {
+    const { failures, locked } = loginThrottle.recordFailure(typed, req.ip);
+    const username = String(typed).slice(0, AUDIT_USERNAME_MAX);
+    db.recordAuditEvent({
+        event,
+        outcome: 'denied',
+        userId,
+        username,
+        detail: `${detail} (failure ${failures})`,
+        ip: req.ip,
+        requestId: req.requestId
+    });
+    for (const kind of locked) {
+        authLog.warn('Sign-in locked after repeated failures', { kind, username, ip: req.ip });
+        db.recordAuditEvent({
+            event: 'login_locked',
+            outcome: 'denied',
+            userId,
+            username,
+            detail: kind === 'ip' ? `IP ${req.ip}` : 'Username',
+            ip: req.ip,
+            requestId: req.requestId
+        });
+    }
+}
+
+// Password accepted, second factor outstanding: the session is not signed in
+// until /login/mfa (method 'totp') or /login/passkey (method 'passkey')
+function beginMfaChallenge(req, userId, method) {
+    delete req.session.userId;
+    delete req.session.username;
+    delete req.session.role;
+    delete req.session.mfaVerified;
+    req.session.mfaChallenge = { userId, method, expiresAt: Date.now() + MFA_CHALLENGE_TTL_MS, attempts: 0 };
+}
+
+function activeMfaChallenge(req, method) {
+    const challenge = req.session && req.session.mfaChallenge;
+    if (!challenge || challenge.method !== method || Date.now() > challenge.expiresAt) return null;
+    return challenge;
+}
+
+/**
+ * Check a TOTP code, or a recovery code (used up on success)
+ * @returns {'totp'|'recovery'|null} How the user verified, or null
+ */
+function verifySecondFactor(userId, code) {
+    const mfa = db.getMfa(userId);
+    if (!mfa) return null;
+    
+    const step = totp.verify(mfa.secret, code);
+    if (step !== null) {
+        return db.recordTotpStep(userId, step) ? 'totp' : null;
+    }
+    const recoveryCode = totp.normalizeRecoveryCode(code);
+    if (recoveryCode && db.useRecoveryCode(userId, recoveryCode)) {
+        return 'recovery';
+    }
+    return null;
+}
+
 // ============================================================================
 // PUBLIC ROUTES
 // ============================================================================
@@ -141,16 +397,26 @@ app.get('/login', (req, res) => {
         <p>This is the central identity provider for SSO PoC.</p>
         <form method="POST" action="/login">
             <label>Username:</label>
-            <input type="text" name="username" required autofocus>
+            <input type="text" name="username" autocomplete="username webauthn" required autofocus>
             <label>Password:</label>
             <input type="password" name="password" required>
             <button type="submit">Login</button>
+            <button type="button" id="passkey-login">Sign in with a passkey</button>
         </form>
+        <div id="webauthn-error" class="error message" style="display:none;"></div>
         <div class="info message">
             <strong>Demo Credentials:</strong><br>
             Admin: <code>admin</code> / <code>admin123</code><br>
             User: <code>testuser</code> / <code>TestPass123!</code>
         </div>
+        <script src="/static/webauthn-client.js"></script>
+        <script>
+            document.getElementById('passkey-login').addEventListener('click', function () {
+                pidWebAuthn.authenticate(document.querySelector('input[name=username]').value)
+                    .then(function (result) { location.href = result.redirect; })
+                    .catch(pidWebAuthn.showError);
+            });
+        </script>
     `);
     res.send(html);
 });
@@ -167,8 +433,19 @@ app.post('/login', (req, res) => {
         `));
     }
     
+    const throttle = loginThrottle.check(username, req.ip);
+    if (throttle.retryAfter > 0) {
+        return throttledLoginPage(res, throttle);
+    }
+    
     const user = db.findUserByUsername(username);
     if (!user || !db.verifyPassword(user, password)) {
+        recordLoginFailure(req, {
+            event: 'login_failed',
+            userId: user ? user.id : null,
+            username,
+            detail: user ? 'Wrong password' : 'Unknown username'
+        });
         return res.send(htmlPage('Login Error', `
             <h1>Login Failed</h1>
             <div class="error message">Invalid username or password.</div>
@@ -176,12 +453,94 @@ app.post('/login', (req, res) => {
         `));
     }
     
+    if (user.login_mode === 'passkey') {
+        return res.send(htmlPage('Login Error', `
+            <h1>Login Failed</h1>
+            <div class="error message">This account signs in with a passkey only.</div>
+            <p><a href="/login">Back to login</a></p>
+        `));
+    }
+    
+    const factor = secondFactorFor(user);
+    if (factor) {
+        beginMfaChallenge(req, user.id, factor);
+        authLog.info('Password accepted, awaiting second factor', { username: user.username, factor });
+        return res.redirect(factor === 'totp' ? '/login/mfa' : '/login/passkey');
+    }
+    
     // Create session
-    req.session.userId = user.id;
-    req.session.username = user.username;
-    req.session.role = user.role;
+    startSession(req, user, { mfaVerified: false });
+    
+    authLog.info('User logged in', { username: user.username, role: user.role });
+    res.redirect('/dashboard');
+});
+
+function mfaLoginPage(error) {
+    return htmlPage('Two-Factor Authentication', `
+        <h1>Two-Factor Authentication</h1>
+        ${error ? `<div class="error message">${error}</div>` : ''}
+        <form method="POST" action="/login/mfa">
+            <label>Code from your authenticator app, or a recovery code:</label>
+            <input type="text" name="code" inputmode="numeric" autocomplete="one-time-code" required autofocus>
+            <button type="submit">Verify</button>
+        </form>
+        <p><a href="/logout">Cancel</a></p>
+    `);
+}
+
+// GET /login/mfa - Second login step
+app.get('/login/mfa', (req, res) => {
+    if (!activeMfaChallenge(req, 'totp')) {
+        return res.redirect('/login');
+    }
+    res.send(mfaLoginPage());
+});
+
+// POST /login/mfa
+app.post('/login/mfa', (req, res) => {
+    const challenge = activeMfaChallenge(req, 'totp');
+    if (!challenge) {
+        return res.redirect('/login');
+    }
+    
+    const user = db.findUserById(challenge.userId);
+    if (!user) {
+        return res.redirect('/login');
+    }
+    
+    const throttle = loginThrottle.check(user.username, req.ip);
+    if (throttle.retryAfter > 0) {
+        return throttledLoginPage(res, throttle);
+    }
+    
+    const method = verifySecondFactor(user.id, req.body.code);
+    if (!method) {
+        challenge.attempts++;
+        recordLoginFailure(req, {
+            event: 'mfa_failed',
+            userId: user.id,
+            username: user.username,
+            detail: `Attempt ${challenge.attempts} of ${MFA_MAX_ATTEMPTS}`
+        });
+        if (challenge.attempts >= MFA_MAX_ATTEMPTS) {
+            delete req.session.mfaChallenge;
+            authLog.warn('Too many MFA attempts', { userId: challenge.userId });
+            return res.send(htmlPage('Login Error', `
+                <h1>Login Failed</h1>
+                <div class="error message">Too many invalid codes. Sign in again.</div>
+                <p><a href="/login">Back to login</a></p>
+            `));
+        }
+        return res.send(mfaLoginPage('Invalid or already used code.'));
+    }
+    
+    startSession(req, user, { mfaVerified: true });
     
-    console.log(`[AUTH] User logged in: ${user.username} (${user.role})`);
+    if (method === 'recovery') {
+        authLog.warn('User logged in with a recovery code', { username: user.username, remaining: db.countRecoveryCodes(user.id) });
+    } else {
+        authLog.info('User logged in', { username: user.username, role: user.role, mfa: true });
+    }
     res.redirect('/dashboard');
 });
 
@@ -190,12 +549,158 @@ app.get('/logout', (req, res) => {
     if (req.session.userId) {
         // Revoke all plugin tokens for this user
         db.revokeUserTokens(req.session.userId);
-        console.log(`[AUTH] User logged out: ${req.session.username}`);
+        authLog.info('User logged out', { username: req.session.username });
     }
     req.session.destroy();
     res.redirect('/login');
 });
 
+// ============================================================================
+// PASSKEYS (WEBAUTHN)
+// ============================================================================
+
+// Browser side of the ceremonies below (window.pidWebAuthn)
+app.get('/static/webauthn-client.js', (req, res) => {
+    res.type('application/javascript').sendFile(path.join(__dirname, 'public', 'webauthn-client.js'));
+});
+
+// Keep the challenge sent to the browser; each one is checked once
+function issueWebAuthnChallenge(req, purpose, options) {
+    req.session.webauthnChallenge = {
+        challenge: options.challenge,
+        purpose,
+        expiresAt: Date.now() + webauthn.CHALLENGE_TTL_MS
+    };
+    return options;
+}
+
+function takeWebAuthnChallenge(req, purpose) {
+    const stored = req.session.webauthnChallenge;
+    delete req.session.webauthnChallenge;
+    if (!stored || stored.purpose !== purpose || Date.now() > stored.expiresAt) return null;
+    return stored.challenge;
+}
+
+// GET /login/passkey - Second login step for 'passkey+password' users
+app.get('/login/passkey', (req, res) => {
+    if (!activeMfaChallenge(req, 'passkey')) {
+        return res.redirect('/login');
+    }
+    res.send(htmlPage('Confirm With Your Passkey', `
+        <h1>Confirm With Your Passkey</h1>
+        <p>Your password was accepted. Use one of your registered passkeys to finish signing in.</p>
+        <button type="button" id="passkey-confirm">Use passkey</button>
+        <div id="webauthn-error" class="error message" style="display:none;"></div>
+        <p><a href="/logout">Cancel</a></p>
+        <script src="/static/webauthn-client.js"></script>
+        <script>
+            document.getElementById('passkey-confirm').addEventListener('click', function () {
+                pidWebAuthn.authenticate()
+                    .then(function (result) { location.href = result.redirect; })
+                    .catch(pidWebAuthn.showError);
+            });
+        </script>
+    `));
+});
+
+// POST /webauthn/register/options - Start adding a passkey to the signed-in user
+app.post('/webauthn/register/options', requireAuthOrEnrolling, async (req, res) => {
+    const user = db.findUserById(req.session.userId);
+    const options = await webauthn.registrationOptions(user, db.getWebAuthnCredentials(user.id));
+    res.json(issueWebAuthnChallenge(req, 'register', options));
+});
+
+// POST /webauthn/register/verify - { name, response }
+app.post('/webauthn/register/verify', requireAuthOrEnrolling, async (req, res) => {
+    const { response } = req.body;
+    const name = String(req.body.name || '').trim().slice(0, 64) || 'Passkey';
+    const expectedChallenge = takeWebAuthnChallenge(req, 'register');
+    if (!response || !expectedChallenge) {
+        return res.status(400).json({ error: 'No registration in progress, start again' });
+    }
+    
+    const result = await webauthn.verifyRegistration(response, expectedChallenge);
+    if (!result.verified) {
+        recordAccessEvent(req, 'passkey_registration_failed', { outcome: 'failure', detail: result.error });
+        return res.status(400).json({ error: result.error });
+    }
+    if (db.findWebAuthnCredential(result.credential.credentialId)) {
+        return res.status(409).json({ error: 'This passkey is already registered' });
+    }
+    
+    db.addWebAuthnCredential(req.session.userId, result.credential, name);
+    // Proof of a second factor, as when TOTP enrollment is confirmed
+    req.session.mfaVerified = true;
+    
+    authLog.info('Registered passkey', { username: req.session.username, name });
+    res.json({ success: true });
+});
+
+// POST /webauthn/login/options - { username? }
+// Second step when a password was accepted, otherwise sign-in with the passkey
+// alone (any discoverable passkey, or the given user's)
+app.post('/webauthn/login/options', async (req, res) => {
+    const pending = activeMfaChallenge(req, 'passkey');
+    if (pending) {
+        const options = await webauthn.authenticationOptions(
+            db.getWebAuthnCredentials(pending.userId), { requireUserVerification: false });
+        return res.json(issueWebAuthnChallenge(req, 'second-factor', options));
+    }
+    
+    const user = req.body.username ? db.findUserByUsername(req.body.username) : null;
+    const allowed = user ? db.getWebAuthnCredentials(user.id) : [];
+    const options = await webauthn.authenticationOptions(
+        allowed.length ? allowed : null, { requireUserVerification: true });
+    res.json(issueWebAuthnChallenge(req, 'login', options));
+});
+
+// POST /webauthn/login/verify - { response }
+app.post('/webauthn/login/verify', async (req, res) => {
+    const { response } = req.body;
+    const pending = activeMfaChallenge(req, 'passkey');
+    const expectedChallenge = takeWebAuthnChallenge(req, pending ? 'second-factor' : 'login');
+    if (!response || !expectedChallenge) {
+        return res.status(400).json({ error: 'No sign-in in progress, start again' });
+    }
+    
+    const stored = db.findWebAuthnCredential(response.id);
+    const user = stored ? db.findUserById(stored.user_id) : null;
+    let result;
+    if (!user || (pending && user.id !== pending.userId)) {
+        result = { verified: false, error: 'Unknown passkey' };
+    } else if (!pending && user.login_mode === 'passkey+password') {
+        result = { verified: false, error: 'This account also needs its password. Sign in with your password first.' };
+    } else {
+        result = await webauthn.verifyAuthentication(response, expectedChallenge, stored,
+            { requireUserVerification: !pending });
+    }
+    
+    if (!result.verified) {
+        const userId = pending ? pending.userId : (user ? user.id : null);
+        db.recordAuditEvent({
+            event: 'passkey_failed',
+            outcome: 'denied',
+            userId,
+            username: user ? user.username : null,
+            detail: result.error,
+            ip: req.ip,
+            requestId: req.requestId
+        });
+        if (pending && ++pending.attempts >= MFA_MAX_ATTEMPTS) {
+            delete req.session.mfaChallenge;
+            authLog.warn('Too many passkey attempts', { userId });
+            return res.status(401).json({ error: 'Too many failed attempts. Sign in again.', redirect: '/login' });
+        }
+        return res.status(401).json({ error: result.error });
+    }
+    
+    db.recordWebAuthnUse(stored.id, result.counter);
+    startSession(req, user, { mfaVerified: true });
+    
+    authLog.info('User logged in', { username: user.username, role: user.role, passkey: stored.name, password: Boolean(pending) });
+    res.json({ success: true, redirect: '/dashboard' });
+});
+
 // ============================================================================
 // DASHBOARD (USER)
 // ============================================================================
@@ -203,12 +708,17 @@ app.get('/logout', (req, res) => {
 app.get('/dashboard', requireAuth, (req, res) => {
     const user = db.findUserById(req.session.userId);
     const userApps = db.getUserApps(req.session.userId);
+    const mfa = db.getMfa(req.session.userId);
+    const passkeyCount = db.getWebAuthnCredentials(req.session.userId).length;
     
     const appRows = userApps.map(app => `
         <tr>
             <td>${app.appId}</td>
             <td>${app.origin}</td>
-            <td><a href="${app.origin}/login" target="_blank">Open</a></td>
+            <td>
+                <a href="${app.origin}/login" target="_blank">Open</a> |
+                <a href="/dashboard/apps/${encodeURIComponent(app.appId)}/history">History</a>
+            </td>
         </tr>
     `).join('') || '<tr><td colspan="3">No apps assigned</td></tr>';
     
@@ -219,166 +729,1235 @@ app.get('/dashboard', requireAuth, (req, res) => {
         
         <h2>Your Assigned Apps</h2>
         <table>
-            <tr><th>App ID</th><th>Origin</th><th>Action</th></tr>
-            ${appRows}
+            <tr><th>App ID</th><th>Origin</th><th>Action</th></tr>
+            ${appRows}
+        </table>
+        
+        <h2>Two-Factor Authentication</h2>
+        <p>${mfa
+            ? `Enabled. ${db.countRecoveryCodes(user.id)} unused recovery codes. <a href="/dashboard/mfa">Manage</a>`
+            : 'Not enabled. Anyone with your password can use every credential in your vault. <a href="/dashboard/mfa">Set up</a>'}</p>
+        
+        <h2>Passkeys</h2>
+        <p>${passkeyCount} registered. Sign-in mode: ${LOGIN_MODE_LABELS[user.login_mode]}
+            <a href="/dashboard/passkeys">Manage</a></p>
+        
+        <h2>SSO Extension Status</h2>
+        <p>If you have the browser extension installed, it will automatically use your Primary Identity session to login to assigned apps.</p>
+        <div class="info message">
+            <strong>How it works:</strong>
+            <ol>
+                <li>Extension calls <code>POST /api/plugin/bootstrap</code> with your session cookie</li>
+                <li>Server returns a <code>pluginToken</code> and list of allowed apps</li>
+                <li>Extension uses token to fetch credentials from vault</li>
+                <li>Extension auto-fills and submits login forms</li>
+            </ol>
+        </div>
+    `);
+    res.send(html);
+});
+
+// GET /dashboard/apps/:appId/history - Saved credential versions for one app
+app.get('/dashboard/apps/:appId/history', requireAuth, async (req, res) => {
+    const { appId } = req.params;
+    const userId = req.session.userId;
+    const message = req.query.message || '';
+    const error = req.query.error || '';
+    
+    if (!db.isUserAllowedApp(userId, appId)) {
+        recordAccessEvent(req, 'app_not_assigned', { appId, detail: req.path });
+        return res.status(403).send(htmlPage('Access Denied', '<h1>403 - App Not Assigned</h1><p><a href="/dashboard">Back</a></p>'));
+    }
+    
+    const vaultId = db.getVaultId(userId);
+    const result = vaultId
+        ? await vaultClient.listVersions(vaultId, appId)
+        : { success: false, error: 'User vault_id not found' };
+    
+    const versionRows = result.success
+        ? result.versions.map(v => `
+            <tr>
+                <td>${escapeHtml(v.version)}</td>
+                <td>${v.username ? escapeHtml(v.username) : '-'}</td>
+                <td>${escapeHtml(v.replacedBy)}</td>
+                <td>${new Date(v.createdAt).toLocaleString()}</td>
+                <td>
+                    <form method="POST" action="/dashboard/apps/${encodeURIComponent(appId)}/restore" style="display:inline;background:none;padding:0;margin:0;">
+                        <input type="hidden" name="version" value="${escapeHtml(v.version)}">
+                        <button type="submit" onclick="return confirm('Restore this version? The current credentials will be kept in history.')">Restore</button>
+                    </form>
+                </td>
+            </tr>
+        `).join('') || '<tr><td colspan="5">No previous versions</td></tr>'
+        : `<tr><td colspan="5">${escapeHtml(result.error)}</td></tr>`;
+    
+    const html = htmlPage('Credential History', `
+        ${navBar(req.session.role)}
+        <h1>Credential History: ${escapeHtml(appId)}</h1>
+        
+        ${message ? `<div class="success message">${escapeHtml(message)}</div>` : ''}
+        ${error ? `<div class="error message">${escapeHtml(error)}</div>` : ''}
+        
+        <p>If an app rejects a password the extension just saved, restore the last version that worked.</p>
+        <table>
+            <tr><th>Version</th><th>Username</th><th>Replaced By</th><th>Saved</th><th>Action</th></tr>
+            ${versionRows}
+        </table>
+        <p><a href="/dashboard">Back to dashboard</a></p>
+    `);
+    res.send(html);
+});
+
+// POST /dashboard/apps/:appId/restore - Roll credentials back to a version
+app.post('/dashboard/apps/:appId/restore', requireAuth, async (req, res) => {
+    const { appId } = req.params;
+    const userId = req.session.userId;
+    const version = parseInt(req.body.version, 10);
+    const historyUrl = `/dashboard/apps/${encodeURIComponent(appId)}/history`;
+    
+    if (!db.isUserAllowedApp(userId, appId)) {
+        recordAccessEvent(req, 'app_not_assigned', { appId, detail: req.path });
+        return res.status(403).send(htmlPage('Access Denied', '<h1>403 - App Not Assigned</h1><p><a href="/dashboard">Back</a></p>'));
+    }
+    
+    if (!Number.isInteger(version) || version < 1) {
+        return res.redirect(`${historyUrl}?error=${encodeURIComponent('Invalid version')}`);
+    }
+    
+    const vaultId = db.getVaultId(userId);
+    if (!vaultId) {
+        return res.redirect(`${historyUrl}?error=${encodeURIComponent('User vault_id not found')}`);
+    }
+    
+    const result = await vaultClient.restoreVersion(vaultId, appId, version);
+    if (!result.success) {
+        return res.redirect(`${historyUrl}?error=${encodeURIComponent(result.error)}`);
+    }
+    
+    vaultLog.info('Restored version', { username: req.session.username, appId, version });
+    res.redirect(`${historyUrl}?message=${encodeURIComponent(`Restored version ${version}`)}`);
+});
+
+// ============================================================================
+// DASHBOARD: TWO-FACTOR AUTHENTICATION
+// ============================================================================
+
+function recoveryCodesPage(req, title, codes) {
+    return htmlPage('Recovery Codes', `
+        ${navBar(req.session.role)}
+        <h1>${title}</h1>
+        <div class="info message">
+            Store these recovery codes somewhere safe. Each one signs you in once if you lose your
+            authenticator. They will not be shown again.
+        </div>
+        <pre>${codes.join('\n')}</pre>
+        <p><a href="/dashboard">Continue to dashboard</a></p>
+    `);
+}
+
+// GET /dashboard/mfa - Enroll (QR code) or manage TOTP
+app.get('/dashboard/mfa', requireAuthOrEnrolling, async (req, res) => {
+    const userId = req.session.userId;
+    const mfa = db.getMfa(userId);
+    const required = db.isMfaRequired(req.session.role);
+    const message = req.query.message || '';
+    const error = req.query.error || '';
+    const notices = `
+        ${message ? `<div class="success message">${escapeHtml(message)}</div>` : ''}
+        ${error ? `<div class="error message">${escapeHtml(error)}</div>` : ''}
+    `;
+    
+    if (mfa) {
+        return res.send(htmlPage('Two-Factor Authentication', `
+            ${navBar(req.session.role)}
+            <h1>Two-Factor Authentication</h1>
+            ${notices}
+            <p>Enabled since ${new Date(mfa.enabled_at * 1000).toLocaleString()}.
+            ${db.countRecoveryCodes(userId)} unused recovery codes.</p>
+            
+            <h2>New Recovery Codes</h2>
+            <form method="POST" action="/dashboard/mfa/recovery-codes">
+                <label>Current code:</label>
+                <input type="text" name="code" inputmode="numeric" autocomplete="one-time-code" required>
+                <button type="submit">Generate new codes</button>
+            </form>
+            
+            <h2>Turn Off</h2>
+            ${required ? `<p>Your role requires two-factor authentication. If you lose your authenticator and
+                your recovery codes, ask an admin to reset it.</p>` : `
+            <form method="POST" action="/dashboard/mfa/disable">
+                <label>Current code:</label>
+                <input type="text" name="code" inputmode="numeric" autocomplete="one-time-code" required>
+                <button type="submit" class="danger" onclick="return confirm('Turn off two-factor authentication?')">Turn off</button>
+            </form>`}
+            <p><a href="/dashboard">Back to dashboard</a></p>
+        `));
+    }
+    
+    // Kept in the session until a code confirms the user's app has it
+    if (!req.session.mfaSetupSecret) {
+        req.session.mfaSetupSecret = totp.generateSecret();
+    }
+    const secret = req.session.mfaSetupSecret;
+    const qrSvg = await QRCode.toString(totp.otpauthUri(req.session.username, secret), { type: 'svg', margin: 1, width: 200 });
+    
+    res.send(htmlPage('Set Up Two-Factor Authentication', `
+        ${required ? '' : navBar(req.session.role)}
+        <h1>Set Up Two-Factor Authentication</h1>
+        ${required ? `<div class="info message">Your role requires two-factor authentication.
+            Set it up, or <a href="/dashboard/passkeys">register a passkey</a>, to continue.
+            <a href="/logout">Logout</a></div>` : ''}
+        ${notices}
+        <ol>
+            <li>Scan this QR code with an authenticator app (Google Authenticator, Authy, 1Password, ...)</li>
+            <li>Enter the six-digit code it shows</li>
+        </ol>
+        <div>${qrSvg}</div>
+        <p>Can't scan it? Enter this key instead: <code>${secret.match(/.{1,4}/g).join(' ')}</code></p>
+        <form method="POST" action="/dashboard/mfa/enable">
+            <label>Code:</label>
+            <input type="text" name="code" inputmode="numeric" autocomplete="one-time-code" required autofocus>
+            <button type="submit">Turn on</button>
+        </form>
+    `));
+});
+
+// POST /dashboard/mfa/enable - Confirm enrollment with a first code
+app.post('/dashboard/mfa/enable', requireAuthOrEnrolling, (req, res) => {
+    const userId = req.session.userId;
+    const secret = req.session.mfaSetupSecret;
+    
+    if (db.getMfa(userId)) {
+        return res.redirect('/dashboard/mfa');
+    }
+    if (!secret) {
+        return res.redirect(`/dashboard/mfa?error=${encodeURIComponent('Setup expired, scan the new QR code')}`);
+    }
+    
+    const step = totp.verify(secret, req.body.code);
+    if (step === null) {
+        return res.redirect(`/dashboard/mfa?error=${encodeURIComponent('Invalid code. Check that your device clock is correct.')}`);
+    }
+    
+    const codes = totp.generateRecoveryCodes();
+    db.enableMfa(userId, secret, step, codes.map(totp.normalizeRecoveryCode));
+    delete req.session.mfaSetupSecret;
+    req.session.mfaVerified = true;
+    
+    authLog.info('Enabled MFA', { username: req.session.username });
+    res.send(recoveryCodesPage(req, 'Two-Factor Authentication Enabled', codes));
+});
+
+// POST /dashboard/mfa/recovery-codes - Replace all recovery codes
+app.post('/dashboard/mfa/recovery-codes', requireAuth, (req, res) => {
+    const userId = req.session.userId;
+    if (!verifySecondFactor(userId, req.body.code)) {
+        return res.redirect(`/dashboard/mfa?error=${encodeURIComponent('Invalid or already used code')}`);
+    }
+    
+    const codes = totp.generateRecoveryCodes();
+    db.replaceRecoveryCodes(userId, codes.map(totp.normalizeRecoveryCode));
+    
+    authLog.info('Regenerated MFA recovery codes', { username: req.session.username });
+    res.send(recoveryCodesPage(req, 'New Recovery Codes', codes));
+});
+
+// POST /dashboard/mfa/disable
+app.post('/dashboard/mfa/disable', requireAuth, (req, res) => {
+    const userId = req.session.userId;
+    if (db.isMfaRequired(req.session.role)) {
+        return res.redirect(`/dashboard/mfa?error=${encodeURIComponent('Your role requires two-factor authentication')}`);
+    }
+    if (!verifySecondFactor(userId, req.body.code)) {
+        return res.redirect(`/dashboard/mfa?error=${encodeURIComponent('Invalid or already used code')}`);
+    }
+    
+    db.disableMfa(userId);
+    req.session.mfaVerified = false;
+    
+    authLog.info('Disabled MFA', { username: req.session.username });
+    res.redirect(`/dashboard/mfa?message=${encodeURIComponent('Two-factor authentication turned off')}`);
+});
+
+// ============================================================================
+// DASHBOARD: PASSKEYS
+// ============================================================================
+
+const LOGIN_MODE_LABELS = {
+    'password': 'Password (plus your authenticator code if two-factor is on). Passkeys also work on their own.',
+    'passkey+password': 'Password, then a passkey',
+    'passkey': 'Passkey only. Password sign-in is turned off.'
+};
+
+// GET /dashboard/passkeys - Registered passkeys and sign-in mode
+app.get('/dashboard/passkeys', requireAuthOrEnrolling, (req, res) => {
+    const user = db.findUserById(req.session.userId);
+    const passkeys = db.getWebAuthnCredentials(user.id);
+    const enrolling = pendingMfaStep(req) === 'enroll';
+    const message = req.query.message || '';
+    const error = req.query.error || '';
+    
+    const passkeyRows = passkeys.map(p => `
+        <tr>
+            <td>${escapeHtml(p.name)}</td>
+            <td>${new Date(p.created_at * 1000).toLocaleString()}</td>
+            <td>${p.last_used_at ? new Date(p.last_used_at * 1000).toLocaleString() : 'Never'}</td>
+            <td>${p.backed_up ? 'Yes' : 'No'}</td>
+            <td>
+                <form method="POST" action="/dashboard/passkeys/${p.id}/delete" style="display:inline;background:none;padding:0;margin:0;">
+                    <button type="submit" class="danger" onclick="return confirm('Remove this passkey?')">Remove</button>
+                </form>
+            </td>
+        </tr>
+    `).join('') || '<tr><td colspan="5">No passkeys registered</td></tr>';
+    
+    const modeOptions = db.LOGIN_MODES.map(mode => `
+        <label style="display:block;">
+            <input type="radio" name="mode" value="${mode}" style="width:auto;" ${user.login_mode === mode ? 'checked' : ''}
+                ${mode !== 'password' && !passkeys.length ? 'disabled' : ''}>
+            ${LOGIN_MODE_LABELS[mode]}
+        </label>
+    `).join('');
+    
+    res.send(htmlPage('Passkeys', `
+        ${enrolling ? '' : navBar(req.session.role)}
+        <h1>Passkeys</h1>
+        ${enrolling ? `<div class="info message">Your role requires two-factor authentication.
+            Register a passkey or <a href="/dashboard/mfa">set up an authenticator app</a> to continue.
+            <a href="/logout">Logout</a></div>` : ''}
+        ${message ? `<div class="success message">${escapeHtml(message)}</div>` : ''}
+        ${error ? `<div class="error message">${escapeHtml(error)}</div>` : ''}
+        <div id="webauthn-error" class="error message" style="display:none;"></div>
+        <p>A passkey signs you in with your device's screen lock or a security key. It only works on this
+        site, so a look-alike page cannot phish it.</p>
+        <table>
+            <tr><th>Name</th><th>Added</th><th>Last Used</th><th>Synced</th><th>Action</th></tr>
+            ${passkeyRows}
+        </table>
+        
+        <h2>Add a Passkey</h2>
+        <form id="passkey-register">
+            <label>Name:</label>
+            <input type="text" id="passkey-name" maxlength="64" placeholder="e.g. Work laptop">
+            <button type="submit">Add passkey</button>
+        </form>
+        
+        ${enrolling ? '' : `
+        <h2>Sign-in Mode</h2>
+        <form method="POST" action="/dashboard/passkeys/mode">
+            ${modeOptions}
+            <button type="submit">Save</button>
+        </form>
+        <p><a href="/dashboard">Back to dashboard</a></p>`}
+        
+        <script src="/static/webauthn-client.js"></script>
+        <script>
+            document.getElementById('passkey-register').addEventListener('submit', function (event) {
+                event.preventDefault();
+                pidWebAuthn.register(document.getElementById('passkey-name').value)
+                    .then(function () { location.href = '/dashboard/passkeys?message=' + encodeURIComponent('Passkey added'); })
+                    .catch(pidWebAuthn.showError);
+            });
+        </script>
+    `));
+});
+
+// POST /dashboard/passkeys/:id/delete
+app.post('/dashboard/passkeys/:id/delete', requireAuth, (req, res) => {
+    const removed = db.deleteWebAuthnCredential(parseInt(req.params.id, 10), req.session.userId);
+    if (!removed) {
+        return res.redirect(`/dashboard/passkeys?error=${encodeURIComponent('Passkey not found')}`);
+    }
+    
+    authLog.info('Removed passkey', { username: req.session.username, name: removed.name });
+    res.redirect(`/dashboard/passkeys?message=${encodeURIComponent(`Removed ${removed.name}`)}`);
+});
+
+// POST /dashboard/passkeys/mode - { mode }
+app.post('/dashboard/passkeys/mode', requireAuth, (req, res) => {
+    const result = db.setLoginMode(req.session.userId, req.body.mode);
+    if (!result.success) {
+        return res.redirect(`/dashboard/passkeys?error=${encodeURIComponent(result.error)}`);
+    }
+    
+    authLog.info('Changed sign-in mode', { username: req.session.username, mode: req.body.mode });
+    res.redirect(`/dashboard/passkeys?message=${encodeURIComponent('Sign-in mode saved')}`);
+});
+
+// ============================================================================
+// ACCOUNT: PASSWORD
+// ============================================================================
+
+// GET /account/password - Change own password (forced after an admin created the account)
+app.get('/account/password', requireAuthOrChangingPassword, (req, res) => {
+    const user = db.findUserById(req.session.userId);
+    const forced = Boolean(user.must_change_password);
+    const message = req.query.message || '';
+    const error = req.query.error || '';
+    
+    res.send(htmlPage('Change Password', `
+        ${forced ? '' : navBar(req.session.role)}
+        <h1>Change Password</h1>
+        ${forced ? `<div class="info message">Your account was set up with a temporary password.
+            Choose your own to continue. <a href="/logout">Logout</a></div>` : ''}
+        ${message ? `<div class="success message">${escapeHtml(message)}</div>` : ''}
+        ${error ? `<div class="error message">${escapeHtml(error)}</div>` : ''}
+        ${user.password_changed_at ? `<p>Last changed ${new Date(user.password_changed_at * 1000).toLocaleString()}.</p>` : ''}
+        <p>Your new password must be:</p>
+        <ul>${passwordPolicy.describe().map(rule => `<li>${rule}</li>`).join('')}</ul>
+        <form method="POST" action="/account/password">
+            <label>Current password:</label>
+            <input type="password" name="currentPassword" autocomplete="current-password" required autofocus>
+            <label>New password:</label>
+            <input type="password" name="newPassword" autocomplete="new-password" required>
+            <label>Confirm new password:</label>
+            <input type="password" name="confirmPassword" autocomplete="new-password" required>
+            <button type="submit">Change password</button>
+        </form>
+        <p>Changing your password signs the browser extension out everywhere; it signs in again with this session.</p>
+        ${forced ? '' : '<p><a href="/dashboard">Back to dashboard</a></p>'}
+    `));
+});
+
+// POST /account/password - { currentPassword, newPassword, confirmPassword }
+app.post('/account/password', requireAuthOrChangingPassword, (req, res) => {
+    const { currentPassword, newPassword, confirmPassword } = req.body;
+    const user = db.findUserByUsername(req.session.username);
+    const fail = (error) => res.redirect(`/account/password?error=${encodeURIComponent(error)}`);
+    
+    // Same counters as sign-in, so a hijacked session cannot guess the password here
+    const throttle = loginThrottle.check(user.username, req.ip);
+    if (throttle.retryAfter > 0) {
+        return fail(`Too many wrong passwords. Try again in ${formatDuration(throttle.retryAfter)}.`);
+    }
+    if (!currentPassword || !db.verifyPassword(user, currentPassword)) {
+        recordLoginFailure(req, {
+            event: 'password_change_failed',
+            userId: user.id,
+            username: user.username,
+            detail: 'Wrong current password'
+        });
+        return fail('Current password is incorrect.');
+    }
+    if (newPassword !== confirmPassword) {
+        return fail('The new passwords do not match.');
+    }
+    
+    const result = db.changePassword(user.id, newPassword);
+    if (!result.success) {
+        return fail(result.error);
+    }
+    
+    // Tokens issued under the old password stop working
+    db.revokeUserTokens(user.id);
+    loginThrottle.recordSuccess(user.username);
+    
+    authLog.info('Changed password', { username: user.username });
+    res.redirect(`/account/password?message=${encodeURIComponent('Password changed. The browser extension was signed out.')}`);
+});
+
+// ============================================================================
+// ADMIN PANEL
+// ============================================================================
+
+const USER_ROLES = ['user', 'admin'];
+
+app.get('/admin', requireAdmin, (req, res) => {
+    const users = db.getAllUsers();
+    const apps = db.getAllApps();
+    const mfaRoles = db.getMfaRequiredRoles();
+    const now = Math.floor(Date.now() / 1000);
+    const locks = db.getLoginLocks(now);
+    const throttlePolicy = loginThrottle.getPolicy();
+    const message = req.query.message || '';
+    const error = req.query.error || '';
+    
+    const userRows = users.map(user => {
+        const userApps = db.getUserApps(user.id);
+        const appList = userApps.map(a => a.appId).join(', ') || 'None';
+        return `
+            <tr>
+                <td>${user.username}</td>
+                <td><span class="badge badge-${user.role}">${user.role}</span></td>
+                <td>${appList}</td>
+                <td>${user.mfa_enabled_at ? 'On' : (mfaRoles.includes(user.role) ? 'Required' : 'Off')}</td>
+                <td>${user.login_mode} (<a href="/admin/passkeys?userId=${user.id}">${user.passkey_count} passkeys</a>)${
+                    user.must_change_password ? '<br>Must change password' : ''}</td>
+                <td>
+                    <a href="/admin/sessions?userId=${user.id}">Sessions</a>
+                    ${user.mfa_enabled_at ? `
+                        <form method="POST" action="/admin/users/${user.id}/mfa/reset" style="display:inline;">
+                            <button type="submit" class="danger" onclick="return confirm('Reset MFA? The user can sign in with their password alone and must enroll again.')">Reset MFA</button>
+                        </form>
+                    ` : ''}
+                    ${user.role !== 'admin' ? `
+                        <form method="POST" action="/admin/users/${user.id}/delete" style="display:inline;">
+                            <button type="submit" class="danger" onclick="return confirm('Delete this user?')">Delete</button>
+                        </form>
+                    ` : '(Admin)'}
+                </td>
+            </tr>
+        `;
+    }).join('');
+    
+    const lockRows = locks.map(lock => `
+        <tr>
+            <td>${lock.kind === 'ip' ? 'IP address' : 'Username'}</td>
+            <td><code>${escapeHtml(lock.key)}</code></td>
+            <td>${lock.failures}</td>
+            <td>${new Date(lock.last_failure_at * 1000).toLocaleString()}</td>
+            <td>${formatDuration(lock.locked_until - now)}</td>
+            <td>
+                <form method="POST" action="/admin/login-locks/unlock" style="display:inline;">
+                    <input type="hidden" name="kind" value="${lock.kind}">
+                    <input type="hidden" name="key" value="${escapeHtml(lock.key)}">
+                    <button type="submit">Unlock</button>
+                </form>
+            </td>
+        </tr>
+    `).join('') || '<tr><td colspan="6">No locked usernames or IP addresses</td></tr>';
+    
+    const appOptions = apps.map(app => `<option value="${app.appId}">${app.appId} (${app.origin})</option>`).join('');
+    const userOptions = users.filter(u => u.role !== 'admin').map(u => `<option value="${u.id}">${u.username}</option>`).join('');
+    
+    const html = htmlPage('Admin Panel', `
+        ${navBar(req.session.role)}
+        <h1>Admin Panel</h1>
+        
+        ${message ? `<div class="success message">${message}</div>` : ''}
+        ${error ? `<div class="error message">${error}</div>` : ''}
+        
+        <h2>Users</h2>
+        <table>
+            <tr><th>Username</th><th>Role</th><th>Assigned Apps</th><th>MFA</th><th>Sign-in</th><th>Actions</th></tr>
+            ${userRows}
+        </table>
+        
+        <h2>MFA Policy</h2>
+        <form method="POST" action="/admin/mfa-policy">
+            <p>Users with these roles must set up two-factor authentication before they can use the dashboard
+            or the extension. Users who have not enrolled yet are sent to the setup page at their next request.</p>
+            ${USER_ROLES.map(role => `
+                <label style="font-weight:normal;">
+                    <input type="checkbox" name="roles" value="${role}" style="width:auto;" ${mfaRoles.includes(role) ? 'checked' : ''}>
+                    Require MFA for <span class="badge badge-${role}">${role}</span>
+                </label>
+            `).join('')}
+            <button type="submit">Save Policy</button>
+        </form>
+        
+        <h2>Locked Sign-ins</h2>
+        <p>A username is locked for ${formatDuration(throttlePolicy.lockoutSeconds)} after
+        ${throttlePolicy.lockoutThreshold} failed sign-ins, an IP address after ${throttlePolicy.ipLockoutThreshold}.
+        Before that, after ${throttlePolicy.freeAttempts} failures for a username (${throttlePolicy.ipFreeAttempts} for an
+        IP address), each attempt has to wait twice as long as the last. Failures are
+        recorded as <code>login_failed</code> in the <a href="/admin/audit/pid">PID audit log</a>.</p>
+        <table>
+            <tr><th>Type</th><th>Username / IP</th><th>Failures</th><th>Last Failure</th><th>Remaining</th><th>Action</th></tr>
+            ${lockRows}
+        </table>
+        
+        <h2>Create User</h2>
+        <form method="POST" action="/admin/users">
+            <p>The password is temporary: the user has to choose a new one at first sign-in. Both must meet
+            the password policy: ${passwordPolicy.describe().join('; ').toLowerCase()}.</p>
+            <label>Username:</label>
+            <input type="text" name="username" required>
+            <label>Temporary password:</label>
+            <input type="password" name="password" autocomplete="new-password" required>
+            <label>Role:</label>
+            <select name="role">
+                <option value="user">User</option>
+                <option value="admin">Admin</option>
+            </select>
+            <button type="submit">Create User</button>
+        </form>
+        
+        <h2>Assign App to User</h2>
+        <form method="POST" action="/admin/assign-app">
+            <label>User:</label>
+            <select name="userId" required>
+                <option value="">-- Select User --</option>
+                ${userOptions}
+            </select>
+            <label>App:</label>
+            <select name="appId" required>
+                <option value="">-- Select App --</option>
+                ${appOptions}
+            </select>
+            <button type="submit">Assign App</button>
+        </form>
+        
+        <h2>Remove App from User</h2>
+        <form method="POST" action="/admin/remove-app">
+            <label>User:</label>
+            <select name="userId" required>
+                <option value="">-- Select User --</option>
+                ${userOptions}
+            </select>
+            <label>App:</label>
+            <select name="appId" required>
+                <option value="">-- Select App --</option>
+                ${appOptions}
+            </select>
+            <button type="submit" class="danger">Remove App</button>
+        </form>
+    `);
+    res.send(html);
+});
+
+// POST /admin/users - Create user
+app.post('/admin/users', requireAdmin, (req, res) => {
+    const { username, password, role } = req.body;
+    const result = db.createUser(username, password, role || 'user', { mustChangePassword: true });
+    
+    if (result.success) {
+        adminLog.info('Created user', { admin: req.session.username, username });
+        res.redirect('/admin?message=User created successfully');
+    } else {
+        res.redirect(`/admin?error=${encodeURIComponent(result.error)}`);
+    }
+});
+
+// POST /admin/users/:id/mfa/reset - Lost authenticator and recovery codes
+app.post('/admin/users/:id/mfa/reset', requireAdmin, (req, res) => {
+    const user = db.findUserById(parseInt(req.params.id, 10));
+    if (!user) {
+        return res.redirect(`/admin?error=${encodeURIComponent('User not found')}`);
+    }
+    
+    db.disableMfa(user.id);
+    // Extension sign-ins made with the lost factor end too
+    db.revokeUserTokens(user.id);
+    adminLog.info('Reset MFA', { admin: req.session.username, username: user.username });
+    res.redirect(`/admin?message=${encodeURIComponent(`MFA reset for ${user.username}`)}`);
+});
+
+// POST /admin/login-locks/unlock - Lift a sign-in lock early ({kind, key})
+app.post('/admin/login-locks/unlock', requireAdmin, (req, res) => {
+    const { kind, key } = req.body;
+    if (!['username', 'ip'].includes(kind) || !db.clearLoginFailures(kind, key)) {
+        return res.redirect(`/admin?error=${encodeURIComponent('Lock not found')}`);
+    }
+    
+    adminLog.info('Unlocked sign-in', { admin: req.session.username, kind, key });
+    res.redirect(`/admin?message=${encodeURIComponent(kind === 'ip' ? 'IP address unlocked' : 'Username unlocked')}`);
+});
+
+// POST /admin/mfa-policy - Roles that must use MFA
+app.post('/admin/mfa-policy', requireAdmin, (req, res) => {
+    const roles = [].concat(req.body.roles || []).filter(role => USER_ROLES.includes(role));
+    db.setMfaRequiredRoles(roles);
+    
+    // Users who now owe enrollment lose their extension sign-ins until they enroll
+    const unenrolled = db.getAllUsers().filter(user => roles.includes(user.role) && !secondFactorFor(user));
+    unenrolled.forEach(user => db.revokeUserTokens(user.id));
+    
+    adminLog.info('Updated MFA policy', { admin: req.session.username, roles, revokedUsers: unenrolled.length });
+    res.redirect(`/admin?message=${encodeURIComponent(`MFA required for: ${roles.join(', ') || 'nobody'}`)}`);
+});
+
+// POST /admin/users/:id/delete - Delete user
+app.post('/admin/users/:id/delete', requireAdmin, async (req, res) => {
+    const result = await db.deleteUser(parseInt(req.params.id));
+    
+    if (result.success) {
+        adminLog.info('Deleted user', { admin: req.session.username, userId: req.params.id });
+        res.redirect('/admin?message=User deleted');
+    } else {
+        res.redirect(`/admin?error=${encodeURIComponent(result.error)}`);
+    }
+});
+
+// POST /admin/assign-app - Assign app to user
+app.post('/admin/assign-app', requireAdmin, (req, res) => {
+    const { userId, appId } = req.body;
+    const result = db.assignAppToUser(parseInt(userId), appId);
+    
+    if (result.success) {
+        adminLog.info('Assigned app', { admin: req.session.username, appId, userId });
+        res.redirect('/admin?message=App assigned');
+    } else {
+        res.redirect(`/admin?error=${encodeURIComponent(result.error)}`);
+    }
+});
+
+// POST /admin/remove-app - Remove app from user
+app.post('/admin/remove-app', requireAdmin, (req, res) => {
+    const { userId, appId } = req.body;
+    const result = db.removeAppFromUser(parseInt(userId), appId);
+    
+    if (result.success) {
+        adminLog.info('Removed app', { admin: req.session.username, appId, userId });
+        res.redirect('/admin?message=App removed');
+    } else {
+        res.redirect(`/admin?error=${encodeURIComponent(result.error)}`);
+    }
+});
+
+// ============================================================================
+// ADMIN: PASSKEYS
+// ============================================================================
+
+// GET /admin/passkeys - Registered authenticators; ?userId= for one user
+app.get('/admin/passkeys', requireAdmin, (req, res) => {
+    const userId = parseInt(req.query.userId, 10) || null;
+    const passkeys = db.getWebAuthnCredentials(userId);
+    const message = req.query.message || '';
+    const error = req.query.error || '';
+    const time = (seconds) => seconds ? new Date(seconds * 1000).toLocaleString() : '-';
+    
+    const rows = passkeys.map(p => `
+        <tr>
+            <td><a href="/admin/passkeys?userId=${encodeURIComponent(p.user_id)}">${escapeHtml(p.username)}</a></td>
+            <td>${escapeHtml(p.name)}</td>
+            <td>${time(p.created_at)}</td>
+            <td>${time(p.last_used_at)}</td>
+            <td>${p.backed_up ? 'Yes' : 'No'}</td>
+            <td>${p.transports ? escapeHtml(JSON.parse(p.transports).join(', ')) : '-'}</td>
+            <td><code>${escapeHtml(p.aaguid || '-')}</code></td>
+            <td>
+                <form method="POST" action="/admin/passkeys/${p.id}/delete" style="display:inline; padding:0; margin:0; background:none;">
+                    <button type="submit" class="danger" onclick="return confirm('Remove this passkey?')">Remove</button>
+                </form>
+            </td>
+        </tr>
+    `).join('') || '<tr><td colspan="8">No passkeys registered</td></tr>';
+    
+    const html = htmlPage('Passkeys', `
+        ${navBar(req.session.role)}
+        <h1>Passkeys</h1>
+        
+        ${message ? `<div class="success message">${escapeHtml(message)}</div>` : ''}
+        ${error ? `<div class="error message">${escapeHtml(error)}</div>` : ''}
+        
+        <p>WebAuthn credentials users have registered. Synced passkeys are backed up by the platform
+        (iCloud Keychain, Google Password Manager, ...); others live on a single device or security key.
+        The AAGUID identifies the authenticator model when it reports one (all zeros otherwise).
+        Removing a user's last passkey switches them back to password sign-in.</p>
+        ${userId ? '<p><a href="/admin/passkeys">Show all users</a></p>' : ''}
+        <table>
+            <tr><th>User</th><th>Name</th><th>Added</th><th>Last Used</th><th>Synced</th><th>Transports</th><th>AAGUID</th><th></th></tr>
+            ${rows}
+        </table>
+    `);
+    res.send(html);
+});
+
+// POST /admin/passkeys/:id/delete - Lost or compromised authenticator
+app.post('/admin/passkeys/:id/delete', requireAdmin, (req, res) => {
+    const removed = db.deleteWebAuthnCredential(parseInt(req.params.id, 10));
+    if (!removed) {
+        return res.redirect(`/admin/passkeys?error=${encodeURIComponent('Passkey not found')}`);
+    }
+    
+    adminLog.info('Removed passkey', { admin: req.session.username, username: removed.username, name: removed.name });
+    res.redirect(`/admin/passkeys?userId=${removed.user_id}&message=${encodeURIComponent(`Removed ${removed.name} from ${removed.username}`)}`);
+});
+
+// ============================================================================
+// ADMIN: VAULT AUDIT LOG
+// ============================================================================
+
+const AUDIT_PAGE_SIZE = 50;
+const AUDIT_EXPORT_BATCH = 500;
+const AUDIT_EXPORT_MAX = 50000;
+const AUDIT_ACTIONS = ['read', 'write', 'update', 'restore', 'delete', 'delete-vault', 'unsigned'];
+const AUDIT_OUTCOMES = ['success', 'denied', 'invalid', 'not_found', 'conflict', 'error', 'failed'];
+const ACCESS_EVENT_LIMIT = 200;
+
+/**
+ * Turn /admin/audit query params into Vault audit filters.
+ * The admin filters by PID user; the Vault only knows vault_ids.
+ */
+function auditFiltersFromQuery(query) {
+    const filters = {};
+    if (query.userId) {
+        const vaultId = db.getVaultId(parseInt(query.userId, 10));
+        // Unknown user → impossible vault_id so the result is empty, not unfiltered
+        filters.vaultId = vaultId || '__no_such_vault__';
+    }
+    if (query.appId) filters.appId = query.appId;
+    if (query.action) filters.action = query.action;
+    if (query.outcome) filters.outcome = query.outcome;
+    if (query.from) filters.from = new Date(query.from).toISOString();
+    if (query.to) filters.to = new Date(query.to).toISOString();
+    return filters;
+}
+
+/**
+ * Attach PID usernames to Vault audit entries.
+ */
+function resolveAuditEntries(entries) {
+    const usernames = new Map(db.getAllUsers().map(u => [u.vault_id, u.username]));
+    return entries.map(entry => ({
+        ...entry,
+        username: usernames.get(entry.vaultId) || null
+    }));
+}
+
+function csvValue(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// GET /admin/audit - Browse the Vault audit log
+app.get('/admin/audit', requireAdmin, async (req, res) => {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const from = req.query.from || '';
+    const to = req.query.to || '';
+    
+    if ((from && Number.isNaN(Date.parse(from))) || (to && Number.isNaN(Date.parse(to)))) {
+        return res.redirect('/admin/audit');
+    }
+    
+    const filters = auditFiltersFromQuery(req.query);
+    const result = await vaultClient.queryAudit({
+        ...filters,
+        limit: AUDIT_PAGE_SIZE,
+        offset: (page - 1) * AUDIT_PAGE_SIZE
+    });
+    
+    const users = db.getAllUsers();
+    const apps = db.getAllApps();
+    const selected = (value, current) => String(value) === String(current || '') ? 'selected' : '';
+    
+    const userOptions = users.map(u => `<option value="${u.id}" ${selected(u.id, req.query.userId)}>${escapeHtml(u.username)}</option>`).join('');
+    const appOptions = apps.map(a => `<option value="${escapeHtml(a.appId)}" ${selected(a.appId, req.query.appId)}>${escapeHtml(a.appId)}</option>`).join('');
+    const actionOptions = AUDIT_ACTIONS.map(a => `<option value="${a}" ${selected(a, req.query.action)}>${a}</option>`).join('');
+    const outcomeOptions = AUDIT_OUTCOMES.map(o => `<option value="${o}" ${selected(o, req.query.outcome)}>${o}</option>`).join('');
+    
+    let rows;
+    let pager = '';
+    if (result.success) {
+        rows = resolveAuditEntries(result.entries).map(e => `
+            <tr>
+                <td>${new Date(e.timestamp).toLocaleString()}</td>
+                <td>${e.username ? escapeHtml(e.username) : (e.vaultId === '-' ? '-' : `<em>(deleted)</em> <code>${escapeHtml(e.vaultId)}</code>`)}</td>
+                <td>${escapeHtml(e.appId)}</td>
+                <td>${escapeHtml(e.action)}</td>
+                <td>${escapeHtml(e.outcome)}</td>
+                <td>${escapeHtml(e.clientId || '-')}</td>
+            </tr>
+        `).join('') || '<tr><td colspan="6">No matching entries</td></tr>';
+        
+        const totalPages = Math.max(Math.ceil(result.total / AUDIT_PAGE_SIZE), 1);
+        const pageLink = (p) => {
+            const params = new URLSearchParams({ ...req.query, page: p });
+            return `/admin/audit?${params.toString()}`;
+        };
+        pager = `
+            <p>
+                ${page > 1 ? `<a href="${pageLink(page - 1)}">&laquo; Newer</a>` : ''}
+                Page ${page} of ${totalPages} (${result.total} entries)
+                ${page < totalPages ? `<a href="${pageLink(page + 1)}">Older &raquo;</a>` : ''}
+            </p>
+        `;
+    } else {
+        rows = `<tr><td colspan="6" class="error">${escapeHtml(result.error)}</td></tr>`;
+    }
+    
+    const exportParams = new URLSearchParams(req.query);
+    exportParams.delete('page');
+    
+    const html = htmlPage('Audit Log', `
+        ${navBar(req.session.role)}
+        <h1>Vault Audit Log</h1>
+        
+        <form method="GET" action="/admin/audit">
+            <label>User:</label>
+            <select name="userId">
+                <option value="">-- Any User --</option>
+                ${userOptions}
+            </select>
+            <label>App:</label>
+            <select name="appId">
+                <option value="">-- Any App --</option>
+                ${appOptions}
+            </select>
+            <label>Action:</label>
+            <select name="action">
+                <option value="">-- Any Action --</option>
+                ${actionOptions}
+            </select>
+            <label>Outcome:</label>
+            <select name="outcome">
+                <option value="">-- Any Outcome --</option>
+                ${outcomeOptions}
+            </select>
+            <label>From:</label>
+            <input type="datetime-local" name="from" value="${escapeHtml(from)}">
+            <label>To:</label>
+            <input type="datetime-local" name="to" value="${escapeHtml(to)}">
+            <button type="submit">Filter</button>
+        </form>
+        
+        <p>
+            Export:
+            <a href="/admin/audit/export?${exportParams.toString()}&format=csv">CSV</a> |
+            <a href="/admin/audit/export?${exportParams.toString()}&format=json">JSON</a> |
+            <a href="/admin/audit/verify">Verify integrity</a> |
+            <a href="/admin/audit/pid">PID access denials</a>
+        </p>
+        
+        <table>
+            <tr><th>Time</th><th>User</th><th>App</th><th>Action</th><th>Outcome</th><th>PID Instance</th></tr>
+            ${rows}
+        </table>
+        ${pager}
+    `);
+    res.send(html);
+});
+
+// GET /admin/audit/export?format=csv|json - Download all matching entries
+app.get('/admin/audit/export', requireAdmin, async (req, res) => {
+    const format = req.query.format === 'json' ? 'json' : 'csv';
+    
+    if ((req.query.from && Number.isNaN(Date.parse(req.query.from))) ||
+        (req.query.to && Number.isNaN(Date.parse(req.query.to)))) {
+        return res.status(400).send('Invalid date range');
+    }
+    
+    const filters = auditFiltersFromQuery(req.query);
+    const entries = [];
+    let total = 0;
+    
+    // Page through the Vault until everything (up to the cap) is collected.
+    // Each batch asks for entries older than the last one received, so rows
+    // written during the export cannot shift the pages.
+    do {
+        const last = entries[entries.length - 1];
+        const result = await vaultClient.queryAudit({
+            ...filters,
+            limit: AUDIT_EXPORT_BATCH,
+            beforeId: last ? last.id : undefined
+        });
+        if (!result.success) {
+            return res.status(result.status).send(`Audit export failed: ${result.error}`);
+        }
+        total = result.total;
+        entries.push(...result.entries);
+        if (result.entries.length < AUDIT_EXPORT_BATCH) break;
+    } while (entries.length < Math.min(total, AUDIT_EXPORT_MAX));
+    
+    const resolved = resolveAuditEntries(entries);
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    
+    adminLog.info('Exported audit entries', { admin: req.session.username, entries: resolved.length, format });
+    
+    res.setHeader('Content-Disposition', `attachment; filename="vault-audit-${stamp}.${format}"`);
+    
+    if (format === 'json') {
+        return res.json({
+            exportedAt: new Date().toISOString(),
+            exportedBy: req.session.username,
+            filters,
+            total,
+            entries: resolved
+        });
+    }
+    
+    const header = ['id', 'timestamp', 'username', 'vault_id', 'app_id', 'action', 'outcome', 'client_id', 'request_id', 'row_hash'];
+    const lines = resolved.map(e => [
+        e.id, new Date(e.timestamp).toISOString(), e.username, e.vaultId, e.appId,
+        e.action, e.outcome, e.clientId, e.requestId, e.rowHash
+    ].map(csvValue).join(','));
+    res.type('text/csv').send([header.join(','), ...lines].join('\r\n') + '\r\n');
+});
+
+// GET /admin/audit/verify - Check the audit log hash chain
+app.get('/admin/audit/verify', requireAdmin, async (req, res) => {
+    const result = await vaultClient.verifyAudit();
+    
+    let summary;
+    if (!result.success) {
+        summary = `<div class="error message">Verification failed: ${escapeHtml(result.error)}</div>`;
+    } else if (result.data.valid) {
+        summary = `
+            <div class="success message">Chain intact: ${escapeHtml(result.data.checked)} entries verified.</div>
+            <p>Head entry: <code>${escapeHtml(result.data.headId)}</code><br>
+            Head hash: <code>${escapeHtml(result.data.headHash)}</code></p>
+            <p>Record the head hash somewhere outside the vault to detect later truncation.</p>
+        `;
+    } else {
+        summary = `
+            <div class="error message">
+                Chain broken at entry <code>${escapeHtml(result.data.brokenAt.id)}</code>: ${escapeHtml(result.data.brokenAt.reason)}
+                (${escapeHtml(result.data.checked)} entries before it verified).
+            </div>
+        `;
+        adminLog.warn('Audit chain broken', { id: result.data.brokenAt.id, reason: result.data.brokenAt.reason });
+    }
+    
+    const html = htmlPage('Audit Integrity', `
+        ${navBar(req.session.role)}
+        <h1>Audit Log Integrity</h1>
+        ${summary}
+        <p><a href="/admin/audit">Back to audit log</a></p>
+    `);
+    res.send(html);
+});
+
+// GET /admin/audit/pid - Requests PID itself denied or failed to serve
+app.get('/admin/audit/pid', requireAdmin, (req, res) => {
+    const outcome = req.query.outcome === 'denied' || req.query.outcome === 'failure' ? req.query.outcome : '';
+    const events = db.getAuditEvents({ outcome, limit: ACCESS_EVENT_LIMIT });
+    
+    const rows = events.map(e => `
+        <tr>
+            <td>${new Date(e.created_at * 1000).toLocaleString()}</td>
+            <td>${escapeHtml(e.username || '-')}</td>
+            <td>${escapeHtml(e.app_id || '-')}</td>
+            <td>${escapeHtml(e.event)}</td>
+            <td>${escapeHtml(e.outcome)}</td>
+            <td>${escapeHtml(e.detail || '-')}</td>
+            <td>${escapeHtml(e.ip || '-')}</td>
+            <td><code>${escapeHtml(e.request_id || '-')}</code></td>
+        </tr>
+    `).join('') || '<tr><td colspan="8">No events recorded</td></tr>';
+    
+    const html = htmlPage('PID Access Denials', `
+        ${navBar(req.session.role)}
+        <h1>PID Access Denials</h1>
+        <p>Requests rejected by PID before reaching the Vault, and Vault calls that failed.
+        Showing the latest ${ACCESS_EVENT_LIMIT}. The request ID also appears in PID and Vault logs
+        and, for Vault calls, in the Vault audit log.</p>
+        <p>
+            Show: <a href="/admin/audit/pid">All</a> |
+            <a href="/admin/audit/pid?outcome=denied">Denied</a> |
+            <a href="/admin/audit/pid?outcome=failure">Failed</a>
+        </p>
+        <table>
+            <tr><th>Time</th><th>User</th><th>App</th><th>Event</th><th>Outcome</th><th>Detail</th><th>IP</th><th>Request ID</th></tr>
+            ${rows}
         </table>
-        
-        <h2>SSO Extension Status</h2>
-        <p>If you have the browser extension installed, it will automatically use your Primary Identity session to login to assigned apps.</p>
-        <div class="info message">
-            <strong>How it works:</strong>
-            <ol>
-                <li>Extension calls <code>POST /api/plugin/bootstrap</code> with your session cookie</li>
-                <li>Server returns a <code>pluginToken</code> and list of allowed apps</li>
-                <li>Extension uses token to fetch credentials from vault</li>
-                <li>Extension auto-fills and submits login forms</li>
-            </ol>
-        </div>
+        <p><a href="/admin/audit">Back to audit log</a></p>
     `);
     res.send(html);
 });
 
 // ============================================================================
-// ADMIN PANEL
+// ADMIN: EXTENSION SESSIONS
 // ============================================================================
 
-app.get('/admin', requireAdmin, (req, res) => {
-    const users = db.getAllUsers();
-    const apps = db.getAllApps();
+// GET /admin/sessions - Unexpired plugin tokens; ?userId= for one user
+app.get('/admin/sessions', requireAdmin, (req, res) => {
+    const userId = parseInt(req.query.userId, 10) || null;
+    const sessions = db.getPluginTokens(userId);
     const message = req.query.message || '';
     const error = req.query.error || '';
+    const time = (seconds) => seconds ? new Date(seconds * 1000).toLocaleString() : '-';
+    const keys = jwt.getKeys();
+    const sweeper = tokenSweeper.getStatus();
+    const lastSweep = sweeper.lastRun;
     
-    const userRows = users.map(user => {
-        const userApps = db.getUserApps(user.id);
-        const appList = userApps.map(a => a.appId).join(', ') || 'None';
-        return `
-            <tr>
-                <td>${user.username}</td>
-                <td><span class="badge badge-${user.role}">${user.role}</span></td>
-                <td>${appList}</td>
-                <td>
-                    ${user.role !== 'admin' ? `
-                        <form method="POST" action="/admin/users/${user.id}/delete" style="display:inline;">
-                            <button type="submit" class="danger" onclick="return confirm('Delete this user?')">Delete</button>
-                        </form>
-                    ` : '(Admin)'}
-                </td>
-            </tr>
-        `;
-    }).join('');
-    
-    const appOptions = apps.map(app => `<option value="${app.appId}">${app.appId} (${app.origin})</option>`).join('');
-    const userOptions = users.filter(u => u.role !== 'admin').map(u => `<option value="${u.id}">${u.username}</option>`).join('');
+    const rows = sessions.map(t => `
+        <tr>
+            <td><a href="/admin/sessions?userId=${t.user_id}">${escapeHtml(t.username)}</a></td>
+            <td><code>${escapeHtml(t.token_prefix)}…</code></td>
+            <td>${escapeHtml(JSON.parse(t.scopes).join(' '))}</td>
+            <td>${time(t.created_at)}</td>
+            <td>${time(t.last_used_at)}</td>
+            <td>${time(t.expires_at)}</td>
+            <td>${t.created_ip ? escapeHtml(t.created_ip) : '-'}</td>
+            <td>${t.user_agent ? escapeHtml(t.user_agent) : '-'}</td>
+            <td>
+                <form method="POST" action="/admin/sessions/${t.id}/revoke" style="display:inline; padding:0; margin:0; background:none;">
+                    <button type="submit" class="danger" onclick="return confirm('Revoke this session?')">Revoke</button>
+                </form>
+            </td>
+        </tr>
+    `).join('') || '<tr><td colspan="9">No active sessions</td></tr>';
     
-    const html = htmlPage('Admin Panel', `
+    const html = htmlPage('Extension Sessions', `
         ${navBar(req.session.role)}
-        <h1>Admin Panel</h1>
+        <h1>Extension Sessions</h1>
         
-        ${message ? `<div class="success message">${message}</div>` : ''}
-        ${error ? `<div class="error message">${error}</div>` : ''}
+        ${message ? `<div class="success message">${escapeHtml(message)}</div>` : ''}
+        ${error ? `<div class="error message">${escapeHtml(error)}</div>` : ''}
         
-        <h2>Users</h2>
+        <p>Unexpired plugin tokens issued to the browser extension. Tokens are stored only as a hash;
+        the prefix identifies a session but cannot be used as one. Last used is updated at most once a minute.
+        Tokens scoped to one app (<code>vault:read:app_a</code>) belong to the sign-in they were exchanged from.
+        Revoking a session makes the extension's next request fail with 401${jwt.ENABLED
+            ? `; services that check JWT sessions (<code>jwt_</code>) by signature alone accept them until they
+            expire (at most ${jwt.TTL_SECONDS}s)` : ''}.</p>
+        <p>Cleanup: every ${formatDuration(sweeper.intervalMs / 1000)}, at most
+        ${sweeper.maxSessionsPerUser || 'unlimited'} sessions per user (oldest revoked first).
+        ${!lastSweep ? 'Not run yet.' : lastSweep.error ? `Last run ${new Date(lastSweep.at).toLocaleString()} failed: ${escapeHtml(lastSweep.error)}` : `
+        Last run ${new Date(lastSweep.at).toLocaleString()} (${lastSweep.durationMs} ms):
+        ${lastSweep.removed.sessionsOverCap} sessions over the cap revoked,
+        ${lastSweep.removed.expiredPluginTokens} expired tokens,
+        ${lastSweep.removed.expiredRefreshTokens} expired and ${lastSweep.removed.revokedRefreshTokens} revoked refresh tokens,
+        ${lastSweep.removed.staleLoginFailures} stale failed sign-in counters deleted.`}</p>
+        ${userId ? '<p><a href="/admin/sessions">Show all users</a></p>' : ''}
         <table>
-            <tr><th>Username</th><th>Role</th><th>Assigned Apps</th><th>Actions</th></tr>
-            ${userRows}
+            <tr><th>User</th><th>Token</th><th>Scopes</th><th>Created</th><th>Last Used</th><th>Expires</th><th>IP</th><th>User Agent</th><th></th></tr>
+            ${rows}
         </table>
         
-        <h2>Create User</h2>
-        <form method="POST" action="/admin/users">
-            <label>Username:</label>
-            <input type="text" name="username" required>
-            <label>Password:</label>
-            <input type="password" name="password" required>
-            <label>Role:</label>
-            <select name="role">
-                <option value="user">User</option>
-                <option value="admin">Admin</option>
-            </select>
-            <button type="submit">Create User</button>
-        </form>
-        
-        <h2>Assign App to User</h2>
-        <form method="POST" action="/admin/assign-app">
-            <label>User:</label>
-            <select name="userId" required>
-                <option value="">-- Select User --</option>
-                ${userOptions}
-            </select>
-            <label>App:</label>
-            <select name="appId" required>
-                <option value="">-- Select App --</option>
-                ${appOptions}
-            </select>
-            <button type="submit">Assign App</button>
-        </form>
-        
-        <h2>Remove App from User</h2>
-        <form method="POST" action="/admin/remove-app">
-            <label>User:</label>
-            <select name="userId" required>
-                <option value="">-- Select User --</option>
-                ${userOptions}
-            </select>
-            <label>App:</label>
-            <select name="appId" required>
-                <option value="">-- Select App --</option>
-                ${appOptions}
-            </select>
-            <button type="submit" class="danger">Remove App</button>
+        ${jwt.ENABLED || keys.length ? `
+        <h2>JWT Signing Keys</h2>
+        <p>Published at <a href="/.well-known/jwks.json">/.well-known/jwks.json</a>. A retired key stays
+        published until the last token it signed has expired.</p>
+        <table>
+            <tr><th>Key ID</th><th>Created</th><th>Retired</th></tr>
+            ${keys.map(k => `
+            <tr>
+                <td><code>${k.kid}</code></td>
+                <td>${time(k.createdAt)}</td>
+                <td>${k.retiredAt ? time(k.retiredAt) : '<strong>active</strong>'}</td>
+            </tr>
+            `).join('') || '<tr><td colspan="3">No keys yet</td></tr>'}
+        </table>
+        <form method="POST" action="/admin/keys/rotate">
+            <button type="submit" onclick="return confirm('Rotate the signing key?')">Rotate Signing Key</button>
         </form>
+        ` : ''}
     `);
     res.send(html);
 });
 
-// POST /admin/users - Create user
-app.post('/admin/users', requireAdmin, (req, res) => {
-    const { username, password, role } = req.body;
-    const result = db.createUser(username, password, role || 'user');
-    
-    if (result.success) {
-        console.log(`[ADMIN] Created user: ${username}`);
-        res.redirect('/admin?message=User created successfully');
-    } else {
-        res.redirect(`/admin?error=${encodeURIComponent(result.error)}`);
+// POST /admin/sessions/:id/revoke - Revoke one plugin token
+app.post('/admin/sessions/:id/revoke', requireAdmin, (req, res) => {
+    const user = db.revokePluginToken(parseInt(req.params.id, 10));
+    if (!user) {
+        return res.redirect(`/admin/sessions?error=${encodeURIComponent('Session not found or already expired')}`);
     }
+    adminLog.info('Revoked plugin token', { admin: req.session.username, tokenId: req.params.id, username: user.username });
+    res.redirect(`/admin/sessions?message=${encodeURIComponent(`Session revoked for ${user.username}`)}`);
 });
 
-// POST /admin/users/:id/delete - Delete user
-app.post('/admin/users/:id/delete', requireAdmin, async (req, res) => {
-    const result = await db.deleteUser(parseInt(req.params.id));
-    
-    if (result.success) {
-        console.log(`[ADMIN] Deleted user ID: ${req.params.id}`);
-        res.redirect('/admin?message=User deleted');
-    } else {
-        res.redirect(`/admin?error=${encodeURIComponent(result.error)}`);
+// POST /admin/keys/rotate - New JWT signing key; tokens signed with the old one stay valid
+app.post('/admin/keys/rotate', requireAdmin, (req, res) => {
+    let kid;
+    try {
+        kid = jwt.rotateKey();
+    } catch (err) {
+        adminLog.error('JWT signing key rotation failed', { admin: req.session.username, error: err.message });
+        return res.redirect(`/admin/sessions?error=${encodeURIComponent(err.message)}`);
     }
+    adminLog.info('Rotated JWT signing key', { admin: req.session.username, kid });
+    res.redirect(`/admin/sessions?message=${encodeURIComponent('Signing key rotated')}`);
 });
 
-// POST /admin/assign-app - Assign app to user
-app.post('/admin/assign-app', requireAdmin, (req, res) => {
-    const { userId, appId } = req.body;
-    const result = db.assignAppToUser(parseInt(userId), appId);
+// ============================================================================
+// ADMIN: SERVICE STATUS
+// ============================================================================
+
+function formatDuration(seconds) {
+    if (seconds < 60) return `${seconds}s`;
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+    return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+}
+
+// GET /admin/status - Vault availability, latency and recent outages
+app.get('/admin/status', requireAdmin, (req, res) => {
+    const vault = healthMonitor.getStatus();
+    const database = db.healthCheck();
+    const outages = db.getVaultOutages();
+    const circuits = new Map(vault.circuits.map(c => [c.url, c]));
+    const now = Math.floor(Date.now() / 1000);
+    const ms = (value) => value === null ? '-' : `${value} ms`;
     
-    if (result.success) {
-        console.log(`[ADMIN] Assigned ${appId} to user ${userId}`);
-        res.redirect('/admin?message=App assigned');
-    } else {
-        res.redirect(`/admin?error=${encodeURIComponent(result.error)}`);
-    }
+    const statusClass = vault.status === 'up' ? 'success' : (vault.status === 'degraded' ? 'info' : 'error');
+    
+    const endpointRows = vault.endpoints.map(e => `
+        <tr>
+            <td>${escapeHtml(e.url)}</td>
+            <td>${e.ok ? 'OK' : `Failed: ${escapeHtml(e.error)}`}</td>
+            <td>${escapeHtml(e.instance || '-')}</td>
+            <td>${escapeHtml(e.mode || '-')}</td>
+            <td>${e.latencyMs} ms</td>
+            <td>${circuits.has(e.url) ? escapeHtml(circuits.get(e.url).state) : '-'}</td>
+        </tr>
+    `).join('') || '<tr><td colspan="6">Not checked yet</td></tr>';
+    
+    const outageRows = outages.map(o => {
+        const end = o.ended_at || now;
+        return `
+        <tr>
+            <td>${new Date(o.started_at * 1000).toLocaleString()}</td>
+            <td>${o.ended_at ? new Date(o.ended_at * 1000).toLocaleString() : '<strong>ongoing</strong>'}</td>
+            <td>${formatDuration(end - o.started_at)}</td>
+            <td>${escapeHtml(o.kind)}</td>
+            <td>${escapeHtml(o.detail || '-')}</td>
+        </tr>
+    `;
+    }).join('') || '<tr><td colspan="5">No outages recorded</td></tr>';
+    
+    const html = htmlPage('Service Status', `
+        ${navBar(req.session.role)}
+        <h1>Service Status</h1>
+        <div class="${statusClass} message">
+            Vault: <strong>${escapeHtml(vault.status)}</strong>${vault.detail ? ` — ${escapeHtml(vault.detail)}` : ''}<br>
+            Last checked: ${vault.checkedAt ? new Date(vault.checkedAt).toLocaleString() : 'never'}
+            (every ${vault.intervalMs / 1000}s)
+        </div>
+        <p>PID database: ${database.ok ? `OK (${database.users} users)` : `<strong>Failed: ${escapeHtml(database.error)}</strong>`}</p>
+        
+        <h2>Vault Endpoints</h2>
+        <table>
+            <tr><th>URL</th><th>Health</th><th>Instance</th><th>Mode</th><th>Latency</th><th>Circuit</th></tr>
+            ${endpointRows}
+        </table>
+        
+        <h2>Last ${formatDuration(vault.stats.windowSeconds)}</h2>
+        <p>
+            Availability: ${vault.stats.availabilityPercent === null ? '-' : `${vault.stats.availabilityPercent}%`}
+            (${vault.stats.samples} checks)<br>
+            Latency: avg ${ms(vault.stats.latencyMs.avg)}, p50 ${ms(vault.stats.latencyMs.p50)},
+            p95 ${ms(vault.stats.latencyMs.p95)}, max ${ms(vault.stats.latencyMs.max)}
+        </p>
+        
+        <h2>Recent Outages</h2>
+        <table>
+            <tr><th>Started</th><th>Ended</th><th>Duration</th><th>Kind</th><th>Detail</th></tr>
+            ${outageRows}
+        </table>
+    `);
+    res.send(html);
 });
 
-// POST /admin/remove-app - Remove app from user
-app.post('/admin/remove-app', requireAdmin, (req, res) => {
-    const { userId, appId } = req.body;
-    const result = db.removeAppFromUser(parseInt(userId), appId);
+// ============================================================================
+// API: HEALTH, METRICS & KEYS
+// ============================================================================
+
+// GET /.well-known/jwks.json - Public keys for verifying JWT plugin tokens
+app.get('/.well-known/jwks.json', (req, res) => {
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json(jwt.jwks());
+});
+
+// GET /metrics - Prometheus scrape endpoint, bearer METRICS_TOKEN (see metrics.js)
+app.get('/metrics', metrics.requireMetricsToken, metrics.metricsHandler);
+
+// GET /api/health - PID database plus last known Vault status (unauthenticated).
+// No error text or URLs here: those are on /admin/status.
+app.get('/api/health', (req, res) => {
+    const database = db.healthCheck();
+    const vault = healthMonitor.getStatus();
+    const answered = vault.endpoints.find(e => e.ok);
     
-    if (result.success) {
-        console.log(`[ADMIN] Removed ${appId} from user ${userId}`);
-        res.redirect('/admin?message=App removed');
-    } else {
-        res.redirect(`/admin?error=${encodeURIComponent(result.error)}`);
+    let status = 'ok';
+    if (!database.ok) {
+        status = 'unhealthy';
+    } else if (vault.status !== 'up') {
+        status = 'degraded';
     }
+    
+    res.status(database.ok ? 200 : 503).json({
+        status,
+        service: 'primary-identity',
+        timestamp: new Date().toISOString(),
+        database: { ok: database.ok },
+        vault: {
+            status: vault.status,
+            instance: answered ? answered.instance || null : null,
+            mode: answered ? answered.mode || null : null,
+            checkedAt: vault.checkedAt
+        }
+    });
 });
 
 // ============================================================================
@@ -399,19 +1978,12 @@ app.get('/api/session/status', (req, res) => {
 });
 
 // ============================================================================
-// API: EXTENSION BOOTSTRAP
+// API: EXTENSION BOOTSTRAP & TOKEN REFRESH
 // ============================================================================
 
-app.post('/api/plugin/bootstrap', requireAuth, (req, res) => {
-    const userId = req.session.userId;
-    const username = req.session.username;
-    
-    // Generate plugin token
-    const { token, expiresIn } = db.generatePluginToken(userId);
-    
-    // Get user's allowed apps with login schemas
-    const userApps = db.getUserApps(userId);
-    const apps = userApps.map(app => {
+// User's allowed apps with login schemas
+function pluginApps(userId) {
+    return db.getUserApps(userId).map(app => {
         const appWithSchema = db.getAppWithSchema(app.appId);
         return {
             appId: app.appId,
@@ -419,18 +1991,174 @@ app.post('/api/plugin/bootstrap', requireAuth, (req, res) => {
             loginSchema: appWithSchema ? appWithSchema.loginSchema : null
         };
     });
+}
+
+// Access token for the extension: signed JWT or opaque (see jwt.js)
+function issueAccessToken(user, apps, options) {
+    return jwt.ENABLED
+        ? jwt.issuePluginToken(user, { ...options, apps: apps.map(a => a.appId) })
+        : db.generatePluginToken(user.id, options);
+}
+
+app.post('/api/plugin/bootstrap', requireAuth, (req, res) => {
+    const userId = req.session.userId;
+    const username = req.session.username;
+    const client = { ip: req.ip, userAgent: req.get('User-Agent') || null };
+    
+    const apps = pluginApps(userId);
+    
+    // New sign-in: access token plus the first refresh token of a new family
+    const { familyId, refreshToken, refreshExpiresIn } = db.createRefreshToken(userId, client);
+    const { token, expiresIn } = issueAccessToken({ id: userId, username }, apps, { ...client, familyId });
+    metrics.countBootstrap();
     
-    console.log(`[BOOTSTRAP] Generated pluginToken for ${username}, apps: ${apps.map(a => a.appId).join(', ')}`);
+    authLog.info('Generated pluginToken', { username, apps: apps.map(a => a.appId) });
     
     res.json({
         pluginToken: token,
         expiresIn: expiresIn,
+        refreshToken: refreshToken,
+        refreshExpiresIn: refreshExpiresIn,
         userId: userId,
         username: username,
         apps: apps
     });
 });
 
+// POST /api/plugin/token/refresh - Renew the access token without a PID session cookie
+app.post('/api/plugin/token/refresh', (req, res) => {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+        return res.status(400).json({ error: 'refreshToken is required' });
+    }
+    
+    const client = { ip: req.ip, userAgent: req.get('User-Agent') || null };
+    const rotated = db.rotateRefreshToken(refreshToken, client);
+    if (!rotated.success) {
+        if (rotated.reuse) {
+            metrics.countTokenRefresh('reuse');
+            authLog.warn('Refresh token reused, revoked its token family', { userId: rotated.userId, familyId: rotated.familyId });
+            const owner = db.findUserById(rotated.userId);
+            db.recordAuditEvent({
+                event: 'refresh_token_reuse',
+                outcome: 'denied',
+                userId: rotated.userId,
+                username: owner ? owner.username : null,
+                detail: 'Already-used refresh token presented; all tokens of this sign-in revoked',
+                ip: req.ip,
+                requestId: req.requestId
+            });
+        } else {
+            metrics.countTokenRefresh('rejected');
+        }
+        return res.status(401).json({ error: rotated.error });
+    }
+    
+    const user = db.findUserById(rotated.userId);
+    if (!user) {
+        db.revokeRefreshFamily(rotated.familyId);
+        metrics.countTokenRefresh('rejected');
+        return res.status(401).json({ error: 'User not found' });
+    }
+    
+    const blockedBy = refreshBlockedBy(user);
+    if (blockedBy) {
+        db.revokeRefreshFamily(rotated.familyId);
+        metrics.countTokenRefresh('rejected');
+        db.recordAuditEvent({
+            event: blockedBy === 'enroll' ? 'mfa_required' : 'password_change_required',
+            outcome: 'denied',
+            userId: user.id,
+            username: user.username,
+            detail: 'Token refresh refused; sign-in revoked',
+            ip: req.ip,
+            requestId: req.requestId
+        });
+        return res.status(403).json({
+            error: blockedBy === 'enroll' ? 'MFA enrollment required' : 'Password change required'
+        });
+    }
+    
+    const apps = pluginApps(user.id);
+    const { token, expiresIn } = issueAccessToken(user, apps, { ...client, familyId: rotated.familyId });
+    metrics.countTokenRefresh('success');
+    
+    res.json({
+        pluginToken: token,
+        expiresIn: expiresIn,
+        refreshToken: rotated.refreshToken,
+        refreshExpiresIn: rotated.refreshExpiresIn,
+        userId: user.id,
+        username: user.username,
+        apps: apps
+    });
+});
+
+// POST /api/plugin/token/app - Exchange the sign-in token for one bound to a single app
+app.post('/api/plugin/token/app', requireBearerToken, requireLiveSignIn, (req, res) => {
+    const { appId } = req.body;
+    const { userId, username, familyId } = req.tokenData;
+    
+    if (!appId) {
+        return res.status(400).json({ error: 'appId is required' });
+    }
+    
+    // App-scoped tokens cannot be exchanged again
+    if (!req.tokenData.scopes.includes('token:exchange')) {
+        recordAccessEvent(req, 'scope_missing', { appId, detail: 'token:exchange' });
+        return res.status(403).json({ error: 'Token does not have token:exchange scope' });
+    }
+    
+    if (!db.isUserAllowedApp(userId, appId)) {
+        recordAccessEvent(req, 'app_not_assigned', { appId, detail: `${req.method} ${req.path}` });
+        return res.status(403).json({ error: 'User not authorized for this app' });
+    }
+    
+    // Same sign-in (family) as the exchanged token, so revoking the sign-in revokes this token too
+    const scopes = db.appScopes(appId);
+    const { token, expiresIn } = issueAccessToken({ id: userId, username }, [{ appId }], {
+        ip: req.ip,
+        userAgent: req.get('User-Agent') || null,
+        familyId,
+        scopes,
+        expiresInSeconds: db.APP_TOKEN_TTL_SECONDS
+    });
+    
+    res.json({
+        pluginToken: token,
+        expiresIn: expiresIn,
+        appId: appId,
+        scopes: scopes
+    });
+});
+
+// POST /api/plugin/token/batch - Exchange the sign-in token for a short-lived batch-read token
+app.post('/api/plugin/token/batch', requireBearerToken, requireLiveSignIn, (req, res) => {
+    const { userId, username, familyId } = req.tokenData;
+    
+    if (!req.tokenData.scopes.includes('token:exchange')) {
+        recordAccessEvent(req, 'scope_missing', { detail: 'token:exchange' });
+        return res.status(403).json({ error: 'Token does not have token:exchange scope' });
+    }
+    
+    const apps = pluginApps(userId);
+    const { token, expiresIn } = issueAccessToken({ id: userId, username }, apps, {
+        ip: req.ip,
+        userAgent: req.get('User-Agent') || null,
+        familyId,
+        scopes: db.BATCH_READ_SCOPES,
+        expiresInSeconds: db.APP_TOKEN_TTL_SECONDS
+    });
+    
+    authLog.info('Issued batch-read token', { username });
+    
+    res.json({
+        pluginToken: token,
+        expiresIn: expiresIn,
+        scopes: db.BATCH_READ_SCOPES
+    });
+});
+
 // ============================================================================
 // API: TOKEN INTROSPECTION
 // ============================================================================
@@ -439,10 +2167,14 @@ app.post('/api/token/introspect', (req, res) => {
     const { pluginToken } = req.body;
     
     if (!pluginToken) {
+        metrics.countIntrospectionFailure('introspect');
         return res.status(400).json({ active: false, error: 'pluginToken is required' });
     }
     
     const result = db.introspectToken(pluginToken);
+    if (!result.active) {
+        metrics.countIntrospectionFailure('introspect', result.error);
+    }
     res.json(result);
 });
 
@@ -461,12 +2193,15 @@ app.get('/api/vault/credentials', requireBearerToken, async (req, res) => {
     
     // Check if user is allowed to access this app
     if (!db.isUserAllowedApp(userId, appId)) {
+        recordAccessEvent(req, 'app_not_assigned', { appId, detail: `${req.method} ${req.path}` });
         return res.status(403).json({ error: 'User not authorized for this app' });
     }
     
-    // Check scope
-    if (!req.tokenData.scopes.includes('vault:read')) {
-        return res.status(403).json({ error: 'Token does not have vault:read scope' });
+    // Check scope: the token must be bound to this app (vault:read:<appId>)
+    const scope = `vault:read:${appId}`;
+    if (!req.tokenData.scopes.includes(scope)) {
+        recordAccessEvent(req, 'scope_missing', { appId, detail: scope });
+        return res.status(403).json({ error: `Token does not have ${scope} scope` });
     }
     
     // Get vault_id and call Vault Service
@@ -478,10 +2213,14 @@ app.get('/api/vault/credentials', requireBearerToken, async (req, res) => {
     const result = await vaultClient.read(vaultId, appId);
     
     if (!result.success) {
+        // 404 on read is the normal first-login (learning mode) path, not a failure
+        if (result.status !== 404) {
+            recordAccessEvent(req, 'vault_error', { outcome: 'failure', appId, detail: `${result.status} ${result.error}` });
+        }
         return res.status(result.status).json({ error: result.error });
     }
     
-    console.log(`[VAULT] Returned credentials for ${req.tokenData.username} -> ${appId}`);
+    vaultLog.info('Returned credentials', { username: req.tokenData.username, appId });
     
     // Return extensible fields format
     res.json({
@@ -490,6 +2229,42 @@ app.get('/api/vault/credentials', requireBearerToken, async (req, res) => {
     });
 });
 
+// GET /api/vault/credentials/batch - Credentials for every app assigned to the user
+app.get('/api/vault/credentials/batch', requireBearerToken, async (req, res) => {
+    const userId = req.tokenData.userId;
+    
+    // Dedicated scope, only on tokens from /api/plugin/token/batch: one call returns every secret the user has
+    if (!req.tokenData.scopes.includes('vault:read-batch')) {
+        recordAccessEvent(req, 'scope_missing', { detail: 'vault:read-batch' });
+        return res.status(403).json({ error: 'Token does not have vault:read-batch scope' });
+    }
+    
+    const vaultId = db.getVaultId(userId);
+    if (!vaultId) {
+        return res.status(500).json({ error: 'User vault_id not found' });
+    }
+    
+    // Only assigned apps are ever requested from the Vault
+    const appIds = db.getUserApps(userId).map(app => app.appId);
+    if (appIds.length === 0) {
+        return res.json({ credentials: [], missing: [] });
+    }
+    
+    const result = await vaultClient.readBatch(vaultId, appIds);
+    
+    if (!result.success) {
+        recordAccessEvent(req, 'vault_error', { outcome: 'failure', detail: `${result.status} ${result.error}` });
+        return res.status(result.status).json({ error: result.error });
+    }
+    
+    vaultLog.info('Returned credentials (batch)', { username: req.tokenData.username, apps: Object.keys(result.credentials).length });
+    
+    res.json({
+        credentials: Object.entries(result.credentials).map(([appId, fields]) => ({ appId, fields })),
+        missing: result.missing
+    });
+});
+
 // POST /api/vault/credentials
 app.post('/api/vault/credentials', requireBearerToken, async (req, res) => {
     const { appId, fields } = req.body;
@@ -511,12 +2286,15 @@ app.post('/api/vault/credentials', requireBearerToken, async (req, res) => {
     
     // Check if user is allowed to access this app
     if (!db.isUserAllowedApp(userId, appId)) {
+        recordAccessEvent(req, 'app_not_assigned', { appId, detail: `${req.method} ${req.path}` });
         return res.status(403).json({ error: 'User not authorized for this app' });
     }
     
-    // Check scope
-    if (!req.tokenData.scopes.includes('vault:write')) {
-        return res.status(403).json({ error: 'Token does not have vault:write scope' });
+    // Check scope: the token must be bound to this app (vault:write:<appId>)
+    const scope = `vault:write:${appId}`;
+    if (!req.tokenData.scopes.includes(scope)) {
+        recordAccessEvent(req, 'scope_missing', { appId, detail: scope });
+        return res.status(403).json({ error: `Token does not have ${scope} scope` });
     }
     
     // Get vault_id and call Vault Service
@@ -528,10 +2306,11 @@ app.post('/api/vault/credentials', requireBearerToken, async (req, res) => {
     const result = await vaultClient.write(vaultId, appId, credentialFields);
     
     if (!result.success) {
+        recordAccessEvent(req, 'vault_error', { outcome: 'failure', appId, detail: `${result.status} ${result.error}` });
         return res.status(result.status).json({ error: result.error });
     }
     
-    console.log(`[VAULT] Saved credentials for ${req.tokenData.username} -> ${appId}`);
+    vaultLog.info('Saved credentials', { username: req.tokenData.username, appId });
     
     res.json({ success: true, message: 'Credentials saved' });
 });
@@ -547,12 +2326,15 @@ app.put('/api/vault/password', requireBearerToken, async (req, res) => {
     
     // Check if user is allowed to access this app
     if (!db.isUserAllowedApp(userId, appId)) {
+        recordAccessEvent(req, 'app_not_assigned', { appId, detail: `${req.method} ${req.path}` });
         return res.status(403).json({ error: 'User not authorized for this app' });
     }
     
-    // Check scope
-    if (!req.tokenData.scopes.includes('vault:write')) {
-        return res.status(403).json({ error: 'Token does not have vault:write scope' });
+    // Check scope: the token must be bound to this app (vault:write:<appId>)
+    const scope = `vault:write:${appId}`;
+    if (!req.tokenData.scopes.includes(scope)) {
+        recordAccessEvent(req, 'scope_missing', { appId, detail: scope });
+        return res.status(403).json({ error: `Token does not have ${scope} scope` });
     }
     
     // Get vault_id and call Vault Service
@@ -564,10 +2346,11 @@ app.put('/api/vault/password', requireBearerToken, async (req, res) => {
     const result = await vaultClient.updatePassword(vaultId, appId, newPassword);
     
     if (!result.success) {
+        recordAccessEvent(req, 'vault_error', { outcome: 'failure', appId, detail: `${result.status} ${result.error}` });
         return res.status(result.status).json({ error: result.error });
     }
     
-    console.log(`[VAULT] Updated password for ${req.tokenData.username} -> ${appId}`);
+    vaultLog.info('Updated password', { username: req.tokenData.username, appId });
     
     res.json({ success: true, message: 'Password updated' });
 });
@@ -581,38 +2364,49 @@ app.get('/', (req, res) => {
 });
 
 // ============================================================================
-// START SERVER (with async DB init)
+// START SERVER
 // ============================================================================
 
 async function startServer() {
     try {
-        await db.initDatabase();
+        db.initDatabase();
+        jwt.start();
+        tokenSweeper.start();
         
-        // Check Vault Service health (warn-only, don't crash PID)
-        const vaultHealthy = await vaultClient.healthCheck();
-        if (vaultHealthy) {
-            console.log('[VAULT] ✓ Vault Service reachable at ' + (process.env.VAULT_URL || 'http://localhost:5000'));
+        // Start polling Vault Service health (warn-only, don't crash PID)
+        const vaultHealth = await healthMonitor.start();
+        if (vaultHealth.status !== 'down') {
+            vaultLog.info('Vault Service reachable', { urls: vaultClient.vaultUrls, status: vaultHealth.status });
         } else {
-            console.warn('[VAULT] ⚠ Vault Service unreachable — credential operations will fail');
-            console.warn('[VAULT] Make sure Vault Service is running: cd vault-service && docker-compose up -d');
+            vaultLog.warn('Vault Service unreachable, credential operations will fail', {
+                urls: vaultClient.vaultUrls,
+                hint: 'cd vault-service && docker-compose up -d'
+            });
         }
         
         app.listen(PORT, '127.0.0.1', () => {
-            console.log('========================================');
-            console.log('Primary Identity Service');
-            console.log('========================================');
-            console.log(`Running at: http://localhost:${PORT}`);
-            console.log(`Login page: http://localhost:${PORT}/login`);
-            console.log('');
-            console.log('Demo credentials:');
-            console.log('  Admin: admin / admin123');
-            console.log('  User:  testuser / TestPass123!');
-            console.log('========================================');
+            logger.info('Primary Identity Service running', {
+                url: `http://localhost:${PORT}`,
+                loginPage: `http://localhost:${PORT}/login`
+            });
         });
     } catch (err) {
-        console.error('Failed to start server:', err);
+        logger.error('Failed to start server', { error: err.message, stack: err.stack });
         process.exit(1);
     }
 }
 
+// ============================================================================
+// GRACEFUL SHUTDOWN
+// ============================================================================
+
+function shutdown(signal) {
+    logger.info('Shutting down gracefully', { signal });
+    db.closeDatabase();
+    process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 startServer();
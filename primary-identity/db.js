@@ -1,103 +1,73 @@
 /**
  * Primary Identity Service - Database Module
  * 
- * SQLite database setup with seed data using sql.js (pure JavaScript).
+ * PID's repository: every read and write of users, apps, tokens and audit
+ * events goes through the functions exported here. Storage is native SQLite
+ * via store.js (WAL, crash-safe, shareable between PID processes).
+ * 
+ * On first start, data from the old sql.js file (database.sqlite) is
+ * imported automatically (see legacyImport.js). The schema is defined by
+ * the numbered scripts in migrations/, applied on every start (see migrate.js).
+ * 
+ * Configuration:
+ *   PID_DB_PATH → database file (default primary-identity/pid.db)
  * 
  * SECURITY NOTES (PoC only):
- * - Passwords in vault_credentials are stored as PLAIN TEXT
- *   (Production: encrypt with AES-256-GCM)
- * - pluginToken is a random string
- *   (Production: use JWT or opaque token with proper signing)
+ * - Credentials live in the Vault Service, encrypted at rest with AES-256-GCM
+ * - pluginToken is a random string, stored only as a SHA-256 hash
+ *   (or an ES256 JWT with PLUGIN_TOKEN_FORMAT=jwt, see jwt.js)
  * - This component can be replaced with Keycloak in production
  */
 
-const initSqlJs = require('sql.js');
 const bcrypt = require('bcryptjs');
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const store = require('./store');
+const migrate = require('./migrate');
+const { importLegacyDatabase } = require('./legacyImport');
 const vaultClient = require('./vaultClient');
+const passwordPolicy = require('./passwordPolicy');
+const log = require('./logger').child({ component: 'db' });
 
-const DB_PATH = path.join(__dirname, 'database.sqlite');
+const DB_PATH = process.env.PID_DB_PATH || path.join(__dirname, 'pid.db');
+const LEGACY_DB_PATH = path.join(__dirname, 'database.sqlite');
 const SALT_ROUNDS = 10;
 
-let db = null;
+const { queryOne, queryAll, run } = store;
 
 // ============================================================================
 // DATABASE INITIALIZATION
 // ============================================================================
 
-async function initDatabase() {
-    const SQL = await initSqlJs();
-    
-    // Load existing database or create new one
-    if (fs.existsSync(DB_PATH)) {
-        const fileBuffer = fs.readFileSync(DB_PATH);
-        db = new SQL.Database(fileBuffer);
-        console.log('[DB] Loaded existing database');
-    } else {
-        db = new SQL.Database();
-        console.log('[DB] Created new database');
+/**
+ * Open the database file, importing the old sql.js file first if this is
+ * the first start. Does not touch the schema (see initDatabase).
+ */
+function openDatabase() {
+    if (!fs.existsSync(DB_PATH) && fs.existsSync(LEGACY_DB_PATH)) {
+        const result = importLegacyDatabase(LEGACY_DB_PATH, DB_PATH);
+        if (result.imported) {
+            log.info('Imported sql.js database', { from: LEGACY_DB_PATH, to: DB_PATH, rows: result.rows });
+        } else {
+            log.warn('sql.js database not imported', { from: LEGACY_DB_PATH, error: result.error });
+        }
     }
+    
+    const existed = fs.existsSync(DB_PATH);
+    store.open(DB_PATH);
+    log.info(existed ? 'Opened database' : 'Created new database', { path: DB_PATH });
+}
 
-    // Create tables
-    db.run(`
-        -- Users table
-        CREATE TABLE IF NOT EXISTS users (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            username TEXT UNIQUE NOT NULL,
-            password_hash TEXT NOT NULL,
-            role TEXT NOT NULL CHECK(role IN ('admin', 'user')),
-            vault_id TEXT
-        );
-
-        -- Applications registry
-        CREATE TABLE IF NOT EXISTS apps (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            appId TEXT UNIQUE NOT NULL,
-            origin TEXT NOT NULL,
-            login_schema TEXT DEFAULT NULL
-        );
-
-        -- User ↔ App mapping
-        CREATE TABLE IF NOT EXISTS user_apps (
-            user_id INTEGER,
-            app_id INTEGER,
-            PRIMARY KEY (user_id, app_id),
-            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
-            FOREIGN KEY (app_id) REFERENCES apps(id) ON DELETE CASCADE
-        );
-
-        -- Plugin tokens (for extension bootstrap)
-        CREATE TABLE IF NOT EXISTS plugin_tokens (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            token TEXT UNIQUE NOT NULL,
-            user_id INTEGER NOT NULL,
-            scopes TEXT NOT NULL,
-            expires_at INTEGER NOT NULL,
-            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
-        );
-    `);
-
-    // Migrate existing databases: add vault_id column if missing
-    try {
-        db.run('ALTER TABLE users ADD COLUMN vault_id TEXT');
-        console.log('[DB] Added vault_id column to existing users table');
-        
-        // Generate vault_id for existing users
-        const existingUsers = queryAll('SELECT id FROM users WHERE vault_id IS NULL');
-        existingUsers.forEach(user => {
-            const vaultId = `vault_${user.id}`;
-            run('UPDATE users SET vault_id = ? WHERE id = ?', [vaultId, user.id]);
-        });
-        if (existingUsers.length > 0) {
-            console.log(`[DB] Generated vault_id for ${existingUsers.length} existing users`);
-        }
-    } catch (err) {
-        // Column already exists, ignore
-        if (!err.message.includes('duplicate column')) {
-            console.error('[DB] Migration error:', err.message);
-        }
+function initDatabase() {
+    openDatabase();
+
+    // Bring the schema up to date (migrations/, see migrate.js)
+    const applied = migrate.up();
+    applied.forEach(m => log.info('Applied migration', { version: m.version, name: m.name }));
+    const missing = migrate.status().filter(m => m.missing);
+    if (missing.length > 0) {
+        log.warn('Database has migrations this code does not know about', { migrations: missing.map(m => m.name) });
     }
     
     // Guard: fix any users with NULL or empty vault_id (runs every startup)
@@ -105,22 +75,21 @@ async function initDatabase() {
     if (usersWithoutVault.length > 0) {
         usersWithoutVault.forEach(user => {
             const vaultId = `vault_${user.id}`;
-            db.run('UPDATE users SET vault_id = ? WHERE id = ?', [vaultId, user.id]);
-            console.log(`[DB] Auto-assigned vault_id=${vaultId} for user ${user.username}`);
+            run('UPDATE users SET vault_id = ? WHERE id = ?', [vaultId, user.id]);
+            log.info('Auto-assigned vault_id', { vaultId, username: user.username });
         });
     }
     
     // Seed if needed
     seedDatabase();
-    saveDatabase();
-    
-    return db;
 }
 
-function saveDatabase() {
-    const data = db.export();
-    const buffer = Buffer.from(data);
-    fs.writeFileSync(DB_PATH, buffer);
+/**
+ * Close the database (checkpoints the WAL). Call on shutdown.
+ */
+function closeDatabase() {
+    store.close();
+    log.info('Database closed');
 }
 
 // ============================================================================
@@ -129,13 +98,12 @@ function saveDatabase() {
 
 function seedDatabase() {
     // Check if already seeded
-    const result = db.exec('SELECT id FROM users WHERE username = ?', ['admin']);
-    if (result.length > 0 && result[0].values.length > 0) {
-        console.log('[DB] Database already seeded');
+    if (queryOne('SELECT id FROM users WHERE username = ?', ['admin'])) {
+        log.info('Database already seeded');
         return;
     }
 
-    console.log('[DB] Seeding database...');
+    log.info('Seeding database');
 
     // Default login schema (username + password)
     const defaultSchema = JSON.stringify({
@@ -150,98 +118,51 @@ function seedDatabase() {
         role: { selector: "select[name='role']", type: 'select' }
     });
 
-    // Seed apps with login schemas
-    db.run('INSERT OR IGNORE INTO apps (appId, origin, login_schema) VALUES (?, ?, ?)', ['app_a', 'http://localhost:3001', defaultSchema]);
-    db.run('INSERT OR IGNORE INTO apps (appId, origin, login_schema) VALUES (?, ?, ?)', ['app_b', 'http://localhost:3002', defaultSchema]);
-    db.run('INSERT OR IGNORE INTO apps (appId, origin, login_schema) VALUES (?, ?, ?)', ['app_c', 'http://localhost:3003', defaultSchema]);
-    db.run('INSERT OR IGNORE INTO apps (appId, origin, login_schema) VALUES (?, ?, ?)', ['app_d', 'http://localhost:3004', roleSchema]);
-    console.log('[DB] Seeded 4 apps (including App-D with role schema)');
-
-    // Seed users
     const adminHash = bcrypt.hashSync('admin123', SALT_ROUNDS);
     const userHash = bcrypt.hashSync('TestPass123!', SALT_ROUNDS);
 
-    db.run('INSERT OR IGNORE INTO users (username, password_hash, role) VALUES (?, ?, ?)', ['admin', adminHash, 'admin']);
-    db.run('INSERT OR IGNORE INTO users (username, password_hash, role) VALUES (?, ?, ?)', ['testuser', userHash, 'user']);
-    
-    // Set vault_id for seed users
-    const adminUser = queryOne('SELECT id FROM users WHERE username = ?', ['admin']);
-    const testUser = queryOne('SELECT id FROM users WHERE username = ?', ['testuser']);
-    if (adminUser) run('UPDATE users SET vault_id = ? WHERE id = ?', [`vault_${adminUser.id}`, adminUser.id]);
-    if (testUser) run('UPDATE users SET vault_id = ? WHERE id = ?', [`vault_${testUser.id}`, testUser.id]);
-    
-    console.log('[DB] Seeded 2 users: admin, testuser');
+    // One transaction: a crash mid-seed must not leave a half-seeded database
+    const { testUser, apps } = store.transaction(() => {
+        // Seed apps with login schemas
+        run('INSERT OR IGNORE INTO apps (appId, origin, login_schema) VALUES (?, ?, ?)', ['app_a', 'http://localhost:3001', defaultSchema]);
+        run('INSERT OR IGNORE INTO apps (appId, origin, login_schema) VALUES (?, ?, ?)', ['app_b', 'http://localhost:3002', defaultSchema]);
+        run('INSERT OR IGNORE INTO apps (appId, origin, login_schema) VALUES (?, ?, ?)', ['app_c', 'http://localhost:3003', defaultSchema]);
+        run('INSERT OR IGNORE INTO apps (appId, origin, login_schema) VALUES (?, ?, ?)', ['app_d', 'http://localhost:3004', roleSchema]);
 
-    // Get testuser ID for app assignment
-    const userResult = db.exec('SELECT id, vault_id FROM users WHERE username = ?', ['testuser']);
-    if (userResult.length > 0 && userResult[0].values.length > 0) {
-        const testUserId = userResult[0].values[0][0];
-        const testUserVaultId = userResult[0].values[0][1];
-        
-        // Get all app IDs
-        const appsResult = db.exec('SELECT id, appId FROM apps');
-        if (appsResult.length > 0) {
-            // Assign apps to user
-            appsResult[0].values.forEach(row => {
-                const appId = row[0];
-                db.run('INSERT OR IGNORE INTO user_apps (user_id, app_id) VALUES (?, ?)', [testUserId, appId]);
-            });
-            console.log('[DB] Assigned all apps to testuser');
-            
-            // Seed credentials via Vault Service (async, non-blocking)
-            if (testUserVaultId) {
-                appsResult[0].values.forEach(async row => {
-                    const appIdString = row[1];
-                    try {
-                        await vaultClient.write(testUserVaultId, appIdString, {
-                            username: 'testuser',
-                            password: 'TestPass123!'
-                        });
-                        console.log(`[DB] Seeded vault credentials for testuser -> ${appIdString}`);
-                    } catch (err) {
-                        console.warn(`[DB] Failed to seed vault for ${appIdString}:`, err.message);
-                    }
-                });
-            }
-        }
-    }
-    
-    saveDatabase();
-}
+        // Seed users
+        run('INSERT OR IGNORE INTO users (username, password_hash, role) VALUES (?, ?, ?)', ['admin', adminHash, 'admin']);
+        run('INSERT OR IGNORE INTO users (username, password_hash, role) VALUES (?, ?, ?)', ['testuser', userHash, 'user']);
 
-// ============================================================================
-// HELPER FUNCTIONS
-// ============================================================================
+        // Set vault_id for seed users
+        const adminUser = queryOne('SELECT id FROM users WHERE username = ?', ['admin']);
+        const seededUser = queryOne('SELECT id FROM users WHERE username = ?', ['testuser']);
+        run('UPDATE users SET vault_id = ? WHERE id = ?', [`vault_${adminUser.id}`, adminUser.id]);
+        run('UPDATE users SET vault_id = ? WHERE id = ?', [`vault_${seededUser.id}`, seededUser.id]);
 
-function queryOne(sql, params = []) {
-    const result = db.exec(sql, params);
-    if (result.length === 0 || result[0].values.length === 0) {
-        return null;
-    }
-    const columns = result[0].columns;
-    const values = result[0].values[0];
-    const obj = {};
-    columns.forEach((col, i) => obj[col] = values[i]);
-    return obj;
-}
+        // Assign all apps to testuser
+        const allApps = queryAll('SELECT id, appId FROM apps');
+        allApps.forEach(app => {
+            run('INSERT OR IGNORE INTO user_apps (user_id, app_id) VALUES (?, ?)', [seededUser.id, app.id]);
+        });
 
-function queryAll(sql, params = []) {
-    const result = db.exec(sql, params);
-    if (result.length === 0) {
-        return [];
-    }
-    const columns = result[0].columns;
-    return result[0].values.map(values => {
-        const obj = {};
-        columns.forEach((col, i) => obj[col] = values[i]);
-        return obj;
+        return { testUser: { id: seededUser.id, vault_id: `vault_${seededUser.id}` }, apps: allApps };
     });
-}
+    log.info('Seeded 4 apps (including App-D with role schema)');
+    log.info('Seeded 2 users: admin, testuser');
+    log.info('Assigned all apps to testuser');
 
-function run(sql, params = []) {
-    db.run(sql, params);
-    saveDatabase();
-    return { lastInsertRowid: db.exec('SELECT last_insert_rowid()')[0].values[0][0] };
+    // Seed credentials via Vault Service (async, non-blocking)
+    apps.forEach(async app => {
+        try {
+            await vaultClient.write(testUser.vault_id, app.appId, {
+                username: 'testuser',
+                password: 'TestPass123!'
+            });
+            log.info('Seeded vault credentials for testuser', { appId: app.appId });
+        } catch (err) {
+            log.warn('Failed to seed vault', { appId: app.appId, error: err.message });
+        }
+    });
 }
 
 // ============================================================================
@@ -253,7 +174,7 @@ function findUserByUsername(username) {
 }
 
 function findUserById(id) {
-    return queryOne('SELECT id, username, role, vault_id FROM users WHERE id = ?', [id]);
+    return queryOne('SELECT id, username, role, vault_id, login_mode, must_change_password, password_changed_at FROM users WHERE id = ?', [id]);
 }
 
 function getVaultId(userId) {
@@ -262,24 +183,36 @@ function getVaultId(userId) {
 }
 
 function getAllUsers() {
-    return queryAll('SELECT id, username, role FROM users');
+    return queryAll(`SELECT u.id, u.username, u.role, u.vault_id, u.login_mode, u.must_change_password,
+                            m.enabled_at AS mfa_enabled_at,
+                            (SELECT COUNT(*) FROM webauthn_credentials w WHERE w.user_id = u.id) AS passkey_count
+                     FROM users u LEFT JOIN user_mfa m ON m.user_id = u.id`);
 }
 
-function createUser(username, password, role) {
+/**
+ * @param {string} username
+ * @param {string} password - Must meet the password policy (passwordPolicy.js)
+ * @param {string} role
+ * @param {object} [options]
+ * @param {boolean} [options.mustChangePassword] - User has to pick a new password at first sign-in
+ * @returns {{success: boolean, userId?: number, error?: string}}
+ */
+function createUser(username, password, role, { mustChangePassword = false } = {}) {
+    const problems = passwordPolicy.check(password, username);
+    if (problems.length) {
+        return { success: false, error: problems.join(' ') };
+    }
+    
     const hash = bcrypt.hashSync(password, SALT_ROUNDS);
     try {
-        // Insert user — get rowid IMMEDIATELY before saveDatabase() can reset it
-        db.run('INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)', [username, hash, role]);
-        const rowIdResult = db.exec('SELECT last_insert_rowid()');
-        const userId = rowIdResult[0].values[0][0];
-        
-        // Set vault_id using the captured userId
+        const userId = store.transaction(() => {
+            const { lastInsertRowid } = run('INSERT INTO users (username, password_hash, role, must_change_password) VALUES (?, ?, ?, ?)',
+                [username, hash, role, mustChangePassword ? 1 : 0]);
+            run('UPDATE users SET vault_id = ? WHERE id = ?', [`vault_${lastInsertRowid}`, lastInsertRowid]);
+            return lastInsertRowid;
+        });
         const vaultId = `vault_${userId}`;
-        db.run('UPDATE users SET vault_id = ? WHERE id = ?', [vaultId, userId]);
-        
-        // Save once after both operations complete
-        saveDatabase();
-        console.log(`[DB] Created user ${username} with id=${userId}, vault_id=${vaultId}`);
+        log.info('Created user', { username, userId, vaultId });
         return { success: true, userId };
     } catch (err) {
         if (err.message.includes('UNIQUE constraint')) {
@@ -300,18 +233,25 @@ async function deleteUser(id) {
     if (vaultId) {
         const vaultResult = await vaultClient.deleteVault(vaultId);
         if (!vaultResult.success) {
-            console.error(`[DB] Failed to delete vault for user ${id}:`, vaultResult.error);
+            log.error('Failed to delete vault for user', { userId: id, error: vaultResult.error });
             return { success: false, error: 'Failed to delete vault credentials' };
         }
-        console.log(`[DB] Deleted vault credentials for user ${id}`);
+        log.info('Deleted vault credentials for user', { userId: id });
     }
     
     // Cascade delete: remove all related data for this user
-    run('DELETE FROM user_apps WHERE user_id = ?', [id]);
-    run('DELETE FROM plugin_tokens WHERE user_id = ?', [id]);
-    run('DELETE FROM users WHERE id = ?', [id]);
+    store.transaction(() => {
+        run('DELETE FROM user_apps WHERE user_id = ?', [id]);
+        run('DELETE FROM plugin_tokens WHERE user_id = ?', [id]);
+        run('DELETE FROM refresh_tokens WHERE user_id = ?', [id]);
+        run('DELETE FROM mfa_recovery_codes WHERE user_id = ?', [id]);
+        run('DELETE FROM user_mfa WHERE user_id = ?', [id]);
+        run('DELETE FROM webauthn_credentials WHERE user_id = ?', [id]);
+        run('DELETE FROM password_history WHERE user_id = ?', [id]);
+        run('DELETE FROM users WHERE id = ?', [id]);
+    });
     
-    console.log(`[DB] Deleted user ${id} and all related data`);
+    log.info('Deleted user and all related data', { userId: id });
     return { success: true };
 }
 
@@ -319,6 +259,46 @@ function verifyPassword(user, password) {
     return bcrypt.compareSync(password, user.password_hash);
 }
 
+/**
+ * Set a user's own new password: checks the policy, refuses the current
+ * password and the ones kept in password_history, and clears
+ * must_change_password. Plugin tokens are left to the caller.
+ * @returns {{success: boolean, error?: string}}
+ */
+function changePassword(userId, newPassword) {
+    const user = queryOne('SELECT id, username, password_hash FROM users WHERE id = ?', [userId]);
+    if (!user) {
+        return { success: false, error: 'User not found' };
+    }
+    
+    const problems = passwordPolicy.check(newPassword, user.username);
+    if (problems.length) {
+        return { success: false, error: problems.join(' ') };
+    }
+    
+    const remembered = passwordPolicy.HISTORY_COUNT;
+    if (remembered > 0) {
+        const previous = queryAll('SELECT password_hash FROM password_history WHERE user_id = ? ORDER BY id DESC LIMIT ?',
+            [userId, remembered - 1]);
+        const hashes = [user.password_hash, ...previous.map(row => row.password_hash)];
+        if (hashes.some(hash => bcrypt.compareSync(newPassword, hash))) {
+            return { success: false, error: 'Choose a password you have not used recently.' };
+        }
+    }
+    
+    const hash = bcrypt.hashSync(newPassword, SALT_ROUNDS);
+    const now = Math.floor(Date.now() / 1000);
+    store.transaction(() => {
+        run('INSERT INTO password_history (user_id, password_hash, created_at) VALUES (?, ?, ?)', [userId, user.password_hash, now]);
+        run(`DELETE FROM password_history WHERE user_id = ? AND id NOT IN (
+                 SELECT id FROM password_history WHERE user_id = ? ORDER BY id DESC LIMIT ?)`,
+            [userId, userId, Math.max(remembered - 1, 0)]);
+        run('UPDATE users SET password_hash = ?, must_change_password = 0, password_changed_at = ? WHERE id = ?',
+            [hash, now, userId]);
+    });
+    return { success: true };
+}
+
 // ============================================================================
 // APP FUNCTIONS
 // ============================================================================
@@ -371,18 +351,75 @@ function isUserAllowedApp(userId, appId) {
 // PLUGIN TOKEN FUNCTIONS
 // ============================================================================
 
-function generatePluginToken(userId, scopes = ['vault:read', 'vault:write'], expiresInSeconds = 3600) {
+// Tokens are stored only as a SHA-256 hash; the raw token is returned once, to the extension
+const TOKEN_PREFIX_LENGTH = 12; // 'ptk_' + 8 hex, shown to admins
+const LAST_USED_RESOLUTION_SECONDS = 60; // at most one last_used_at write per token per minute
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Sign-in token from bootstrap/refresh: cannot read or write credentials itself,
+// only be exchanged for an app-scoped token (see appScopes) or a batch-read token
+const DEFAULT_PLUGIN_SCOPES = ['token:exchange'];
+
+// Issued only on request (POST /api/plugin/token/batch): reads every assigned app at once
+const BATCH_READ_SCOPES = ['vault:read-batch'];
+
+const APP_TOKEN_TTL_SECONDS = parseInt(process.env.APP_TOKEN_TTL_SECONDS || '300', 10);
+
+/**
+ * Scopes of a token bound to one app
+ * @param {string} appId
+ * @returns {string[]} e.g. ['vault:read:app_a', 'vault:write:app_a']
+ */
+function appScopes(appId) {
+    return [`vault:read:${appId}`, `vault:write:${appId}`];
+}
+
+/**
+ * Issue an opaque plugin token (ptk_...)
+ * @param {number} userId
+ * @param {object} [options] - See storePluginToken
+ * @returns {{token: string, expiresIn: number}}
+ */
+function generatePluginToken(userId, options = {}) {
     const token = 'ptk_' + crypto.randomBytes(32).toString('hex');
-    const expiresAt = Math.floor(Date.now() / 1000) + expiresInSeconds;
+    return storePluginToken(token, userId, { ...options, prefix: token.slice(0, TOKEN_PREFIX_LENGTH) });
+}
+
+/**
+ * Record an issued token (opaque or JWT) so it can be introspected, listed and revoked
+ * @param {string} token
+ * @param {number} userId
+ * @param {object} [options]
+ * @param {string} [options.prefix] - Shown to admins (default: start of the token)
+ * @param {string[]} [options.scopes]
+ * @param {number} [options.expiresInSeconds=3600]
+ * @param {string} [options.ip] - Address the bootstrap came from
+ * @param {string} [options.userAgent]
+ * @param {string} [options.familyId] - Refresh token family the token was issued for
+ * @returns {{token: string, expiresIn: number}}
+ */
+function storePluginToken(token, userId, {
+    prefix = token.slice(0, TOKEN_PREFIX_LENGTH),
+    scopes = DEFAULT_PLUGIN_SCOPES,
+    expiresInSeconds = 3600,
+    ip = null,
+    userAgent = null,
+    familyId = null
+} = {}) {
+    const now = Math.floor(Date.now() / 1000);
     
-    run('INSERT INTO plugin_tokens (token, user_id, scopes, expires_at) VALUES (?, ?, ?, ?)',
-        [token, userId, JSON.stringify(scopes), expiresAt]);
+    run(`INSERT INTO plugin_tokens (token_hash, token_prefix, user_id, scopes, expires_at, created_at, created_ip, user_agent, family_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [hashToken(token), prefix, userId, JSON.stringify(scopes), now + expiresInSeconds, now, ip, userAgent, familyId]);
     
     return { token, expiresIn: expiresInSeconds };
 }
 
 function introspectToken(token) {
-    const row = queryOne('SELECT * FROM plugin_tokens WHERE token = ?', [token]);
+    const row = queryOne('SELECT * FROM plugin_tokens WHERE token_hash = ?', [hashToken(token)]);
     if (!row) {
         return { active: false, error: 'Token not found' };
     }
@@ -398,8 +435,14 @@ function introspectToken(token) {
         return { active: false, error: 'User not found' };
     }
     
+    if (!row.last_used_at || now - row.last_used_at >= LAST_USED_RESOLUTION_SECONDS) {
+        run('UPDATE plugin_tokens SET last_used_at = ? WHERE id = ?', [now, row.id]);
+    }
+    
     return {
         active: true,
+        tokenId: row.id,
+        familyId: row.family_id,
         userId: row.user_id,
         username: user.username,
         scopes: JSON.parse(row.scopes)
@@ -407,9 +450,511 @@ function introspectToken(token) {
 }
 
 function revokeUserTokens(userId) {
-    run('DELETE FROM plugin_tokens WHERE user_id = ?', [userId]);
+    store.transaction(() => {
+        run('DELETE FROM plugin_tokens WHERE user_id = ?', [userId]);
+        run('DELETE FROM refresh_tokens WHERE user_id = ?', [userId]);
+    });
+}
+
+/**
+ * Unexpired plugin tokens (extension sessions), newest first. Never includes the token itself.
+ * @param {number} [userId] - Only this user's sessions
+ */
+function getPluginTokens(userId = null) {
+    const now = Math.floor(Date.now() / 1000);
+    const sql = `SELECT t.id, t.token_prefix, t.user_id, u.username, t.scopes, t.expires_at,
+                        t.created_at, t.last_used_at, t.created_ip, t.user_agent
+                 FROM plugin_tokens t JOIN users u ON u.id = t.user_id
+                 WHERE t.expires_at >= ?${userId ? ' AND t.user_id = ?' : ''}
+                 ORDER BY t.id DESC`;
+    return queryAll(sql, userId ? [now, userId] : [now]);
+}
+
+/**
+ * Revoke one extension session: the token and, if it came with a refresh
+ * token, the whole refresh family (so the extension cannot renew it)
+ * @returns {object|null} The revoked token's user (id, username), or null if not found
+ */
+function revokePluginToken(id) {
+    const row = queryOne('SELECT t.user_id, t.family_id, u.username FROM plugin_tokens t JOIN users u ON u.id = t.user_id WHERE t.id = ?', [id]);
+    if (!row) return null;
+    store.transaction(() => {
+        run('DELETE FROM plugin_tokens WHERE id = ?', [id]);
+        if (row.family_id) revokeRefreshFamily(row.family_id);
+    });
+    return { id: row.user_id, username: row.username };
+}
+
+// ============================================================================
+// REFRESH TOKEN FUNCTIONS
+// ============================================================================
+
+// Lifetime of an extension sign-in; rotation does not extend it
+const REFRESH_TOKEN_TTL_SECONDS = parseInt(process.env.REFRESH_TOKEN_TTL_SECONDS || '86400', 10);
+
+function insertRefreshToken(userId, familyId, expiresAt, { ip = null, userAgent = null } = {}) {
+    const token = 'prt_' + crypto.randomBytes(32).toString('hex');
+    run(`INSERT INTO refresh_tokens (token_hash, family_id, user_id, created_at, expires_at, created_ip, user_agent)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [hashToken(token), familyId, userId, Math.floor(Date.now() / 1000), expiresAt, ip, userAgent]);
+    return { refreshToken: token, refreshExpiresIn: expiresAt - Math.floor(Date.now() / 1000) };
+}
+
+/**
+ * Start a new refresh token family (one per bootstrap)
+ * @param {number} userId
+ * @param {object} [client] - { ip, userAgent }
+ * @returns {{familyId: string, refreshToken: string, refreshExpiresIn: number}}
+ */
+function createRefreshToken(userId, client = {}) {
+    const familyId = crypto.randomBytes(16).toString('hex');
+    const expiresAt = Math.floor(Date.now() / 1000) + REFRESH_TOKEN_TTL_SECONDS;
+    return { familyId, ...insertRefreshToken(userId, familyId, expiresAt, client) };
+}
+
+/**
+ * Exchange a refresh token for the next one in its family. Each refresh token
+ * works once: presenting one that was already exchanged means it was copied,
+ * so the whole family (and its access tokens) is revoked.
+ * @param {string} token
+ * @param {object} [client] - { ip, userAgent }
+ * @returns {{success: boolean, error?: string, reuse?: boolean, userId?: number,
+ *            familyId?: string, refreshToken?: string, refreshExpiresIn?: number}}
+ */
+function rotateRefreshToken(token, client = {}) {
+    return store.transaction(() => {
+        const row = queryOne('SELECT * FROM refresh_tokens WHERE token_hash = ?', [hashToken(token)]);
+        if (!row) {
+            return { success: false, error: 'Refresh token not found' };
+        }
+        if (row.revoked_at) {
+            return { success: false, error: 'Refresh token revoked', userId: row.user_id };
+        }
+        if (row.used_at) {
+            revokeRefreshFamily(row.family_id);
+            return { success: false, error: 'Refresh token reuse detected', reuse: true, userId: row.user_id, familyId: row.family_id };
+        }
+        const now = Math.floor(Date.now() / 1000);
+        if (now >= row.expires_at) {
+            return { success: false, error: 'Refresh token expired', userId: row.user_id };
+        }
+        
+        run('UPDATE refresh_tokens SET used_at = ? WHERE id = ?', [now, row.id]);
+        return {
+            success: true,
+            userId: row.user_id,
+            familyId: row.family_id,
+            ...insertRefreshToken(row.user_id, row.family_id, row.expires_at, client)
+        };
+    }, 'immediate');
+}
+
+/**
+ * Whether a sign-in can still be renewed: some refresh token in the family is
+ * neither revoked nor expired (revokeUserTokens deletes them outright)
+ * @param {string} familyId
+ * @returns {boolean}
+ */
+function isRefreshFamilyActive(familyId) {
+    return !!queryOne('SELECT 1 FROM refresh_tokens WHERE family_id = ? AND revoked_at IS NULL AND expires_at > ? LIMIT 1',
+        [familyId, Math.floor(Date.now() / 1000)]);
+}
+
+/**
+ * Revoke every refresh token in a family and delete its access tokens
+ */
+function revokeRefreshFamily(familyId) {
+    store.transaction(() => {
+        run('UPDATE refresh_tokens SET revoked_at = ? WHERE family_id = ? AND revoked_at IS NULL',
+            [Math.floor(Date.now() / 1000), familyId]);
+        run('DELETE FROM plugin_tokens WHERE family_id = ?', [familyId]);
+    });
+}
+
+
+// ============================================================================
+// TOKEN CLEANUP FUNCTIONS (see tokenSweeper.js)
+// Each call handles at most `limit` rows and returns how many it removed.
+// ============================================================================
+
+function deleteExpiredPluginTokens(now, limit) {
+    return run('DELETE FROM plugin_tokens WHERE id IN (SELECT id FROM plugin_tokens WHERE expires_at < ? LIMIT ?)', [now, limit]).changes;
 }
 
+function deleteExpiredRefreshTokens(now, limit) {
+    return run('DELETE FROM refresh_tokens WHERE id IN (SELECT id FROM refresh_tokens WHERE expires_at < ? LIMIT ?)', [now, limit]).changes;
+}
+
+function deleteRevokedRefreshTokens(limit) {
+    return run('DELETE FROM refresh_tokens WHERE id IN (SELECT id FROM refresh_tokens WHERE revoked_at IS NOT NULL LIMIT ?)', [limit]).changes;
+}
+
+/**
+ * Failure counters with no failure since `before` and no lock still running
+ */
+function deleteStaleLoginFailures(before, now, limit) {
+    return run(`DELETE FROM login_failures WHERE rowid IN (
+                    SELECT rowid FROM login_failures
+                    WHERE last_failure_at < ? AND (locked_until IS NULL OR locked_until <= ?) LIMIT ?)`,
+        [before, now, limit]).changes;
+}
+
+/**
+ * Revoke each user's oldest extension sessions beyond `cap`. A session is a
+ * live refresh token family, or a plugin token issued without one.
+ */
+function revokeSessionsOverCap(cap, now, limit) {
+    const excess = queryAll(`
+        SELECT kind, ref FROM (
+            SELECT kind, ref, ROW_NUMBER() OVER (PARTITION BY user_id ORDER BY started DESC) AS position
+            FROM (
+                SELECT user_id, 'family' AS kind, family_id AS ref, MIN(created_at) AS started
+                FROM refresh_tokens WHERE revoked_at IS NULL AND expires_at >= ?
+                GROUP BY user_id, family_id
+                UNION ALL
+                SELECT user_id, 'token', CAST(id AS TEXT), created_at
+                FROM plugin_tokens WHERE family_id IS NULL AND expires_at >= ?
+            )
+        )
+        WHERE position > ?
+        LIMIT ?`, [now, now, cap, limit]);
+    
+    store.transaction(() => {
+        excess.forEach(session => {
+            if (session.kind === 'family') {
+                revokeRefreshFamily(session.ref);
+            } else {
+                run('DELETE FROM plugin_tokens WHERE id = ?', [Number(session.ref)]);
+            }
+        });
+    });
+    return excess.length;
+}
+
+// ============================================================================
+// MFA FUNCTIONS (TOTP, see totp.js)
+// ============================================================================
+
+/**
+ * @returns {{user_id: number, secret: string, enabled_at: number, last_used_step: number|null}|null}
+ */
+function getMfa(userId) {
+    return queryOne('SELECT * FROM user_mfa WHERE user_id = ?', [userId]);
+}
+
+/**
+ * Turn on MFA with a confirmed secret, replacing any previous secret and recovery codes
+ * @param {number} userId
+ * @param {string} secret - base32
+ * @param {number} confirmedStep - Time step of the code that confirmed enrollment
+ * @param {string[]} recoveryCodes - Normalized plain codes; only their hashes are stored
+ */
+function enableMfa(userId, secret, confirmedStep, recoveryCodes) {
+    store.transaction(() => {
+        run(`INSERT OR REPLACE INTO user_mfa (user_id, secret, enabled_at, last_used_step)
+             VALUES (?, ?, ?, ?)`, [userId, secret, Math.floor(Date.now() / 1000), confirmedStep]);
+        insertRecoveryCodes(userId, recoveryCodes);
+    });
+}
+
+function disableMfa(userId) {
+    store.transaction(() => {
+        run('DELETE FROM mfa_recovery_codes WHERE user_id = ?', [userId]);
+        run('DELETE FROM user_mfa WHERE user_id = ?', [userId]);
+    });
+}
+
+/**
+ * Accept a TOTP time step only once: fails if it is not newer than the last one used
+ * @returns {boolean}
+ */
+function recordTotpStep(userId, step) {
+    const { changes } = run(`UPDATE user_mfa SET last_used_step = ?
+                             WHERE user_id = ? AND (last_used_step IS NULL OR last_used_step < ?)`,
+        [step, userId, step]);
+    return changes === 1;
+}
+
+function insertRecoveryCodes(userId, codes) {
+    run('DELETE FROM mfa_recovery_codes WHERE user_id = ?', [userId]);
+    codes.forEach(code => {
+        run('INSERT INTO mfa_recovery_codes (user_id, code_hash) VALUES (?, ?)', [userId, hashToken(code)]);
+    });
+}
+
+/**
+ * Invalidate the remaining recovery codes and store new ones
+ * @param {string[]} codes - Normalized plain codes
+ */
+function replaceRecoveryCodes(userId, codes) {
+    store.transaction(() => insertRecoveryCodes(userId, codes));
+}
+
+/**
+ * Use up a recovery code
+ * @param {string} code - Normalized (totp.normalizeRecoveryCode)
+ * @returns {boolean} Whether it was valid and unused
+ */
+function useRecoveryCode(userId, code) {
+    const { changes } = run(`UPDATE mfa_recovery_codes SET used_at = ?
+                             WHERE user_id = ? AND code_hash = ? AND used_at IS NULL`,
+        [Math.floor(Date.now() / 1000), userId, hashToken(code)]);
+    return changes === 1;
+}
+
+function countRecoveryCodes(userId) {
+    return queryOne('SELECT COUNT(*) AS count FROM mfa_recovery_codes WHERE user_id = ? AND used_at IS NULL', [userId]).count;
+}
+
+/**
+ * @returns {string[]} Roles that must use MFA
+ */
+function getMfaRequiredRoles() {
+    return queryAll('SELECT role FROM mfa_role_policy ORDER BY role').map(row => row.role);
+}
+
+function isMfaRequired(role) {
+    return !!queryOne('SELECT 1 FROM mfa_role_policy WHERE role = ?', [role]);
+}
+
+/**
+ * Replace the MFA policy
+ * @param {string[]} roles - Roles that must use MFA from now on
+ */
+function setMfaRequiredRoles(roles) {
+    const now = Math.floor(Date.now() / 1000);
+    store.transaction(() => {
+        run('DELETE FROM mfa_role_policy');
+        roles.forEach(role => run('INSERT INTO mfa_role_policy (role, updated_at) VALUES (?, ?)', [role, now]));
+    });
+}
+
+// ============================================================================
+// WEBAUTHN CREDENTIAL FUNCTIONS (passkeys, see webauthn.js)
+// ============================================================================
+
+// password: passkeys optional; passkey+password: both required; passkey: no password login
+const LOGIN_MODES = ['password', 'passkey+password', 'passkey'];
+
+/**
+ * Registered passkeys, newest first
+ * @param {number} [userId] - Only this user's
+ */
+function getWebAuthnCredentials(userId = null) {
+    const sql = `SELECT w.*, u.username FROM webauthn_credentials w JOIN users u ON u.id = w.user_id
+                 ${userId ? 'WHERE w.user_id = ?' : ''} ORDER BY w.id DESC`;
+    return queryAll(sql, userId ? [userId] : []);
+}
+
+/**
+ * @param {string} credentialId - base64url, as in the authenticator's response
+ */
+function findWebAuthnCredential(credentialId) {
+    return queryOne('SELECT * FROM webauthn_credentials WHERE credential_id = ?', [credentialId]);
+}
+
+/**
+ * @param {number} userId
+ * @param {object} credential - From webauthn.verifyRegistration()
+ * @param {string} name - Shown to the user and admins
+ */
+function addWebAuthnCredential(userId, { credentialId, publicKey, counter, transports, aaguid, backedUp }, name) {
+    run(`INSERT INTO webauthn_credentials (user_id, credential_id, public_key, counter, transports, name, aaguid, backed_up, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [userId, credentialId, publicKey, counter, transports ? JSON.stringify(transports) : null, name, aaguid,
+            backedUp ? 1 : 0, Math.floor(Date.now() / 1000)]);
+}
+
+function recordWebAuthnUse(id, counter) {
+    run('UPDATE webauthn_credentials SET counter = ?, last_used_at = ? WHERE id = ?',
+        [counter, Math.floor(Date.now() / 1000), id]);
+}
+
+/**
+ * Remove a passkey. Removing a user's last one switches them back to password login.
+ * @param {number} id
+ * @param {number} [userId] - Only if it belongs to this user
+ * @returns {object|null} The removed row (with username), or null if not found
+ */
+function deleteWebAuthnCredential(id, userId = null) {
+    return store.transaction(() => {
+        const row = queryOne(`SELECT w.*, u.username FROM webauthn_credentials w JOIN users u ON u.id = w.user_id
+                              WHERE w.id = ?${userId ? ' AND w.user_id = ?' : ''}`, userId ? [id, userId] : [id]);
+        if (!row) return null;
+        
+        run('DELETE FROM webauthn_credentials WHERE id = ?', [id]);
+        if (!queryOne('SELECT 1 FROM webauthn_credentials WHERE user_id = ?', [row.user_id])) {
+            run("UPDATE users SET login_mode = 'password' WHERE id = ?", [row.user_id]);
+        }
+        return row;
+    });
+}
+
+/**
+ * @param {number} userId
+ * @param {string} mode - One of LOGIN_MODES; anything but 'password' needs a registered passkey
+ * @returns {{success: boolean, error?: string}}
+ */
+function setLoginMode(userId, mode) {
+    if (!LOGIN_MODES.includes(mode)) {
+        return { success: false, error: 'Unknown login mode' };
+    }
+    if (mode !== 'password' && !queryOne('SELECT 1 FROM webauthn_credentials WHERE user_id = ?', [userId])) {
+        return { success: false, error: 'Register a passkey first' };
+    }
+    run('UPDATE users SET login_mode = ? WHERE id = ?', [mode, userId]);
+    return { success: true };
+}
+
+// ============================================================================
+// LOGIN FAILURE FUNCTIONS (throttling, see loginThrottle.js)
+// ============================================================================
+
+/**
+ * @param {string} kind - 'username' or 'ip'
+ * @param {string} key
+ */
+function getLoginFailures(kind, key) {
+    return queryOne('SELECT * FROM login_failures WHERE kind = ? AND key = ?', [kind, key]);
+}
+
+/**
+ * Count a failed sign-in, starting over if the last failure is older than the
+ * window, and lock the key once it reaches the threshold.
+ * @param {string} kind - 'username' or 'ip'
+ * @param {string} key
+ * @param {{windowSeconds: number, lockoutThreshold: number, lockoutSeconds: number}} policy
+ * @returns {{failures: number, lockedUntil: number|null, lockedNow: boolean}}
+ */
+function recordLoginFailure(kind, key, { windowSeconds, lockoutThreshold, lockoutSeconds }) {
+    return store.transaction(() => {
+        const now = Math.floor(Date.now() / 1000);
+        const row = getLoginFailures(kind, key);
+        const fresh = row && (now - row.last_failure_at <= windowSeconds || row.locked_until > now);
+        const failures = fresh ? row.failures + 1 : 1;
+        const wasLocked = Boolean(fresh && row.locked_until > now);
+        const lockedNow = !wasLocked && failures >= lockoutThreshold;
+        const lockedUntil = lockedNow ? now + lockoutSeconds : (wasLocked ? row.locked_until : null);
+        
+        run(`INSERT INTO login_failures (kind, key, failures, last_failure_at, locked_until) VALUES (?, ?, ?, ?, ?)
+             ON CONFLICT (kind, key) DO UPDATE SET failures = excluded.failures,
+                 last_failure_at = excluded.last_failure_at, locked_until = excluded.locked_until`,
+            [kind, key, failures, now, lockedUntil]);
+        return { failures, lockedUntil, lockedNow };
+    }, 'immediate');
+}
+
+/**
+ * Successful sign-in or admin unlock
+ * @returns {boolean} Whether there was anything to clear
+ */
+function clearLoginFailures(kind, key) {
+    return run('DELETE FROM login_failures WHERE kind = ? AND key = ?', [kind, key]).changes > 0;
+}
+
+/**
+ * Usernames and IPs currently locked out, latest lock first
+ */
+function getLoginLocks(now) {
+    return queryAll('SELECT * FROM login_failures WHERE locked_until > ? ORDER BY locked_until DESC', [now]);
+}
+
+// ============================================================================
+// SIGNING KEY FUNCTIONS (JWT plugin tokens, see jwt.js)
+// ============================================================================
+
+function getActiveSigningKey() {
+    return queryOne('SELECT * FROM signing_keys WHERE retired_at IS NULL ORDER BY created_at DESC, rowid DESC LIMIT 1');
+}
+
+function getSigningKey(kid) {
+    return queryOne('SELECT * FROM signing_keys WHERE kid = ?', [kid]);
+}
+
+/**
+ * Active key plus keys retired at or after `retiredSince` (still verifying live tokens)
+ */
+function getPublishedSigningKeys(retiredSince) {
+    return queryAll('SELECT * FROM signing_keys WHERE retired_at IS NULL OR retired_at >= ? ORDER BY created_at DESC, rowid DESC', [retiredSince]);
+}
+
+/**
+ * Make a new key the active one, retiring the current one.
+ * @param {{kid: string, privateKey: string, publicJwk: string}} key - privateKey sealed by jwt.js
+ * @param {number|null} [unlessActiveSince] - Skip if the active key was created at or
+ *        after this time (another PID process already rotated)
+ * @returns {boolean} Whether the key was added
+ */
+function addSigningKey({ kid, privateKey, publicJwk }, unlessActiveSince = null) {
+    return store.transaction(() => {
+        const active = getActiveSigningKey();
+        if (active && unlessActiveSince !== null && active.created_at >= unlessActiveSince) {
+            return false;
+        }
+        const now = Math.floor(Date.now() / 1000);
+        run('UPDATE signing_keys SET retired_at = ? WHERE retired_at IS NULL', [now]);
+        run('INSERT INTO signing_keys (kid, private_key, public_jwk, created_at) VALUES (?, ?, ?, ?)',
+            [kid, privateKey, publicJwk, now]);
+        return true;
+    }, 'immediate');
+}
+
+/**
+ * Delete keys retired before `retiredBefore` (every token they signed has expired)
+ * @returns {number} Keys deleted
+ */
+function pruneSigningKeys(retiredBefore) {
+    return run('DELETE FROM signing_keys WHERE retired_at IS NOT NULL AND retired_at < ?', [retiredBefore]).changes;
+}
+
+// ============================================================================
+// AUDIT EVENT FUNCTIONS
+// ============================================================================
+
+function recordAuditEvent({ event, outcome, userId = null, username = null, appId = null, detail = null, ip = null, requestId = null }) {
+    run('INSERT INTO audit_events (event, outcome, user_id, username, app_id, detail, ip, request_id, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+        [event, outcome, userId, username, appId, detail, ip, requestId, Math.floor(Date.now() / 1000)]);
+}
+
+function getAuditEvents({ event, outcome, limit = 200 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (event) { conditions.push('event = ?'); params.push(event); }
+    if (outcome) { conditions.push('outcome = ?'); params.push(outcome); }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return queryAll(`SELECT * FROM audit_events ${where} ORDER BY id DESC LIMIT ?`, [...params, limit]);
+}
+
+// ============================================================================
+// HEALTH FUNCTIONS
+// ============================================================================
+
+function healthCheck() {
+    try {
+        const row = queryOne('SELECT COUNT(*) AS users FROM users');
+        return { ok: true, users: row.users };
+    } catch (err) {
+        return { ok: false, error: err.message };
+    }
+}
+
+function openVaultOutage(kind, detail) {
+    return run('INSERT INTO vault_outages (kind, detail, started_at) VALUES (?, ?, ?)',
+        [kind, detail, Math.floor(Date.now() / 1000)]).lastInsertRowid;
+}
+
+function closeVaultOutage(id) {
+    run('UPDATE vault_outages SET ended_at = ? WHERE id = ?', [Math.floor(Date.now() / 1000), id]);
+}
+
+// An outage still open at startup ended at some unknown point while PID was down
+function closeStaleVaultOutages() {
+    run("UPDATE vault_outages SET ended_at = started_at, detail = COALESCE(detail, '') || ' (end not observed: PID restarted)' WHERE ended_at IS NULL");
+}
+
+function getVaultOutages(limit = 50) {
+    return queryAll('SELECT * FROM vault_outages ORDER BY id DESC LIMIT ?', [limit]);
+}
 
 function getAppWithSchema(appId) {
     const app = queryOne('SELECT * FROM apps WHERE appId = ?', [appId]);
@@ -429,6 +974,10 @@ function getAppWithSchema(appId) {
 
 module.exports = {
     initDatabase,
+    openDatabase,
+    closeDatabase,
+    DB_PATH,
+    LEGACY_DB_PATH,
     
     // User functions
     findUserByUsername,
@@ -437,6 +986,7 @@ module.exports = {
     createUser,
     deleteUser,
     verifyPassword,
+    changePassword,
     getVaultId,
     
     // App functions
@@ -449,8 +999,73 @@ module.exports = {
     
     // Token functions
     generatePluginToken,
+    storePluginToken,
+    DEFAULT_PLUGIN_SCOPES,
+    BATCH_READ_SCOPES,
+    APP_TOKEN_TTL_SECONDS,
+    appScopes,
     introspectToken,
     revokeUserTokens,
+    getPluginTokens,
+    revokePluginToken,
+    
+    // Refresh token functions
+    createRefreshToken,
+    rotateRefreshToken,
+    revokeRefreshFamily,
+    isRefreshFamilyActive,
+    
+    // Token cleanup functions
+    deleteExpiredPluginTokens,
+    deleteExpiredRefreshTokens,
+    deleteRevokedRefreshTokens,
+    deleteStaleLoginFailures,
+    revokeSessionsOverCap,
+    
+    // MFA functions
+    getMfa,
+    enableMfa,
+    disableMfa,
+    recordTotpStep,
+    replaceRecoveryCodes,
+    useRecoveryCode,
+    countRecoveryCodes,
+    getMfaRequiredRoles,
+    isMfaRequired,
+    setMfaRequiredRoles,
+    
+    // WebAuthn credential functions
+    LOGIN_MODES,
+    getWebAuthnCredentials,
+    findWebAuthnCredential,
+    addWebAuthnCredential,
+    recordWebAuthnUse,
+    deleteWebAuthnCredential,
+    setLoginMode,
+    
+    // Login failure functions
+    getLoginFailures,
+    recordLoginFailure,
+    clearLoginFailures,
+    getLoginLocks,
+    
+    // Signing key functions
+    getActiveSigningKey,
+    getSigningKey,
+    getPublishedSigningKeys,
+    addSigningKey,
+    pruneSigningKeys,
+    
+    // Audit event functions
+    recordAuditEvent,
+    getAuditEvents,
+    
+    // Health functions
+    healthCheck,
+    openVaultOutage,
+    closeVaultOutage,
+    closeStaleVaultOutages,
+    getVaultOutages,
     
     // App schema function
     getAppWithSchema
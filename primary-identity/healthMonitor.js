@@ -0,0 +1,159 @@
+/**
+ * Primary Identity Service - Vault Health Monitor
+ *
+ * Polls every configured Vault URL's /health in the background and keeps:
+ *   - the current Vault status: 'up', 'degraded' or 'down'
+ *   - recent samples (latency, which vault instance answered) in memory
+ *   - outages (down/degraded periods) in the vault_outages table
+ *
+ * Status:
+ *   up       → every URL answers and the Vault reports read-write mode
+ *   degraded → some URL fails, or the Vault is in read-only mode
+ *   down     → no URL answers
+ *
+ * Configuration:
+ *   VAULT_HEALTH_INTERVAL_MS → poll interval (default 15000)
+ */
+
+const db = require('./db');
+const vaultClient = require('./vaultClient');
+const log = require('./logger').child({ component: 'health' });
+
+const INTERVAL_MS = parseInt(process.env.VAULT_HEALTH_INTERVAL_MS || '15000', 10);
+const HISTORY_SIZE = 240; // one hour at the default interval
+
+const samples = [];
+let current = { status: 'unknown', checkedAt: null, detail: null, endpoints: [] };
+let openOutage = null; // { id, kind }
+
+/**
+ * Reduce per-URL probe results to one status plus a human-readable reason.
+ */
+function summarize(endpoints) {
+    const answered = endpoints.filter(e => e.ok);
+    const failed = endpoints.filter(e => !e.ok);
+
+    if (answered.length === 0) {
+        return { status: 'down', detail: failed.map(e => `${e.url}: ${e.error}`).join('; ') };
+    }
+    const readOnly = answered.find(e => e.mode === 'read-only');
+    if (readOnly) {
+        return { status: 'degraded', detail: `${readOnly.instance || readOnly.url} is in read-only mode` };
+    }
+    if (failed.length > 0) {
+        return { status: 'degraded', detail: failed.map(e => `${e.url}: ${e.error}`).join('; ') };
+    }
+    return { status: 'up', detail: null };
+}
+
+/**
+ * Open/close vault_outages rows when the status changes.
+ */
+function trackOutage(status, detail) {
+    const kind = status === 'up' ? null : status;
+    if (openOutage && openOutage.kind === kind) return;
+
+    if (openOutage) {
+        db.closeVaultOutage(openOutage.id);
+        log.info('Vault outage ended', { kind: openOutage.kind });
+        openOutage = null;
+    }
+    if (kind) {
+        openOutage = { id: db.openVaultOutage(kind, detail), kind };
+        log.warn('Vault outage started', { kind, detail });
+    }
+}
+
+/**
+ * Probe the Vault once and record the result.
+ * @returns {Promise<object>} The new current status
+ */
+async function poll() {
+    const endpoints = await vaultClient.healthStatus();
+    const { status, detail } = summarize(endpoints);
+    const answered = endpoints.find(e => e.ok);
+
+    samples.push({
+        at: Date.now(),
+        ok: Boolean(answered),
+        latencyMs: answered ? answered.latencyMs : null,
+        instance: answered ? answered.instance : null
+    });
+    if (samples.length > HISTORY_SIZE) samples.shift();
+
+    try {
+        trackOutage(status, detail);
+    } catch (err) {
+        log.error('Failed to record outage', err);
+    }
+
+    current = { status, checkedAt: new Date().toISOString(), detail, endpoints };
+    return current;
+}
+
+/**
+ * Latency and availability over the in-memory sample window.
+ */
+function stats() {
+    const latencies = samples.filter(s => s.ok).map(s => s.latencyMs).sort((a, b) => a - b);
+    const percentile = (p) => latencies.length
+        ? latencies[Math.min(latencies.length - 1, Math.floor(latencies.length * p))]
+        : null;
+
+    return {
+        samples: samples.length,
+        windowSeconds: Math.round(samples.length * INTERVAL_MS / 1000),
+        availabilityPercent: samples.length
+            ? Math.round(1000 * samples.filter(s => s.ok).length / samples.length) / 10
+            : null,
+        latencyMs: {
+            avg: latencies.length ? Math.round(latencies.reduce((a, b) => a + b, 0) / latencies.length) : null,
+            p50: percentile(0.5),
+            p95: percentile(0.95),
+            max: latencies.length ? latencies[latencies.length - 1] : null
+        }
+    };
+}
+
+/**
+ * Everything known about the Vault right now (for /api/health and the status page).
+ */
+function getStatus() {
+    return {
+        ...current,
+        intervalMs: INTERVAL_MS,
+        stats: stats(),
+        circuits: vaultClient.circuitStatus()
+    };
+}
+
+/**
+ * Recent samples, oldest first.
+ * @returns {Array<{at: number, ok: boolean, latencyMs: number|null, instance: string|null}>}
+ */
+function getSamples() {
+    return samples.slice();
+}
+
+/**
+ * Run the first poll, then keep polling in the background.
+ * @returns {Promise<object>} Status after the first poll
+ */
+async function start() {
+    db.closeStaleVaultOutages();
+    const first = await poll();
+
+    const timer = setInterval(() => {
+        poll().catch(err => log.error('Poll failed', err));
+    }, INTERVAL_MS);
+    timer.unref();
+
+    return first;
+}
+
+module.exports = {
+    start,
+    poll,
+    getStatus,
+    getSamples
+};
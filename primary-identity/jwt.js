@@ -0,0 +1,319 @@
+/**
+ * Primary Identity Service - Signed Plugin Tokens (JWT)
+ *
+ * With PLUGIN_TOKEN_FORMAT=jwt, /api/plugin/bootstrap issues a short-lived
+ * ES256 JWT instead of an opaque ptk_ token:
+ *   { iss, sub: userId, username, scopes, apps: [appId...], sid, iat, exp, jti }
+ * (sid = refresh token family). App-scoped tokens from /api/plugin/token/app
+ * are JWTs too, with apps holding just their app.
+ * verify() checks the signature and expiry locally. Public keys are published
+ * at /.well-known/jwks.json so other services can do the same.
+ *
+ * Revocation: every JWT is also recorded (hashed) in plugin_tokens, so
+ * /api/token/introspect, the admin session list and revocation work as for
+ * opaque tokens. PID's own requireBearerToken() also requires that row, so a
+ * revoked JWT stops working there at once; services that check the signature
+ * alone accept it until it expires, which is why the lifetime is short.
+ *
+ * Keys live in signing_keys (shared by every PID process using the same
+ * database). The active key is rotated after JWT_KEY_ROTATION_DAYS; retired
+ * keys stay in the JWKS until the last token they signed has expired.
+ * Private keys are stored encrypted (AES-256-GCM, kid as associated data)
+ * under JWT_KEY_ENCRYPTION_KEY, which is kept outside pid.db: a copy of the
+ * database file alone cannot sign tokens. Every PID process sharing the
+ * database needs the same key.
+ *
+ * Configuration:
+ *   PLUGIN_TOKEN_FORMAT    → opaque (default) | jwt
+ *   JWT_TTL_SECONDS        → token lifetime (default 300)
+ *   JWT_KEY_ROTATION_DAYS  → active key age before rotation (default 30)
+ *   JWT_ISSUER             → iss claim (default primary-identity)
+ *   JWT_KEY_ENCRYPTION_KEY → base64-encoded 32-byte key for the private keys, required
+ *                            in jwt mode (or JWT_KEY_ENCRYPTION_KEY_FILE, a file holding it)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const db = require('./db');
+const log = require('./logger').child({ component: 'jwt' });
+
+const ENABLED = process.env.PLUGIN_TOKEN_FORMAT === 'jwt';
+const TTL_SECONDS = parseInt(process.env.JWT_TTL_SECONDS || '300', 10);
+const ROTATION_SECONDS = Math.round(parseFloat(process.env.JWT_KEY_ROTATION_DAYS || '30') * 86400);
+const ISSUER = process.env.JWT_ISSUER || 'primary-identity';
+const ALG = 'ES256';
+const ROTATION_CHECK_MS = 60 * 60 * 1000;
+
+// kid → KeyObject; keys never change once created
+const privateKeys = new Map();
+const publicKeys = new Map();
+
+// Stored private_key format: v1.<iv>.<auth tag>.<ciphertext>, base64url parts
+const SEALED_PREFIX = 'v1.';
+
+let encryptionKey = null;
+
+function nowSeconds() {
+    return Math.floor(Date.now() / 1000);
+}
+
+function encode(value) {
+    return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function decode(part) {
+    return JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+}
+
+function publicKeyFor(kid) {
+    if (!publicKeys.has(kid)) {
+        const row = db.getSigningKey(kid);
+        if (!row) return null;
+        publicKeys.set(kid, crypto.createPublicKey({ key: JSON.parse(row.public_jwk), format: 'jwk' }));
+    }
+    return publicKeys.get(kid);
+}
+
+// ============================================================================
+// KEYS
+// ============================================================================
+
+function loadEncryptionKey() {
+    const file = process.env.JWT_KEY_ENCRYPTION_KEY_FILE;
+    const encoded = process.env.JWT_KEY_ENCRYPTION_KEY || (file ? fs.readFileSync(file, 'utf8').trim() : null);
+    if (!encoded) {
+        throw new Error('No signing key encryption key configured (set JWT_KEY_ENCRYPTION_KEY or JWT_KEY_ENCRYPTION_KEY_FILE)');
+    }
+    const key = Buffer.from(encoded, 'base64');
+    if (key.length !== 32) {
+        throw new Error('JWT_KEY_ENCRYPTION_KEY must be 32 bytes, base64-encoded');
+    }
+    return key;
+}
+
+function requireEncryptionKey() {
+    if (!encryptionKey) encryptionKey = loadEncryptionKey();
+    return encryptionKey;
+}
+
+function sealPrivateKey(kid, pem) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', requireEncryptionKey(), iv);
+    cipher.setAAD(Buffer.from(kid));
+    const ciphertext = Buffer.concat([cipher.update(pem, 'utf8'), cipher.final()]);
+    return SEALED_PREFIX + [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64url')).join('.');
+}
+
+function openPrivateKey(kid, stored) {
+    if (!stored.startsWith(SEALED_PREFIX)) {
+        throw new Error(`Signing key ${kid} is not encrypted; rotate it`);
+    }
+    const [iv, tag, ciphertext] = stored.slice(SEALED_PREFIX.length).split('.').map(part => Buffer.from(part, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', requireEncryptionKey(), iv);
+    decipher.setAAD(Buffer.from(kid));
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Create a new active signing key, retiring the current one.
+ * @param {object} [options]
+ * @param {boolean} [options.onlyIfDue] - Only rotate if the active key is missing or
+ *        older than JWT_KEY_ROTATION_DAYS (safe for several PID processes to call)
+ * @returns {string|null} New kid, or null if not rotated
+ */
+function rotateKey({ onlyIfDue = false } = {}) {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const kid = crypto.randomBytes(8).toString('hex');
+    const key = {
+        kid,
+        privateKey: sealPrivateKey(kid, privateKey.export({ type: 'pkcs8', format: 'pem' })),
+        publicJwk: JSON.stringify({ ...publicKey.export({ format: 'jwk' }), kid, alg: ALG, use: 'sig' })
+    };
+
+    const now = nowSeconds();
+    if (!db.addSigningKey(key, onlyIfDue ? now - ROTATION_SECONDS : null)) {
+        return null;
+    }
+    const pruned = db.pruneSigningKeys(now - TTL_SECONDS);
+    log.info('Rotated signing key', { kid, prunedKeys: pruned });
+    return kid;
+}
+
+/**
+ * Published keys for /.well-known/jwks.json
+ * @returns {{keys: object[]}}
+ */
+function jwks() {
+    const keys = db.getPublishedSigningKeys(nowSeconds() - TTL_SECONDS);
+    return { keys: keys.map(k => JSON.parse(k.public_jwk)) };
+}
+
+/**
+ * @returns {{kid: string, createdAt: number, retiredAt: number|null}[]} Published keys, newest first
+ */
+function getKeys() {
+    return db.getPublishedSigningKeys(nowSeconds() - TTL_SECONDS).map(k => ({
+        kid: k.kid,
+        createdAt: k.created_at,
+        retiredAt: k.retired_at
+    }));
+}
+
+// ============================================================================
+// TOKENS
+// ============================================================================
+
+function sign(payload) {
+    let key = db.getActiveSigningKey();
+    if (!key) {
+        rotateKey({ onlyIfDue: true });
+        key = db.getActiveSigningKey();
+    }
+    if (!privateKeys.has(key.kid)) {
+        privateKeys.set(key.kid, crypto.createPrivateKey(openPrivateKey(key.kid, key.private_key)));
+    }
+
+    const input = `${encode({ alg: ALG, typ: 'JWT', kid: key.kid })}.${encode(payload)}`;
+    const signature = crypto.sign('sha256', Buffer.from(input), {
+        key: privateKeys.get(key.kid),
+        dsaEncoding: 'ieee-p1363'
+    });
+    return `${input}.${signature.toString('base64url')}`;
+}
+
+/**
+ * Issue a JWT plugin token and record it in plugin_tokens.
+ * @param {{id: number, username: string}} user
+ * @param {object} options
+ * @param {string[]} options.apps - appIds the user may use
+ * @param {string} [options.ip]
+ * @param {string} [options.userAgent]
+ * @param {string} [options.familyId] - Refresh token family (see db.createRefreshToken)
+ * @param {string[]} [options.scopes] - Default: db.DEFAULT_PLUGIN_SCOPES
+ * @param {number} [options.expiresInSeconds] - Capped at JWT_TTL_SECONDS, which key pruning relies on
+ * @returns {{token: string, expiresIn: number}}
+ */
+function issuePluginToken(user, {
+    apps,
+    ip = null,
+    userAgent = null,
+    familyId = null,
+    scopes = db.DEFAULT_PLUGIN_SCOPES,
+    expiresInSeconds = TTL_SECONDS
+}) {
+    const jti = crypto.randomBytes(16).toString('hex');
+    const ttl = Math.min(expiresInSeconds, TTL_SECONDS);
+    const iat = nowSeconds();
+
+    const token = sign({
+        iss: ISSUER,
+        sub: String(user.id),
+        username: user.username,
+        scopes,
+        apps,
+        sid: familyId,
+        iat,
+        exp: iat + ttl,
+        jti
+    });
+    return db.storePluginToken(token, user.id, {
+        prefix: `jwt_${jti.slice(0, 8)}`,
+        scopes,
+        expiresInSeconds: ttl,
+        ip,
+        userAgent,
+        familyId
+    });
+}
+
+/**
+ * @returns {boolean} Whether a bearer token is a JWT rather than an opaque ptk_ token
+ */
+function isJwt(token) {
+    return token.split('.').length === 3;
+}
+
+/**
+ * Check signature, issuer and expiry. No database access unless the kid is new
+ * to this process. Returns the same shape as db.introspectToken().
+ * @returns {{active: boolean, error?: string, familyId?: string|null, userId?: number, username?: string, scopes?: string[], apps?: string[]}}
+ */
+function verify(token) {
+    const [headerPart, payloadPart, signaturePart] = token.split('.');
+    let header;
+    let payload;
+    try {
+        header = decode(headerPart);
+        payload = decode(payloadPart);
+    } catch (err) {
+        return { active: false, error: 'Malformed token' };
+    }
+    if (!header || typeof header !== 'object' || !payload || typeof payload !== 'object') {
+        return { active: false, error: 'Malformed token' };
+    }
+
+    if (header.alg !== ALG || typeof header.kid !== 'string') {
+        return { active: false, error: 'Unsupported algorithm' };
+    }
+    const publicKey = publicKeyFor(header.kid);
+    if (!publicKey) {
+        return { active: false, error: 'Unknown signing key' };
+    }
+    const valid = crypto.verify('sha256', Buffer.from(`${headerPart}.${payloadPart}`), {
+        key: publicKey,
+        dsaEncoding: 'ieee-p1363'
+    }, Buffer.from(signaturePart, 'base64url'));
+    if (!valid) {
+        return { active: false, error: 'Invalid signature' };
+    }
+
+    if (payload.iss !== ISSUER) {
+        return { active: false, error: 'Invalid issuer' };
+    }
+    if (typeof payload.exp !== 'number' || nowSeconds() >= payload.exp) {
+        return { active: false, error: 'Token expired' };
+    }
+
+    return {
+        active: true,
+        familyId: payload.sid || null,
+        userId: Number(payload.sub),
+        username: payload.username,
+        scopes: payload.scopes,
+        apps: payload.apps
+    };
+}
+
+/**
+ * Make sure a signing key exists and rotate it when due (checked hourly).
+ * No-op unless PLUGIN_TOKEN_FORMAT=jwt.
+ */
+function start() {
+    if (!ENABLED) return;
+    requireEncryptionKey();
+
+    const check = () => {
+        try {
+            rotateKey({ onlyIfDue: true });
+        } catch (err) {
+            log.error('Key rotation failed', err);
+        }
+    };
+    check();
+    const timer = setInterval(check, ROTATION_CHECK_MS);
+    timer.unref();
+    log.info('Issuing JWT plugin tokens', { ttlSeconds: TTL_SECONDS, rotationDays: ROTATION_SECONDS / 86400 });
+}
+
+module.exports = {
+    ENABLED,
+    TTL_SECONDS,
+    start,
+    rotateKey,
+    jwks,
+    getKeys,
+    issuePluginToken,
+    isJwt,
+    verify
+};
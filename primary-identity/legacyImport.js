@@ -0,0 +1,73 @@
+/**
+ * Primary Identity Service - sql.js Database Import
+ *
+ * Before store.js, PID kept its data in database.sqlite, written whole by
+ * sql.js after every change. That file is a plain SQLite image, so importing
+ * it is a copy into the new database file, not a row-by-row conversion:
+ *   1. open the old file read-only and run an integrity check
+ *   2. VACUUM INTO a temporary file next to the target, switch it to WAL
+ *   3. hard-link it into place — fails if the target appeared meanwhile,
+ *      so two PID processes starting together cannot overwrite each other
+ *
+ * The old file is left untouched. Runs automatically on startup when the
+ * new database does not exist yet (db.js), or by hand:
+ *   npm run import-sqljs
+ */
+
+const fs = require('fs');
+const Database = require('better-sqlite3');
+
+/**
+ * Copy a sql.js database file into a new native SQLite database.
+ * @param {string} legacyPath - Existing sql.js file (e.g. database.sqlite)
+ * @param {string} targetPath - New database file; must not exist
+ * @returns {{imported: boolean, error?: string, rows?: Object<string, number>}}
+ */
+function importLegacyDatabase(legacyPath, targetPath) {
+    if (!fs.existsSync(legacyPath)) {
+        return { imported: false, error: `${legacyPath} not found` };
+    }
+    if (fs.existsSync(targetPath)) {
+        return { imported: false, error: `${targetPath} already exists` };
+    }
+
+    const legacy = new Database(legacyPath, { readonly: true, fileMustExist: true });
+    const tmpPath = `${targetPath}.import-${process.pid}`;
+    let rows;
+    try {
+        const integrity = legacy.pragma('integrity_check', { simple: true });
+        if (integrity !== 'ok') {
+            return { imported: false, error: `Integrity check failed: ${integrity}` };
+        }
+
+        rows = {};
+        const tables = legacy.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'").all();
+        for (const { name } of tables) {
+            rows[name] = legacy.prepare(`SELECT COUNT(*) AS count FROM "${name}"`).get().count;
+        }
+
+        fs.rmSync(tmpPath, { force: true });
+        legacy.prepare('VACUUM INTO ?').run(tmpPath);
+    } finally {
+        legacy.close();
+    }
+
+    const copy = new Database(tmpPath);
+    copy.pragma('journal_mode = WAL');
+    copy.close();
+
+    try {
+        fs.linkSync(tmpPath, targetPath);
+    } catch (err) {
+        if (err.code !== 'EEXIST') throw err;
+        return { imported: false, error: `${targetPath} was created by another process` };
+    } finally {
+        fs.rmSync(tmpPath, { force: true });
+        fs.rmSync(`${tmpPath}-wal`, { force: true });
+        fs.rmSync(`${tmpPath}-shm`, { force: true });
+    }
+
+    return { imported: true, rows };
+}
+
+module.exports = { importLegacyDatabase };
@@ -0,0 +1,122 @@
+/**
+ * Primary Identity Service - Structured Logger
+ *
+ * One JSON object per line on stdout (stderr for warn/error):
+ *   {"time":"...","level":"info","service":"primary-identity","instance":"pid",
+ *    "component":"vault-client","requestId":"...","msg":"read","vaultId":"vault_1","appId":"app_a"}
+ *
+ * Request correlation:
+ *   requestLogging() gives every incoming request a fresh id, returned to the
+ *   caller (the extension) in X-Request-Id. vaultClient forwards the same id
+ *   to the Vault, which logs it and stores it in audit_log.request_id, so one
+ *   auto-login can be followed from extension to PID to Vault. The id is
+ *   carried with AsyncLocalStorage, so helpers do not need `req`.
+ *
+ * The Vault's logger.js emits the same format; keep the two in step.
+ *
+ * Configuration:
+ *   INSTANCE_NAME → instance field (default 'pid')
+ *   LOG_LEVEL     → debug | info | warn | error (default info)
+ *   LOG_FORMAT    → json (default) | text (one readable line, for local runs)
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const SERVICE = 'primary-identity';
+const INSTANCE = process.env.INSTANCE_NAME || 'pid';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+const TEXT_FORMAT = process.env.LOG_FORMAT === 'text';
+
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * @returns {string|undefined} Id of the request currently being handled
+ */
+function requestId() {
+    const store = requestContext.getStore();
+    return store ? store.requestId : undefined;
+}
+
+function write(level, bindings, msg, fields) {
+    if (LEVELS[level] < MIN_LEVEL) return;
+
+    const extra = fields instanceof Error ? { error: fields.message } : fields;
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        service: SERVICE,
+        instance: INSTANCE,
+        ...bindings,
+        requestId: requestId(),
+        msg,
+        ...extra
+    };
+
+    let line;
+    if (TEXT_FORMAT) {
+        const { time, service, instance, component, msg: text, ...rest } = entry;
+        const pairs = Object.entries(rest)
+            .filter(([key, value]) => key !== 'level' && value !== undefined)
+            .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`);
+        line = `${time} ${level.toUpperCase()} [${instance}${component ? `/${component}` : ''}] ${text} ${pairs.join(' ')}`.trimEnd();
+    } else {
+        line = JSON.stringify(entry);
+    }
+
+    (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line + '\n');
+}
+
+/**
+ * @param {object} bindings - Fields added to every entry, e.g. { component: 'db' }
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function, child: Function}}
+ *          Each level takes (msg, fields?) where fields is an object or an Error
+ */
+function createLogger(bindings = {}) {
+    return {
+        debug: (msg, fields) => write('debug', bindings, msg, fields),
+        info: (msg, fields) => write('info', bindings, msg, fields),
+        warn: (msg, fields) => write('warn', bindings, msg, fields),
+        error: (msg, fields) => write('error', bindings, msg, fields),
+        child: (more) => createLogger({ ...bindings, ...more })
+    };
+}
+
+const logger = createLogger();
+const httpLog = logger.child({ component: 'http' });
+
+/**
+ * Express middleware: assign a request id, return it in X-Request-Id, run the
+ * rest of the request inside its logging context and write one access log
+ * line when the response is sent. Mount after the body parsers, which would
+ * otherwise drop the context.
+ */
+function requestLogging(req, res, next) {
+    req.requestId = crypto.randomUUID();
+    res.set('X-Request-Id', req.requestId);
+
+    const start = Date.now();
+    requestContext.run({ requestId: req.requestId }, () => {
+        res.on('finish', () => {
+            requestContext.run({ requestId: req.requestId }, () => {
+                httpLog.info('Request', {
+                    method: req.method,
+                    path: req.path,
+                    status: res.statusCode,
+                    durationMs: Date.now() - start,
+                    user: req.session && req.session.username,
+                    userId: req.tokenData && req.tokenData.userId
+                });
+            });
+        });
+        next();
+    });
+}
+
+module.exports = {
+    ...logger,
+    requestId,
+    requestLogging
+};
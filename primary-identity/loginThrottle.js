@@ -0,0 +1,119 @@
+/**
+ * Primary Identity Service - Login Throttling
+ *
+ * Failed password sign-ins and wrong second-step codes are counted per
+ * username and per client IP (login_failures table):
+ *   - after FREE_ATTEMPTS failures for a username (IP_FREE_ATTEMPTS for an IP,
+ *     which may be shared by many users), each attempt has to wait twice as
+ *     long as the one before (1s, 2s, 4s, ... up to BACKOFF_MAX_SECONDS)
+ *   - at LOCKOUT_THRESHOLD failures a username is locked for LOCKOUT_SECONDS,
+ *     an IP at IP_LOCKOUT_THRESHOLD; one more failure after a lock runs out
+ *     locks it again, until the counter resets
+ *   - a counter resets after WINDOW_SECONDS without failures. A successful
+ *     sign-in clears the username's counter but not the IP's, so an attacker
+ *     cannot reset it by signing in to an account of their own
+ * Admins can lift a lock early from /admin.
+ *
+ * An attempt that arrives while its username or IP must wait is refused
+ * without checking the password, and is not counted. Unknown usernames are
+ * counted like real ones, so the responses do not tell which accounts exist.
+ *
+ * Configuration:
+ *   LOGIN_FREE_ATTEMPTS          → failures per username before delays start (default 3)
+ *   LOGIN_IP_FREE_ATTEMPTS       → failures per IP before delays start (default 10)
+ *   LOGIN_BACKOFF_BASE_SECONDS   → first delay (default 1)
+ *   LOGIN_BACKOFF_MAX_SECONDS    → longest delay (default 300)
+ *   LOGIN_LOCKOUT_THRESHOLD      → failures per username before a lock (default 10)
+ *   LOGIN_IP_LOCKOUT_THRESHOLD   → failures per IP before a lock (default 50)
+ *   LOGIN_LOCKOUT_SECONDS        → lock length (default 900)
+ *   LOGIN_FAILURE_WINDOW_SECONDS → quiet time that resets a counter (default 3600)
+ */
+
+const db = require('./db');
+
+const FREE_ATTEMPTS = parseInt(process.env.LOGIN_FREE_ATTEMPTS || '3', 10);
+const IP_FREE_ATTEMPTS = parseInt(process.env.LOGIN_IP_FREE_ATTEMPTS || '10', 10);
+const BACKOFF_BASE_SECONDS = parseInt(process.env.LOGIN_BACKOFF_BASE_SECONDS || '1', 10);
+const BACKOFF_MAX_SECONDS = parseInt(process.env.LOGIN_BACKOFF_MAX_SECONDS || '300', 10);
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD || '10', 10);
+const IP_LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_IP_LOCKOUT_THRESHOLD || '50', 10);
+const LOCKOUT_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_SECONDS || '900', 10);
+const WINDOW_SECONDS = parseInt(process.env.LOGIN_FAILURE_WINDOW_SECONDS || '3600', 10);
+
+const FREE = { username: FREE_ATTEMPTS, ip: IP_FREE_ATTEMPTS };
+const THRESHOLDS = { username: LOCKOUT_THRESHOLD, ip: IP_LOCKOUT_THRESHOLD };
+
+// Seconds until this counter allows another attempt (0 = now)
+function waitFor(row, now) {
+    if (!row) return 0;
+    if (row.locked_until > now) return row.locked_until - now;
+    const free = FREE[row.kind];
+    if (now - row.last_failure_at > WINDOW_SECONDS || row.failures < free) return 0;
+    const delay = Math.min(BACKOFF_BASE_SECONDS * 2 ** (row.failures - free), BACKOFF_MAX_SECONDS);
+    return Math.max(0, row.last_failure_at + delay - now);
+}
+
+/**
+ * May this username try to sign in from this IP now?
+ * @returns {{retryAfter: number, locked: boolean}} retryAfter in seconds, 0 if allowed;
+ *          locked if a lockout (rather than a backoff delay) is the reason
+ */
+function check(username, ip) {
+    const now = Math.floor(Date.now() / 1000);
+    let retryAfter = 0;
+    let locked = false;
+    for (const [kind, key] of [['username', username], ['ip', ip]]) {
+        const row = db.getLoginFailures(kind, key);
+        const wait = waitFor(row, now);
+        if (wait > retryAfter) retryAfter = wait;
+        if (row && row.locked_until > now) locked = true;
+    }
+    return { retryAfter, locked };
+}
+
+/**
+ * Count a failed attempt against the username and the IP
+ * @returns {{failures: number, locked: string[]}} failures: the username's count;
+ *          locked: kinds ('username', 'ip') this failure has just locked
+ */
+function recordFailure(username, ip) {
+    const locked = [];
+    let failures = 0;
+    for (const [kind, key] of [['username', username], ['ip', ip]]) {
+        const result = db.recordLoginFailure(kind, key, {
+            windowSeconds: WINDOW_SECONDS,
+            lockoutThreshold: THRESHOLDS[kind],
+            lockoutSeconds: LOCKOUT_SECONDS
+        });
+        if (kind === 'username') failures = result.failures;
+        if (result.lockedNow) locked.push(kind);
+    }
+    return { failures, locked };
+}
+
+function recordSuccess(username) {
+    db.clearLoginFailures('username', username);
+}
+
+/**
+ * @returns {{freeAttempts: number, ipFreeAttempts: number, lockoutThreshold: number, ipLockoutThreshold: number,
+ *           lockoutSeconds: number, windowSeconds: number}}
+ */
+function getPolicy() {
+    return {
+        freeAttempts: FREE_ATTEMPTS,
+        ipFreeAttempts: IP_FREE_ATTEMPTS,
+        lockoutThreshold: LOCKOUT_THRESHOLD,
+        ipLockoutThreshold: IP_LOCKOUT_THRESHOLD,
+        lockoutSeconds: LOCKOUT_SECONDS,
+        windowSeconds: WINDOW_SECONDS
+    };
+}
+
+module.exports = {
+    WINDOW_SECONDS,
+    check,
+    recordFailure,
+    recordSuccess,
+    getPolicy
+};
@@ -0,0 +1,194 @@
+/**
+ * Primary Identity Service - Prometheus Metrics
+ *
+ * Exposed in Prometheus text format on GET /metrics:
+ *   pid_http_requests_total{method,route,status}
+ *   pid_http_request_duration_seconds{method,route,status}   (histogram)
+ *   pid_vault_request_duration_seconds{endpoint,status}      (histogram, includes retries)
+ *   pid_plugin_bootstraps_total
+ *   pid_plugin_token_refreshes_total{outcome}              (success | rejected | reuse)
+ *   pid_token_introspection_failures_total{source,reason}
+ *   pid_token_sweeper_removed_total{kind}                   (tokenSweeper.js)
+ * plus the prom-client default process metrics (pid_process_*, pid_nodejs_*).
+ *
+ * `route` is the matched Express route (e.g. /admin/users/:id/delete), never
+ * the raw URL, so label cardinality stays bounded; requests that match no
+ * route are 'unmatched'.
+ *
+ * Scrapes must send "Authorization: Bearer <METRICS_TOKEN>". Without a
+ * configured token /metrics stays closed.
+ *
+ * Configuration:
+ *   METRICS_TOKEN → bearer token for /metrics (unset = endpoint disabled)
+ */
+
+const crypto = require('crypto');
+const client = require('prom-client');
+const log = require('./logger').child({ component: 'metrics' });
+
+const PREFIX = 'pid_';
+const METRICS_TOKEN = process.env.METRICS_TOKEN || null;
+
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry, prefix: PREFIX });
+
+const httpRequests = new client.Counter({
+    name: `${PREFIX}http_requests_total`,
+    help: 'HTTP requests handled',
+    labelNames: ['method', 'route', 'status'],
+    registers: [registry]
+});
+
+const httpDuration = new client.Histogram({
+    name: `${PREFIX}http_request_duration_seconds`,
+    help: 'HTTP request latency',
+    labelNames: ['method', 'route', 'status'],
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+    registers: [registry]
+});
+
+const vaultDuration = new client.Histogram({
+    name: `${PREFIX}vault_request_duration_seconds`,
+    help: 'Vault Service call latency, retries included',
+    labelNames: ['endpoint', 'status'],
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    registers: [registry]
+});
+
+const bootstraps = new client.Counter({
+    name: `${PREFIX}plugin_bootstraps_total`,
+    help: 'Plugin tokens issued via /api/plugin/bootstrap',
+    registers: [registry]
+});
+
+const tokenRefreshes = new client.Counter({
+    name: `${PREFIX}plugin_token_refreshes_total`,
+    help: 'Calls to /api/plugin/token/refresh by outcome',
+    labelNames: ['outcome'],
+    registers: [registry]
+});
+
+const introspectionFailures = new client.Counter({
+    name: `${PREFIX}token_introspection_failures_total`,
+    help: 'Plugin tokens that failed introspection',
+    labelNames: ['source', 'reason'],
+    registers: [registry]
+});
+
+const sweptTokens = new client.Counter({
+    name: `${PREFIX}token_sweeper_removed_total`,
+    help: 'Tokens and stale sign-in counters removed, or sessions revoked, by the token sweeper',
+    labelNames: ['kind'],
+    registers: [registry]
+});
+
+// Introspection error → reason label
+const FAILURE_REASONS = {
+    'Token not found': 'not_found',
+    'Token expired': 'expired',
+    'User not found': 'user_not_found',
+    'Token revoked': 'revoked',
+    'Sign-in revoked': 'revoked'
+};
+
+/**
+ * Express middleware: count and time every request once the response is sent
+ */
+function requestMetrics(req, res, next) {
+    const stop = httpDuration.startTimer();
+    res.on('finish', () => {
+        const labels = {
+            method: req.method,
+            route: req.route ? req.baseUrl + req.route.path : 'unmatched',
+            status: String(res.statusCode)
+        };
+        httpRequests.inc(labels);
+        stop(labels);
+    });
+    next();
+}
+
+/**
+ * @param {string} endpoint - e.g. '/internal/vault/read'
+ * @param {number} status - HTTP status of the result (503 when unreachable)
+ * @param {number} durationMs
+ */
+function observeVaultRequest(endpoint, status, durationMs) {
+    vaultDuration.observe({
+        endpoint: endpoint.replace(/^\/internal\/vault\//, ''),
+        status: String(status)
+    }, durationMs / 1000);
+}
+
+function countBootstrap() {
+    bootstraps.inc();
+}
+
+/**
+ * @param {string} outcome - 'success', 'rejected' (unknown/expired/revoked) or 'reuse'
+ */
+function countTokenRefresh(outcome) {
+    tokenRefreshes.inc({ outcome });
+}
+
+/**
+ * @param {string} source - 'bearer' (API middleware) or 'introspect' (/api/token/introspect)
+ * @param {string} [error] - Error from db.introspectToken(); omitted when no token was sent
+ */
+function countIntrospectionFailure(source, error) {
+    const reason = error ? (FAILURE_REASONS[error] || 'invalid') : 'missing';
+    introspectionFailures.inc({ source, reason });
+}
+
+/**
+ * @param {object} removed - Counts from one tokenSweeper.sweep(), keyed by kind
+ */
+function countSweptTokens(removed) {
+    for (const [kind, count] of Object.entries(removed)) {
+        sweptTokens.inc({ kind }, count);
+    }
+}
+
+function digest(value) {
+    return crypto.createHash('sha256').update(value).digest();
+}
+
+/**
+ * Only scrapers holding METRICS_TOKEN get through
+ */
+function requireMetricsToken(req, res, next) {
+    if (!METRICS_TOKEN) {
+        return res.status(404).json({ error: 'Metrics are disabled (set METRICS_TOKEN)' });
+    }
+    const header = req.get('Authorization') || '';
+    const token = header.startsWith('Bearer ') ? header.substring(7) : '';
+    // Compared as hashes so the check takes the same time whatever the length
+    if (!crypto.timingSafeEqual(digest(token), digest(METRICS_TOKEN))) {
+        return res.status(401).json({ error: 'Invalid metrics token' });
+    }
+    next();
+}
+
+/**
+ * GET /metrics handler
+ */
+async function metricsHandler(req, res) {
+    try {
+        res.set('Content-Type', registry.contentType);
+        res.end(await registry.metrics());
+    } catch (err) {
+        log.error('Metrics collection failed', err);
+        res.status(500).json({ error: 'Metrics collection failed' });
+    }
+}
+
+module.exports = {
+    requestMetrics,
+    requireMetricsToken,
+    metricsHandler,
+    observeVaultRequest,
+    countBootstrap,
+    countTokenRefresh,
+    countIntrospectionFailure,
+    countSweptTokens
+};
@@ -0,0 +1,212 @@
+#!/usr/bin/env node
+/**
+ * Primary Identity Service - Schema Migrations
+ *
+ * Schema changes live in migrations/ as numbered scripts:
+ *   migrations/006_app_settings.js → module.exports = { up(db) {...}, down(db) {...} }
+ * where db offers exec(sql), queryOne, queryAll, run and hasColumn(table, column).
+ * Never edit a migration that has shipped; add the next number instead.
+ *
+ * Applied versions are recorded in schema_migrations. Each migration runs in
+ * its own IMMEDIATE transaction together with its schema_migrations row, so
+ * it is applied completely or not at all, and PID processes starting
+ * together cannot apply the same one twice.
+ *
+ * db.initDatabase() applies pending migrations on every start. By hand:
+ *   node migrate.js status     → applied and pending versions (read-only)
+ *   node migrate.js up         → apply all pending
+ *   node migrate.js down [n]   → roll back the last n (default 1)
+ * The CLI opens pid.db directly: it never imports database.sqlite (PID does
+ * that on its first start) and refuses to create pid.db while that import is
+ * still due.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const store = require('./store');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const FILE_PATTERN = /^(\d+)_[\w-]+\.js$/;
+
+// What a migration's up()/down() receives
+const context = {
+    exec: store.exec,
+    queryOne: store.queryOne,
+    queryAll: store.queryAll,
+    run: store.run,
+    hasColumn(table, column) {
+        return store.queryAll(`PRAGMA table_info(${table})`).some(col => col.name === column);
+    }
+};
+
+function ensureTable() {
+    store.exec(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at INTEGER NOT NULL
+        )
+    `);
+}
+
+/**
+ * @returns {{version: number, name: string, file: string}[]} Sorted by version
+ */
+function loadMigrations() {
+    const migrations = fs.readdirSync(MIGRATIONS_DIR)
+        .filter(file => FILE_PATTERN.test(file))
+        .map(file => ({
+            version: parseInt(file.match(FILE_PATTERN)[1], 10),
+            name: path.basename(file, '.js'),
+            file: path.join(MIGRATIONS_DIR, file)
+        }))
+        .sort((a, b) => a.version - b.version);
+
+    for (let i = 1; i < migrations.length; i++) {
+        if (migrations[i].version === migrations[i - 1].version) {
+            throw new Error(`Duplicate migration version ${migrations[i].version}: ${migrations[i - 1].name}, ${migrations[i].name}`);
+        }
+    }
+    return migrations;
+}
+
+/**
+ * Apply all pending migrations in order. The database must be open.
+ * @returns {{version: number, name: string}[]} Migrations applied by this call
+ */
+function up() {
+    ensureTable();
+    const applied = [];
+    for (const migration of loadMigrations()) {
+        const ran = store.transaction(() => {
+            // Re-checked under the write lock: another process may have just applied it
+            if (store.queryOne('SELECT 1 FROM schema_migrations WHERE version = ?', [migration.version])) {
+                return false;
+            }
+            require(migration.file).up(context);
+            store.run('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+                [migration.version, migration.name, Math.floor(Date.now() / 1000)]);
+            return true;
+        }, 'immediate');
+        if (ran) applied.push({ version: migration.version, name: migration.name });
+    }
+    return applied;
+}
+
+/**
+ * Roll back the most recently applied migrations. The database must be open.
+ * @param {number} [steps=1]
+ * @returns {{version: number, name: string}[]} Migrations rolled back, newest first
+ */
+function down(steps = 1) {
+    ensureTable();
+    const files = new Map(loadMigrations().map(m => [m.version, m]));
+    const rolledBack = [];
+    for (let i = 0; i < steps; i++) {
+        const done = store.transaction(() => {
+            const last = store.queryOne('SELECT version, name FROM schema_migrations ORDER BY version DESC LIMIT 1');
+            if (!last) return null;
+            const migration = files.get(last.version);
+            if (!migration) {
+                throw new Error(`Cannot roll back ${last.name}: migration file not found`);
+            }
+            require(migration.file).down(context);
+            store.run('DELETE FROM schema_migrations WHERE version = ?', [last.version]);
+            return { version: last.version, name: last.name };
+        }, 'immediate');
+        if (!done) break;
+        rolledBack.push(done);
+    }
+    return rolledBack;
+}
+
+/**
+ * @returns {{version: number, name: string, appliedAt: number|null, missing: boolean}[]}
+ *          Every known version; missing = applied but its file is gone (newer code rolled back)
+ */
+function status() {
+    const tracked = store.queryOne("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'");
+    const rows = tracked ? store.queryAll('SELECT version, name, applied_at FROM schema_migrations') : [];
+    const applied = new Map(rows.map(row => [row.version, row]));
+    const result = loadMigrations().map(m => ({
+        version: m.version,
+        name: m.name,
+        appliedAt: applied.has(m.version) ? applied.get(m.version).applied_at : null,
+        missing: false
+    }));
+    const known = new Set(result.map(m => m.version));
+    rows.filter(row => !known.has(row.version)).forEach(row => {
+        result.push({ version: row.version, name: row.name, appliedAt: row.applied_at, missing: true });
+    });
+    return result.sort((a, b) => a.version - b.version);
+}
+
+module.exports = {
+    up,
+    down,
+    status
+};
+
+// ============================================================================
+// CLI
+// ============================================================================
+
+function main() {
+    const [command = 'status', arg] = process.argv.slice(2);
+    const { DB_PATH, LEGACY_DB_PATH } = require('./db');
+
+    if (!['up', 'down', 'status'].includes(command)) {
+        console.error(`[MIGRATE] Unknown command "${command}". Usage: node migrate.js up | down [n] | status`);
+        return 1;
+    }
+    if (!fs.existsSync(DB_PATH)) {
+        if (command === 'status') {
+            console.log(`[MIGRATE] No database at ${DB_PATH}; every migration is pending`);
+            return 0;
+        }
+        if (command === 'down') {
+            console.error(`[MIGRATE] No database at ${DB_PATH}`);
+            return 1;
+        }
+        if (fs.existsSync(LEGACY_DB_PATH)) {
+            console.error(`[MIGRATE] ${DB_PATH} does not exist yet: start PID once so ${LEGACY_DB_PATH} is imported first`);
+            return 1;
+        }
+    }
+    store.open(DB_PATH, { readonly: command === 'status' });
+
+    try {
+        if (command === 'up') {
+            const applied = up();
+            applied.forEach(m => console.log(`[MIGRATE] applied ${m.name}`));
+            console.log(`[MIGRATE] ${applied.length ? `${applied.length} applied` : 'Already up to date'}`);
+        } else if (command === 'down') {
+            const steps = arg === undefined ? 1 : parseInt(arg, 10);
+            if (!Number.isInteger(steps) || steps < 1) {
+                console.error('[MIGRATE] down takes a positive number of steps');
+                return 1;
+            }
+            const rolledBack = down(steps);
+            rolledBack.forEach(m => console.log(`[MIGRATE] rolled back ${m.name}`));
+            console.log(`[MIGRATE] ${rolledBack.length ? `${rolledBack.length} rolled back` : 'Nothing to roll back'}`);
+        } else {
+            for (const m of status()) {
+                const state = m.missing ? 'applied, file missing'
+                    : m.appliedAt ? `applied ${new Date(m.appliedAt * 1000).toISOString()}` : 'pending';
+                console.log(`[MIGRATE] ${m.name.padEnd(36)} ${state}`);
+            }
+        }
+        return 0;
+    } finally {
+        store.close();
+    }
+}
+
+if (require.main === module) {
+    try {
+        process.exit(main());
+    } catch (err) {
+        console.error('[MIGRATE] FATAL:', err.message);
+        process.exit(1);
+    }
+}
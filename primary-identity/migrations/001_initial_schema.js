@@ -0,0 +1,52 @@
+/**
+ * 001 — Core tables: users, apps, user_apps, plugin_tokens
+ *
+ * IF NOT EXISTS so databases created before migrations existed (including
+ * imported sql.js files) adopt this version without changes.
+ */
+
+module.exports = {
+    up(db) {
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS users (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                username TEXT UNIQUE NOT NULL,
+                password_hash TEXT NOT NULL,
+                role TEXT NOT NULL CHECK(role IN ('admin', 'user'))
+            );
+
+            CREATE TABLE IF NOT EXISTS apps (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                appId TEXT UNIQUE NOT NULL,
+                origin TEXT NOT NULL,
+                login_schema TEXT DEFAULT NULL
+            );
+
+            CREATE TABLE IF NOT EXISTS user_apps (
+                user_id INTEGER,
+                app_id INTEGER,
+                PRIMARY KEY (user_id, app_id),
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (app_id) REFERENCES apps(id) ON DELETE CASCADE
+            );
+
+            CREATE TABLE IF NOT EXISTS plugin_tokens (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                token TEXT UNIQUE NOT NULL,
+                user_id INTEGER NOT NULL,
+                scopes TEXT NOT NULL,
+                expires_at INTEGER NOT NULL,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            );
+        `);
+    },
+
+    down(db) {
+        db.exec(`
+            DROP TABLE IF EXISTS plugin_tokens;
+            DROP TABLE IF EXISTS user_apps;
+            DROP TABLE IF EXISTS apps;
+            DROP TABLE IF EXISTS users;
+        `);
+    }
+};
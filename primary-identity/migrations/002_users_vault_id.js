@@ -0,0 +1,18 @@
+/**
+ * 002 — users.vault_id: the user's key into the Vault Service
+ *
+ * Existing users get vault_<id>, the same value createUser() assigns.
+ */
+
+module.exports = {
+    up(db) {
+        if (!db.hasColumn('users', 'vault_id')) {
+            db.exec('ALTER TABLE users ADD COLUMN vault_id TEXT');
+        }
+        db.run("UPDATE users SET vault_id = 'vault_' || id WHERE vault_id IS NULL OR vault_id = ''");
+    },
+
+    down(db) {
+        db.exec('ALTER TABLE users DROP COLUMN vault_id');
+    }
+};
@@ -0,0 +1,25 @@
+/**
+ * 003 — audit_events: denials and failures at the PID layer
+ */
+
+module.exports = {
+    up(db) {
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS audit_events (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                event TEXT NOT NULL,
+                outcome TEXT NOT NULL,
+                user_id INTEGER,
+                username TEXT,
+                app_id TEXT,
+                detail TEXT,
+                ip TEXT,
+                created_at INTEGER NOT NULL
+            )
+        `);
+    },
+
+    down(db) {
+        db.exec('DROP TABLE IF EXISTS audit_events');
+    }
+};
@@ -0,0 +1,21 @@
+/**
+ * 004 — vault_outages: Vault availability incidents seen by the health monitor
+ */
+
+module.exports = {
+    up(db) {
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS vault_outages (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                kind TEXT NOT NULL CHECK(kind IN ('down', 'degraded')),
+                detail TEXT,
+                started_at INTEGER NOT NULL,
+                ended_at INTEGER
+            )
+        `);
+    },
+
+    down(db) {
+        db.exec('DROP TABLE IF EXISTS vault_outages');
+    }
+};
@@ -0,0 +1,16 @@
+/**
+ * 005 — audit_events.request_id: correlates a PID audit row with the
+ * request's log lines and the Vault's audit_log
+ */
+
+module.exports = {
+    up(db) {
+        if (!db.hasColumn('audit_events', 'request_id')) {
+            db.exec('ALTER TABLE audit_events ADD COLUMN request_id TEXT');
+        }
+    },
+
+    down(db) {
+        db.exec('ALTER TABLE audit_events DROP COLUMN request_id');
+    }
+};
@@ -0,0 +1,64 @@
+/**
+ * 006 — plugin_tokens: store a SHA-256 hash instead of the bearer token
+ *
+ * token_prefix keeps the first characters (ptk_ + 8 hex) so admins can tell
+ * sessions apart; it is not enough to use the token. Existing tokens are
+ * hashed in place, so extensions already holding one stay signed in.
+ *
+ * down() cannot recover the raw tokens: it recreates the old table empty
+ * and every extension has to bootstrap again.
+ */
+
+const crypto = require('crypto');
+
+module.exports = {
+    up(db) {
+        db.exec(`
+            CREATE TABLE plugin_tokens_hashed (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                token_hash TEXT UNIQUE NOT NULL,
+                token_prefix TEXT NOT NULL,
+                user_id INTEGER NOT NULL,
+                scopes TEXT NOT NULL,
+                expires_at INTEGER NOT NULL,
+                created_at INTEGER,
+                last_used_at INTEGER,
+                created_ip TEXT,
+                user_agent TEXT,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            )
+        `);
+
+        db.queryAll('SELECT id, token, user_id, scopes, expires_at FROM plugin_tokens').forEach(row => {
+            db.run(`INSERT INTO plugin_tokens_hashed (id, token_hash, token_prefix, user_id, scopes, expires_at)
+                    VALUES (?, ?, ?, ?, ?, ?)`, [
+                row.id,
+                crypto.createHash('sha256').update(row.token).digest('hex'),
+                row.token.slice(0, 12),
+                row.user_id,
+                row.scopes,
+                row.expires_at
+            ]);
+        });
+
+        db.exec(`
+            DROP TABLE plugin_tokens;
+            ALTER TABLE plugin_tokens_hashed RENAME TO plugin_tokens;
+            CREATE INDEX idx_plugin_tokens_user_id ON plugin_tokens (user_id);
+        `);
+    },
+
+    down(db) {
+        db.exec(`
+            DROP TABLE plugin_tokens;
+            CREATE TABLE plugin_tokens (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                token TEXT UNIQUE NOT NULL,
+                user_id INTEGER NOT NULL,
+                scopes TEXT NOT NULL,
+                expires_at INTEGER NOT NULL,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            );
+        `);
+    }
+};
@@ -0,0 +1,24 @@
+/**
+ * 007 — signing_keys: ES256 keys for JWT plugin tokens (see jwt.js)
+ *
+ * One active key (retired_at IS NULL); retired keys stay until every token
+ * they signed has expired, so rotation never invalidates a live token.
+ */
+
+module.exports = {
+    up(db) {
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS signing_keys (
+                kid TEXT PRIMARY KEY,
+                private_key TEXT NOT NULL,
+                public_jwk TEXT NOT NULL,
+                created_at INTEGER NOT NULL,
+                retired_at INTEGER
+            )
+        `);
+    },
+
+    down(db) {
+        db.exec('DROP TABLE IF EXISTS signing_keys');
+    }
+};
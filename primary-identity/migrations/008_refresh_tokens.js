@@ -0,0 +1,38 @@
+/**
+ * 008 — refresh_tokens, plus plugin_tokens.family_id
+ *
+ * A family is one extension sign-in: the bootstrap's refresh token and every
+ * refresh token rotated from it. Access tokens carry the family id so reuse
+ * detection can revoke all of them together.
+ */
+
+module.exports = {
+    up(db) {
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS refresh_tokens (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                token_hash TEXT UNIQUE NOT NULL,
+                family_id TEXT NOT NULL,
+                user_id INTEGER NOT NULL,
+                created_at INTEGER NOT NULL,
+                expires_at INTEGER NOT NULL,
+                used_at INTEGER,
+                revoked_at INTEGER,
+                created_ip TEXT,
+                user_agent TEXT,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            );
+            CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family_id ON refresh_tokens (family_id);
+        `);
+        if (!db.hasColumn('plugin_tokens', 'family_id')) {
+            db.exec('ALTER TABLE plugin_tokens ADD COLUMN family_id TEXT');
+        }
+    },
+
+    down(db) {
+        db.exec(`
+            ALTER TABLE plugin_tokens DROP COLUMN family_id;
+            DROP TABLE IF EXISTS refresh_tokens;
+        `);
+    }
+};
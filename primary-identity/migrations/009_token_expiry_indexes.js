@@ -0,0 +1,19 @@
+/**
+ * 009 — Indexes for the token sweeper (tokenSweeper.js), which deletes by expiry
+ */
+
+module.exports = {
+    up(db) {
+        db.exec(`
+            CREATE INDEX IF NOT EXISTS idx_plugin_tokens_expires_at ON plugin_tokens (expires_at);
+            CREATE INDEX IF NOT EXISTS idx_refresh_tokens_expires_at ON refresh_tokens (expires_at);
+        `);
+    },
+
+    down(db) {
+        db.exec(`
+            DROP INDEX IF EXISTS idx_plugin_tokens_expires_at;
+            DROP INDEX IF EXISTS idx_refresh_tokens_expires_at;
+        `);
+    }
+};
@@ -0,0 +1,42 @@
+/**
+ * 010 — TOTP multi-factor authentication
+ *
+ * user_mfa holds one confirmed TOTP secret per user; last_used_step stops a
+ * code from being accepted twice. Recovery codes are stored hashed and can be
+ * used once each. mfa_role_policy lists the roles an admin has made MFA
+ * mandatory for.
+ */
+
+module.exports = {
+    up(db) {
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS user_mfa (
+                user_id INTEGER PRIMARY KEY,
+                secret TEXT NOT NULL,
+                enabled_at INTEGER NOT NULL,
+                last_used_step INTEGER,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            );
+            CREATE TABLE IF NOT EXISTS mfa_recovery_codes (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                code_hash TEXT NOT NULL,
+                used_at INTEGER,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            );
+            CREATE INDEX IF NOT EXISTS idx_mfa_recovery_codes_user_id ON mfa_recovery_codes (user_id);
+            CREATE TABLE IF NOT EXISTS mfa_role_policy (
+                role TEXT PRIMARY KEY,
+                updated_at INTEGER NOT NULL
+            );
+        `);
+    },
+
+    down(db) {
+        db.exec(`
+            DROP TABLE IF EXISTS mfa_role_policy;
+            DROP TABLE IF EXISTS mfa_recovery_codes;
+            DROP TABLE IF EXISTS user_mfa;
+        `);
+    }
+};
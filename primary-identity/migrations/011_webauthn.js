@@ -0,0 +1,41 @@
+/**
+ * 011 — WebAuthn credentials (passkeys), plus users.login_mode
+ *
+ * credential_id and public_key are base64url; counter is the authenticator's
+ * signature counter (0 for most passkeys, which do not keep one).
+ *
+ * login_mode: 'password' (default; registered passkeys are an alternative),
+ * 'passkey+password' (password, then a passkey) or 'passkey' (no password login).
+ */
+
+module.exports = {
+    up(db) {
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS webauthn_credentials (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                credential_id TEXT UNIQUE NOT NULL,
+                public_key TEXT NOT NULL,
+                counter INTEGER NOT NULL DEFAULT 0,
+                transports TEXT,
+                name TEXT NOT NULL,
+                aaguid TEXT,
+                backed_up INTEGER NOT NULL DEFAULT 0,
+                created_at INTEGER NOT NULL,
+                last_used_at INTEGER,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            );
+            CREATE INDEX IF NOT EXISTS idx_webauthn_credentials_user_id ON webauthn_credentials (user_id);
+        `);
+        if (!db.hasColumn('users', 'login_mode')) {
+            db.exec("ALTER TABLE users ADD COLUMN login_mode TEXT NOT NULL DEFAULT 'password'");
+        }
+    },
+
+    down(db) {
+        db.exec(`
+            ALTER TABLE users DROP COLUMN login_mode;
+            DROP TABLE IF EXISTS webauthn_credentials;
+        `);
+    }
+};
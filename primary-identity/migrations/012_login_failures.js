@@ -0,0 +1,27 @@
+/**
+ * 012 — Failed sign-in counters for login throttling (loginThrottle.js)
+ *
+ * One row per username and per client IP (kind 'username' or 'ip'). Rows
+ * are cleared by a successful sign-in or an admin unlock, and deleted by the
+ * sweeper once they have gone quiet.
+ */
+
+module.exports = {
+    up(db) {
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS login_failures (
+                kind TEXT NOT NULL,
+                key TEXT NOT NULL,
+                failures INTEGER NOT NULL,
+                last_failure_at INTEGER NOT NULL,
+                locked_until INTEGER,
+                PRIMARY KEY (kind, key)
+            );
+            CREATE INDEX IF NOT EXISTS idx_login_failures_last_failure_at ON login_failures (last_failure_at);
+        `);
+    },
+
+    down(db) {
+        db.exec('DROP TABLE IF EXISTS login_failures');
+    }
+};
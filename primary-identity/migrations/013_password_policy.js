@@ -0,0 +1,36 @@
+/**
+ * 013 — Password history and forced password changes (passwordPolicy.js)
+ *
+ * password_history keeps the hashes of a user's previous passwords so they
+ * cannot be reused. users.must_change_password is set for users an admin
+ * creates, and cleared when they pick their own password.
+ */
+
+module.exports = {
+    up(db) {
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS password_history (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                password_hash TEXT NOT NULL,
+                created_at INTEGER NOT NULL,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            );
+            CREATE INDEX IF NOT EXISTS idx_password_history_user_id ON password_history (user_id);
+        `);
+        if (!db.hasColumn('users', 'must_change_password')) {
+            db.exec('ALTER TABLE users ADD COLUMN must_change_password INTEGER NOT NULL DEFAULT 0');
+        }
+        if (!db.hasColumn('users', 'password_changed_at')) {
+            db.exec('ALTER TABLE users ADD COLUMN password_changed_at INTEGER');
+        }
+    },
+
+    down(db) {
+        db.exec(`
+            ALTER TABLE users DROP COLUMN password_changed_at;
+            ALTER TABLE users DROP COLUMN must_change_password;
+            DROP TABLE IF EXISTS password_history;
+        `);
+    }
+};
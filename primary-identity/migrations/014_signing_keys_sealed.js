@@ -0,0 +1,19 @@
+/**
+ * 014 — signing_keys: drop plaintext private keys
+ *
+ * jwt.js now stores private keys encrypted under JWT_KEY_ENCRYPTION_KEY.
+ * Keys written before that are cleared and retired: their public keys stay
+ * published until the tokens they signed have expired, and the next token
+ * is signed with a new, encrypted key.
+ */
+
+module.exports = {
+    up(db) {
+        const now = Math.floor(Date.now() / 1000);
+        db.run("UPDATE signing_keys SET retired_at = ? WHERE retired_at IS NULL AND private_key NOT LIKE 'v1.%'", [now]);
+        db.run("UPDATE signing_keys SET private_key = '' WHERE private_key NOT LIKE 'v1.%'");
+    },
+
+    // Cleared keys cannot be restored; they were retired and are pruned as usual
+    down() {}
+};
@@ -0,0 +1,124 @@
+/**
+ * Primary Identity Service - Password Policy
+ *
+ * Checked whenever a PID password is set: by an admin creating a user
+ * (db.createUser) and by users at /account/password (db.changePassword).
+ * Existing passwords are not re-checked at sign-in.
+ *
+ * A password must:
+ *   - be MIN_LENGTH characters or longer, and at most 72 bytes (bcrypt
+ *     ignores anything beyond that)
+ *   - mix REQUIRED_CLASSES of: lowercase, uppercase, digits, symbols
+ *   - not contain the username
+ *   - not appear in the breached-password list
+ *   - not be the current password or one of the HISTORY_COUNT - 1 before it
+ *     (checked by db.changePassword, which has the hashes)
+ *
+ * The breached-password list is a local text file, one entry per line: a
+ * plain password (compared case-insensitively), or the SHA-1 hex of one as in
+ * the Have I Been Pwned downloads ("HASH" or "HASH:count"). Lines starting
+ * with # are comments. The file is read once at startup.
+ *
+ * Configuration:
+ *   PASSWORD_MIN_LENGTH        → minimum length (default 12)
+ *   PASSWORD_REQUIRED_CLASSES  → character classes required, 1-4 (default 3)
+ *   PASSWORD_HISTORY           → passwords remembered, current included (default 5, 0 = off)
+ *   PASSWORD_BREACHED_FILE     → breached-password list (default data/breached-passwords.txt)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const log = require('./logger').child({ component: 'password-policy' });
+
+const MIN_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH || '12', 10);
+const MAX_BYTES = 72;
+const REQUIRED_CLASSES = parseInt(process.env.PASSWORD_REQUIRED_CLASSES || '3', 10);
+const HISTORY_COUNT = parseInt(process.env.PASSWORD_HISTORY || '5', 10);
+const BREACHED_FILE = process.env.PASSWORD_BREACHED_FILE || path.join(__dirname, 'data', 'breached-passwords.txt');
+
+const CHARACTER_CLASSES = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^a-zA-Z0-9]/];
+
+function loadBreachedList(file) {
+    const plain = new Set();
+    const sha1 = new Set();
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (err) {
+        log.warn('Breached-password list not loaded, skipping that check', { file, error: err.message });
+        return { plain, sha1 };
+    }
+    for (const raw of text.split(/\r?\n/)) {
+        const line = raw.trim();
+        if (!line || line.startsWith('#')) continue;
+        const hash = line.match(/^([0-9a-fA-F]{40})(:\d+)?$/);
+        if (hash) {
+            sha1.add(hash[1].toUpperCase());
+        } else {
+            plain.add(line.toLowerCase());
+        }
+    }
+    log.info('Loaded breached-password list', { file, entries: plain.size + sha1.size });
+    return { plain, sha1 };
+}
+
+const breached = loadBreachedList(BREACHED_FILE);
+
+function isBreached(password) {
+    if (breached.plain.has(password.toLowerCase())) return true;
+    const digest = crypto.createHash('sha1').update(password).digest('hex').toUpperCase();
+    return breached.sha1.has(digest);
+}
+
+/**
+ * Everything except reuse, which needs the stored hashes
+ * @param {string} password
+ * @param {string} username
+ * @returns {string[]} Problems, empty if the password is acceptable
+ */
+function check(password, username) {
+    password = String(password || '');
+    const problems = [];
+    if (password.length < MIN_LENGTH) {
+        problems.push(`Password must be at least ${MIN_LENGTH} characters.`);
+    }
+    if (Buffer.byteLength(password) > MAX_BYTES) {
+        problems.push(`Password must be at most ${MAX_BYTES} bytes.`);
+    }
+    if (CHARACTER_CLASSES.filter(pattern => pattern.test(password)).length < REQUIRED_CLASSES) {
+        problems.push(`Password must mix at least ${REQUIRED_CLASSES} of: lowercase letters, uppercase letters, digits, symbols.`);
+    }
+    if (username && password.toLowerCase().includes(String(username).toLowerCase())) {
+        problems.push('Password must not contain the username.');
+    }
+    if (password && isBreached(password)) {
+        problems.push('This password appears in a list of breached passwords. Choose another.');
+    }
+    return problems;
+}
+
+/**
+ * The rules as sentences, for forms
+ * @returns {string[]}
+ */
+function describe() {
+    const rules = [
+        `At least ${MIN_LENGTH} characters`,
+        `At least ${REQUIRED_CLASSES} of: lowercase letters, uppercase letters, digits, symbols`,
+        'Not containing the username',
+        'Not a commonly used or breached password'
+    ];
+    if (HISTORY_COUNT > 1) {
+        rules.push(`Not the current password or one of the ${HISTORY_COUNT - 1} before it`);
+    } else if (HISTORY_COUNT === 1) {
+        rules.push('Not the current password');
+    }
+    return rules;
+}
+
+module.exports = {
+    HISTORY_COUNT,
+    check,
+    describe
+};
@@ -0,0 +1,123 @@
+/**
+ * Primary Identity Service - WebAuthn browser helper
+ *
+ * Runs the passkey ceremonies for the PID pages: fetches options from
+ * /webauthn/.../options, calls navigator.credentials, and posts the result to
+ * /webauthn/.../verify. Binary fields travel as base64url JSON, the format
+ * webauthn.js (@simplewebauthn/server) expects.
+ *
+ * Exposes window.pidWebAuthn = { register, authenticate, showError }.
+ */
+
+(function () {
+    function toBuffer(base64url) {
+        const base64 = base64url.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+        return Uint8Array.from(binary, c => c.charCodeAt(0)).buffer;
+    }
+
+    function toBase64url(buffer) {
+        const binary = String.fromCharCode(...new Uint8Array(buffer));
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    async function postJson(url, body) {
+        const response = await fetch(url, {
+            method: 'POST',
+            credentials: 'same-origin',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body || {})
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            const error = new Error(data.error || `Request failed (${response.status})`);
+            error.redirect = data.redirect;
+            throw error;
+        }
+        return data;
+    }
+
+    function requireSupport() {
+        if (!window.PublicKeyCredential) {
+            throw new Error('This browser does not support passkeys');
+        }
+    }
+
+    /**
+     * Create a passkey for the signed-in user
+     * @param {string} name - Label shown in the passkey list
+     */
+    async function register(name) {
+        requireSupport();
+        const options = await postJson('/webauthn/register/options');
+        const credential = await navigator.credentials.create({
+            publicKey: {
+                ...options,
+                challenge: toBuffer(options.challenge),
+                user: { ...options.user, id: toBuffer(options.user.id) },
+                excludeCredentials: (options.excludeCredentials || []).map(c => ({ ...c, id: toBuffer(c.id) }))
+            }
+        });
+        return postJson('/webauthn/register/verify', {
+            name,
+            response: {
+                id: credential.id,
+                rawId: toBase64url(credential.rawId),
+                type: credential.type,
+                clientExtensionResults: credential.getClientExtensionResults(),
+                authenticatorAttachment: credential.authenticatorAttachment || undefined,
+                response: {
+                    clientDataJSON: toBase64url(credential.response.clientDataJSON),
+                    attestationObject: toBase64url(credential.response.attestationObject),
+                    transports: credential.response.getTransports ? credential.response.getTransports() : []
+                }
+            }
+        });
+    }
+
+    /**
+     * Sign in with a passkey, or confirm a pending password sign-in with one
+     * @param {string} [username] - Limit the choice to this user's passkeys
+     * @returns {Promise<{redirect: string}>}
+     */
+    async function authenticate(username) {
+        requireSupport();
+        const options = await postJson('/webauthn/login/options', { username: username || undefined });
+        const credential = await navigator.credentials.get({
+            publicKey: {
+                ...options,
+                challenge: toBuffer(options.challenge),
+                allowCredentials: (options.allowCredentials || []).map(c => ({ ...c, id: toBuffer(c.id) }))
+            }
+        });
+        return postJson('/webauthn/login/verify', {
+            response: {
+                id: credential.id,
+                rawId: toBase64url(credential.rawId),
+                type: credential.type,
+                clientExtensionResults: credential.getClientExtensionResults(),
+                authenticatorAttachment: credential.authenticatorAttachment || undefined,
+                response: {
+                    clientDataJSON: toBase64url(credential.response.clientDataJSON),
+                    authenticatorData: toBase64url(credential.response.authenticatorData),
+                    signature: toBase64url(credential.response.signature),
+                    userHandle: credential.response.userHandle ? toBase64url(credential.response.userHandle) : undefined
+                }
+            }
+        });
+    }
+
+    // Shows the error in the page's #webauthn-error element
+    function showError(err) {
+        if (err.redirect) {
+            location.href = err.redirect;
+            return;
+        }
+        const box = document.getElementById('webauthn-error');
+        // NotAllowedError covers both a cancelled prompt and a timeout
+        box.textContent = err.name === 'NotAllowedError' ? 'Passkey request was cancelled or timed out.' : err.message;
+        box.style.display = '';
+    }
+
+    window.pidWebAuthn = { register, authenticate, showError };
+})();
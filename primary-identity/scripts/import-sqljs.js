@@ -0,0 +1,37 @@
+#!/usr/bin/env node
+/**
+ * Primary Identity Service - sql.js Import CLI
+ *
+ * Usage (stop PID first, or let its startup do the same import):
+ *   node scripts/import-sqljs.js                  → database.sqlite → PID_DB_PATH
+ *   node scripts/import-sqljs.js <from> <to>
+ *
+ * Exit codes: 0 = imported, 1 = failed or target already exists
+ */
+
+const db = require('../db');
+const { importLegacyDatabase } = require('../legacyImport');
+
+function main() {
+    const from = process.argv[2] || db.LEGACY_DB_PATH;
+    const to = process.argv[3] || db.DB_PATH;
+
+    const result = importLegacyDatabase(from, to);
+    if (!result.imported) {
+        console.error(`[IMPORT] ${result.error}`);
+        return 1;
+    }
+
+    console.log(`[IMPORT] ${from} → ${to}`);
+    for (const [table, count] of Object.entries(result.rows)) {
+        console.log(`[IMPORT]   ${table}: ${count} rows`);
+    }
+    return 0;
+}
+
+try {
+    process.exit(main());
+} catch (err) {
+    console.error('[IMPORT] FATAL:', err.message);
+    process.exit(1);
+}
@@ -0,0 +1,116 @@
+/**
+ * Primary Identity Service - SQLite Store
+ *
+ * The on-disk engine behind db.js: native SQLite (better-sqlite3) instead of
+ * an in-memory sql.js copy written back to disk after every change.
+ *   - WAL journal: each write is committed to disk on its own, a crash never
+ *     leaves a half-written file, and readers never block the writer
+ *   - Several PID processes can share the file; a writer waits up to
+ *     PID_DB_BUSY_TIMEOUT_MS for another's lock instead of failing
+ *   - Prepared statements are cached per SQL string
+ *
+ * db.js is the repository: it is the only module that uses the store, and
+ * the rest of PID only calls db.js functions (never SQL). Replacing the
+ * engine means reimplementing this interface:
+ *   open(file, { readonly }), close(), exec(sql), queryOne(sql, params), queryAll(sql, params),
+ *   run(sql, params) → { changes, lastInsertRowid }, transaction(fn, behavior)
+ *
+ * Configuration:
+ *   PID_DB_BUSY_TIMEOUT_MS → lock wait in ms (default 5000)
+ */
+
+const Database = require('better-sqlite3');
+
+const BUSY_TIMEOUT_MS = parseInt(process.env.PID_DB_BUSY_TIMEOUT_MS || '5000', 10);
+
+let conn = null;
+const statements = new Map();
+
+/**
+ * Open (creating if needed) the database file.
+ * @param {string} file
+ * @param {object} [options]
+ * @param {boolean} [options.readonly] - Existing file only, no writes (journal mode left as is)
+ */
+function open(file, { readonly = false } = {}) {
+    conn = new Database(file, { readonly, fileMustExist: readonly });
+    if (!readonly) {
+        conn.pragma('journal_mode = WAL');
+        conn.pragma('synchronous = NORMAL'); // durable with WAL, no fsync per read transaction
+    }
+    conn.pragma(`busy_timeout = ${BUSY_TIMEOUT_MS}`);
+    conn.pragma('foreign_keys = ON');
+    statements.clear();
+}
+
+function close() {
+    if (!conn) return;
+    conn.close();
+    conn = null;
+    statements.clear();
+}
+
+function prepare(sql) {
+    if (!conn) throw new Error('Database not open');
+    let statement = statements.get(sql);
+    if (!statement) {
+        statement = conn.prepare(sql);
+        statements.set(sql, statement);
+    }
+    return statement;
+}
+
+/**
+ * Run one or more statements without parameters (schema setup).
+ * @param {string} sql
+ */
+function exec(sql) {
+    if (!conn) throw new Error('Database not open');
+    conn.exec(sql);
+}
+
+/**
+ * @returns {object|null} First row, or null
+ */
+function queryOne(sql, params = []) {
+    return prepare(sql).get(...params) || null;
+}
+
+/**
+ * @returns {object[]}
+ */
+function queryAll(sql, params = []) {
+    return prepare(sql).all(...params);
+}
+
+/**
+ * @returns {{changes: number, lastInsertRowid: number}}
+ */
+function run(sql, params = []) {
+    const result = prepare(sql).run(...params);
+    return { changes: result.changes, lastInsertRowid: Number(result.lastInsertRowid) };
+}
+
+/**
+ * Run fn inside one transaction: committed if it returns, rolled back if it throws.
+ * Nested calls join the outer transaction.
+ * @param {Function} fn - Synchronous
+ * @param {string} [behavior] - 'immediate' takes the write lock up front, so
+ *        reads inside fn cannot be invalidated by another process's write
+ * @returns {*} fn's return value
+ */
+function transaction(fn, behavior) {
+    if (!conn) throw new Error('Database not open');
+    const wrapped = conn.transaction(fn);
+    return behavior === 'immediate' ? wrapped.immediate() : wrapped();
+}
+
+module.exports = {
+    open,
+    close,
+    exec,
+    queryOne,
+    queryAll,
+    run,
+    transaction
+};
@@ -0,0 +1,109 @@
+/**
+ * Primary Identity Service - Token Sweeper
+ *
+ * Every bootstrap and refresh inserts rows, and introspectToken() only
+ * deletes an expired token when it happens to be presented again. The
+ * sweeper runs in the background and:
+ *   1. revokes each user's oldest extension sessions beyond the cap
+ *      (a session = one refresh token family, or a token issued without one)
+ *   2. deletes expired plugin tokens
+ *   3. deletes expired refresh tokens
+ *   4. deletes revoked refresh tokens
+ *   5. deletes failed sign-in counters that have gone quiet (loginThrottle.js)
+ * in batches, yielding between them so requests are not held up.
+ *
+ * Counts are logged, exported as pid_token_sweeper_removed_total{kind} and
+ * shown on /admin/sessions.
+ *
+ * Configuration:
+ *   TOKEN_SWEEP_INTERVAL_MS       → run interval (default 600000, 10 minutes)
+ *   TOKEN_SWEEP_BATCH_SIZE        → rows per delete (default 500)
+ *   MAX_PLUGIN_SESSIONS_PER_USER  → active sessions kept per user (default 10, 0 = no cap)
+ */
+
+const db = require('./db');
+const metrics = require('./metrics');
+const loginThrottle = require('./loginThrottle');
+const log = require('./logger').child({ component: 'token-sweeper' });
+
+const INTERVAL_MS = parseInt(process.env.TOKEN_SWEEP_INTERVAL_MS || '600000', 10);
+const BATCH_SIZE = parseInt(process.env.TOKEN_SWEEP_BATCH_SIZE || '500', 10);
+const MAX_SESSIONS_PER_USER = parseInt(process.env.MAX_PLUGIN_SESSIONS_PER_USER || '10', 10);
+
+let lastRun = null;
+let running = false;
+
+/**
+ * Call removeBatch(limit) until a batch comes back short
+ * @returns {Promise<number>} Rows removed
+ */
+async function drain(removeBatch) {
+    let total = 0;
+    let removed;
+    do {
+        removed = removeBatch(BATCH_SIZE);
+        total += removed;
+        await new Promise(resolve => setImmediate(resolve));
+    } while (removed === BATCH_SIZE);
+    return total;
+}
+
+/**
+ * Run one sweep. Overlapping calls return null instead of sweeping twice.
+ * @returns {Promise<{at: string, durationMs: number, removed: object}|null>}
+ */
+async function sweep() {
+    if (running) return null;
+    running = true;
+
+    const start = Date.now();
+    const now = Math.floor(start / 1000);
+    try {
+        // Capping first: the families it revokes are then purged in the same run
+        const removed = {
+            sessionsOverCap: MAX_SESSIONS_PER_USER > 0
+                ? await drain(limit => db.revokeSessionsOverCap(MAX_SESSIONS_PER_USER, now, limit))
+                : 0,
+            expiredPluginTokens: await drain(limit => db.deleteExpiredPluginTokens(now, limit)),
+            expiredRefreshTokens: await drain(limit => db.deleteExpiredRefreshTokens(now, limit)),
+            revokedRefreshTokens: await drain(limit => db.deleteRevokedRefreshTokens(limit)),
+            staleLoginFailures: await drain(limit => db.deleteStaleLoginFailures(now - loginThrottle.WINDOW_SECONDS, now, limit))
+        };
+        metrics.countSweptTokens(removed);
+
+        lastRun = { at: new Date(start).toISOString(), durationMs: Date.now() - start, removed };
+        const total = Object.values(removed).reduce((sum, count) => sum + count, 0);
+        (total > 0 ? log.info : log.debug)('Token sweep complete', { durationMs: lastRun.durationMs, ...removed });
+        return lastRun;
+    } catch (err) {
+        lastRun = { at: new Date(start).toISOString(), durationMs: Date.now() - start, error: err.message };
+        log.error('Token sweep failed', err);
+        return lastRun;
+    } finally {
+        running = false;
+    }
+}
+
+/**
+ * @returns {{intervalMs: number, batchSize: number, maxSessionsPerUser: number, lastRun: object|null}}
+ */
+function getStatus() {
+    return {
+        intervalMs: INTERVAL_MS,
+        batchSize: BATCH_SIZE,
+        maxSessionsPerUser: MAX_SESSIONS_PER_USER,
+        lastRun
+    };
+}
+
+function start() {
+    sweep();
+    const timer = setInterval(sweep, INTERVAL_MS);
+    timer.unref();
+}
+
+module.exports = {
+    start,
+    sweep,
+    getStatus
+};
@@ -1,71 +1,303 @@
 /**
  * Vault Client - HTTP Client for Vault Service
  * 
- * Communicates with the Vault Service at http://localhost:5000
+ * Communicates with the Vault Service (default http://localhost:5000)
  * All methods use POST requests with JSON bodies (internal API design)
  * 
  * Error handling:
  *   - 404 from Vault → { success: false, status: 404, error: '...' }
  *   - Network error  → { success: false, status: 503, error: 'Vault service unavailable' }
  *   - 500 from Vault → { success: false, status: 502, error: 'Vault internal error' }
+ *   - 503 from Vault → { success: false, status: 503, error: '...' } (read-only mode)
+ *   - 401 from Vault → { success: false, status: 502, error: 'Vault authentication failed' }
+ *   - All circuits open → { success: false, status: 503, error: 'Vault service unavailable (circuit open)' }
+ * 
+ * Resilience (5-second timeout per attempt):
+ *   VAULT_URLS                 → comma-separated Vault base URLs tried in order
+ *                                (default VAULT_URL); e.g. the load balancer
+ *                                first, then the instances directly
+ *   VAULT_MAX_RETRIES          → extra attempts for read-only endpoints (default 2),
+ *                                with full-jitter exponential backoff
+ *   VAULT_BREAKER_THRESHOLD    → consecutive transport failures that open a
+ *                                URL's circuit (default 5)
+ *   VAULT_BREAKER_COOLDOWN_MS  → how long an open circuit is skipped (default 30000)
+ *   Writes are never retried once they may have reached the Vault; they only
+ *   move on to the next URL when the connection was refused.
  * 
- * No automatic retries. 5-second timeout on all requests.
  * Does NOT log credential fields (username, password, etc.)
+ * Forwards the current request id (logger.js) as X-Request-Id, so Vault
+ * logs and audit_log entries can be matched to the PID request.
+ * 
+ * Request signing:
+ *   Every /internal call carries an HMAC-SHA256 signature the Vault verifies.
+ *   Each PID instance has its own client id + secret, registered in the
+ *   Vault's VAULT_CLIENT_KEYS:
+ *     VAULT_CLIENT_ID      (default 'pid')
+ *     VAULT_CLIENT_SECRET  (default dev secret — change in production)
  */
 
-const VAULT_URL = process.env.VAULT_URL || 'http://localhost:5000';
+const crypto = require('crypto');
+const metrics = require('./metrics');
+const logger = require('./logger');
+
+const log = logger.child({ component: 'vault-client' });
+
+// Tried in order; list direct instance URLs after the load balancer to
+// bypass it when it is down
+const VAULT_URLS = (process.env.VAULT_URLS || process.env.VAULT_URL || 'http://localhost:5000')
+    .split(',').map(u => u.trim().replace(/\/$/, '')).filter(Boolean);
 const TIMEOUT_MS = 5000;
+const MAX_RETRIES = parseInt(process.env.VAULT_MAX_RETRIES || '2', 10);
+const RETRY_BASE_MS = 100;
+const RETRY_MAX_MS = 1000;
+const BREAKER_THRESHOLD = parseInt(process.env.VAULT_BREAKER_THRESHOLD || '5', 10);
+const BREAKER_COOLDOWN_MS = parseInt(process.env.VAULT_BREAKER_COOLDOWN_MS || '30000', 10);
+
+// Safe to send twice: no state change, and a duplicate audit row is harmless
+const IDEMPOTENT_ENDPOINTS = new Set([
+    '/internal/vault/read',
+    '/internal/vault/read-batch',
+    '/internal/vault/versions',
+    '/internal/vault/audit',
+    '/internal/vault/audit/verify'
+]);
+const CLIENT_ID = process.env.VAULT_CLIENT_ID || 'pid';
+const CLIENT_SECRET = process.env.VAULT_CLIENT_SECRET || 'pid-vault-dev-secret-change-in-production';
 
 /**
- * Make a request to Vault Service with timeout
- * @param {string} endpoint - e.g. '/internal/vault/read'
- * @param {object} body - Request payload
- * @returns {Promise<{success: boolean, status: number, data?: any, error?: string}>}
+ * Build signature headers for a Vault request.
+ * Canonical string: METHOD \n PATH \n TIMESTAMP \n NONCE \n SHA256(body)
+ * @param {string} method - e.g. 'POST'
+ * @param {string} path - e.g. '/internal/vault/read'
+ * @param {string} bodyString - Exact request body bytes
+ * @returns {object} Headers to merge into the request
  */
-async function vaultRequest(endpoint, body) {
+function signRequest(method, path, bodyString) {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const bodyHash = crypto.createHash('sha256').update(bodyString || '').digest('hex');
+    const canonical = [method.toUpperCase(), path, timestamp, nonce, bodyHash].join('\n');
+    const signature = crypto.createHmac('sha256', CLIENT_SECRET).update(canonical).digest('hex');
+
+    return {
+        'X-Vault-Client': CLIENT_ID,
+        'X-Vault-Timestamp': timestamp,
+        'X-Vault-Nonce': nonce,
+        'X-Vault-Signature': signature
+    };
+}
+
+// ============================================================================
+// CIRCUIT BREAKER (one per Vault URL)
+// ============================================================================
+
+/**
+ * closed    → requests flow; consecutive transport failures are counted
+ * open      → requests skip this URL until the cooldown has passed
+ * half-open → one trial request; success closes, failure re-opens
+ */
+const breakers = new Map(VAULT_URLS.map(url => [url, { state: 'closed', failures: 0, openedAt: null }]));
+
+function breakerAllows(url) {
+    const breaker = breakers.get(url);
+    if (breaker.state === 'closed') return true;
+    // Half-open: the trial request is already in flight
+    return breaker.state === 'open' && Date.now() - breaker.openedAt >= BREAKER_COOLDOWN_MS;
+}
+
+function beginAttempt(url) {
+    const breaker = breakers.get(url);
+    if (breaker.state === 'open') {
+        breaker.state = 'half-open';
+        log.info('Circuit half-open, sending trial request', { url });
+    }
+}
+
+function recordSuccess(url) {
+    const breaker = breakers.get(url);
+    if (breaker.state !== 'closed') {
+        log.info('Circuit closed', { url });
+    }
+    breaker.state = 'closed';
+    breaker.failures = 0;
+    breaker.openedAt = null;
+}
+
+function recordFailure(url) {
+    const breaker = breakers.get(url);
+    breaker.failures++;
+    if (breaker.state === 'half-open' || breaker.failures >= BREAKER_THRESHOLD) {
+        if (breaker.state !== 'open') {
+            log.error('Circuit open', { url, failures: breaker.failures });
+        }
+        breaker.state = 'open';
+        breaker.openedAt = Date.now();
+    }
+}
+
+/**
+ * Breaker state per Vault URL (for health/status pages)
+ * @returns {Array<{url: string, state: string, failures: number, openedAt: string|null}>}
+ */
+function circuitStatus() {
+    return VAULT_URLS.map(url => {
+        const breaker = breakers.get(url);
+        return {
+            url,
+            state: breaker.state,
+            failures: breaker.failures,
+            openedAt: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null
+        };
+    });
+}
+
+// ============================================================================
+// TRANSPORT
+// ============================================================================
+
+/**
+ * Full-jitter exponential backoff before retry number `attempt` (1-based)
+ */
+function backoffDelay(attempt) {
+    const ceiling = Math.min(RETRY_BASE_MS * 2 ** (attempt - 1), RETRY_MAX_MS);
+    return Math.floor(Math.random() * ceiling);
+}
+
+/**
+ * Send one signed request to one Vault URL.
+ * A transport failure is anything that says "this route to the Vault is
+ * broken" rather than "the Vault answered": network errors, timeouts, and
+ * 502/503/504 responses that are not JSON from the Vault itself (nginx).
+ * @returns {Promise<{transportFailure: boolean, notSent?: boolean, response?: Response, data?: any, error?: string}>}
+ */
+async function sendOnce(baseUrl, endpoint, payload) {
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), TIMEOUT_MS);
     
     try {
-        const response = await fetch(`${VAULT_URL}${endpoint}`, {
+        const response = await fetch(`${baseUrl}${endpoint}`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(body),
+            headers: {
+                'Content-Type': 'application/json',
+                ...(logger.requestId() ? { 'X-Request-Id': logger.requestId() } : {}),
+                ...signRequest('POST', endpoint, payload)
+            },
+            body: payload,
             signal: controller.signal
         });
         
-        clearTimeout(timeoutId);
-        
-        const data = await response.json();
-        
-        if (response.ok) {
-            return { success: true, status: response.status, data };
-        }
-        
-        // Handle Vault errors
-        if (response.status === 404) {
-            return { success: false, status: 404, error: data.error || 'Not found' };
+        let data;
+        try {
+            data = await response.json();
+        } catch (err) {
+            data = null;
         }
+        clearTimeout(timeoutId);
         
-        if (response.status >= 500) {
-            console.error(`[VAULT CLIENT] Vault error ${response.status}:`, data.error);
-            return { success: false, status: 502, error: 'Vault internal error' };
+        if (data === null && [502, 503, 504].includes(response.status)) {
+            return { transportFailure: true, error: `Load balancer returned ${response.status}` };
         }
-        
-        // Other errors (400, etc.)
-        return { success: false, status: response.status, error: data.error || 'Vault request failed' };
+        return { transportFailure: false, response, data: data || {} };
         
     } catch (err) {
         clearTimeout(timeoutId);
         
         if (err.name === 'AbortError') {
-            console.error('[VAULT CLIENT] Request timeout');
-            return { success: false, status: 503, error: 'Vault service timeout' };
+            return { transportFailure: true, timedOut: true, error: 'timeout' };
+        }
+        // Connection refused: the request never reached the Vault
+        const notSent = err.cause && err.cause.code === 'ECONNREFUSED';
+        return { transportFailure: true, notSent, error: (err.cause && err.cause.code) || err.message };
+    }
+}
+
+/**
+ * Map a Vault response to the client result shape
+ */
+function toResult(response, data) {
+    if (response.ok) {
+        return { success: true, status: response.status, data };
+    }
+    
+    // Handle Vault errors
+    if (response.status === 404) {
+        return { success: false, status: 404, error: data.error || 'Not found' };
+    }
+    
+    // Vault primary database down: reads still work, writes are refused
+    if (response.status === 503) {
+        log.error('Vault unavailable', { error: data.error });
+        return { success: false, status: 503, error: data.error || 'Vault unavailable' };
+    }
+    
+    if (response.status >= 500) {
+        log.error('Vault error', { status: response.status, error: data.error });
+        return { success: false, status: 502, error: 'Vault internal error' };
+    }
+    
+    if (response.status === 401) {
+        log.error('Vault rejected request signature', { error: data.error });
+        return { success: false, status: 502, error: 'Vault authentication failed' };
+    }
+    
+    // Other errors (400, etc.)
+    return { success: false, status: response.status, error: data.error || 'Vault request failed' };
+}
+
+/**
+ * Make a request to Vault Service, timed for /metrics.
+ * @param {string} endpoint - e.g. '/internal/vault/read'
+ * @param {object} body - Request payload
+ * @returns {Promise<{success: boolean, status: number, data?: any, error?: string}>}
+ */
+async function vaultRequest(endpoint, body) {
+    const started = Date.now();
+    const result = await sendWithRetries(endpoint, body);
+    metrics.observeVaultRequest(endpoint, result.status, Date.now() - started);
+    return result;
+}
+
+/**
+ * Tries each Vault URL whose circuit allows it, in order. Idempotent
+ * endpoints are retried with jittered backoff; others are only re-sent when
+ * the connection was refused (the request cannot have been processed).
+ */
+async function sendWithRetries(endpoint, body) {
+    const payload = JSON.stringify(body);
+    const idempotent = IDEMPOTENT_ENDPOINTS.has(endpoint);
+    const maxAttempts = idempotent ? MAX_RETRIES + 1 : VAULT_URLS.length;
+    
+    let lastFailure = null;
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        // Rotate through the URLs so a retry goes elsewhere when possible
+        const candidates = VAULT_URLS.filter(breakerAllows);
+        if (candidates.length === 0) {
+            log.error('All circuits open, not calling Vault', { endpoint });
+            return { success: false, status: 503, error: 'Vault service unavailable (circuit open)' };
         }
+        const url = candidates[(attempt - 1) % candidates.length];
+        beginAttempt(url);
         
-        console.error('[VAULT CLIENT] Network error:', err.message);
-        return { success: false, status: 503, error: 'Vault service unavailable' };
+        const sent = await sendOnce(url, endpoint, payload);
+        if (!sent.transportFailure) {
+            recordSuccess(url);
+            return toResult(sent.response, sent.data);
+        }
+        
+        recordFailure(url);
+        lastFailure = sent;
+        log.error('Vault request failed', { endpoint, url, attempt, maxAttempts, error: sent.error });
+        
+        if (!idempotent && !sent.notSent) break;
+        if (attempt < maxAttempts) {
+            await new Promise(resolve => setTimeout(resolve, backoffDelay(attempt)));
+        }
+    }
+    
+    if (lastFailure.timedOut) {
+        return { success: false, status: 503, error: 'Vault service timeout' };
     }
+    return { success: false, status: 503, error: 'Vault service unavailable' };
 }
 
 /**
@@ -75,7 +307,7 @@ async function vaultRequest(endpoint, body) {
  * @returns {Promise<{success: boolean, status: number, fields?: object, error?: string}>}
  */
 async function read(vaultId, appId) {
-    console.log(`[VAULT CLIENT] read(vaultId=${vaultId}, appId=${appId})`);
+    log.info('read', { vaultId, appId });
     const result = await vaultRequest('/internal/vault/read', { vaultId, appId });
     
     if (result.success) {
@@ -85,6 +317,23 @@ async function read(vaultId, appId) {
     return result;
 }
 
+/**
+ * Read credentials for several apps in one Vault round trip
+ * @param {string} vaultId
+ * @param {string[]} appIds
+ * @returns {Promise<{success: boolean, status: number, credentials?: Object<string, object>, missing?: string[], error?: string}>}
+ */
+async function readBatch(vaultId, appIds) {
+    log.info('readBatch', { vaultId, apps: appIds.length });
+    const result = await vaultRequest('/internal/vault/read-batch', { vaultId, appIds });
+    
+    if (result.success) {
+        return { success: true, status: result.status, credentials: result.data.credentials, missing: result.data.missing };
+    }
+    
+    return result;
+}
+
 /**
  * Write credentials to Vault
  * @param {string} vaultId
@@ -93,7 +342,7 @@ async function read(vaultId, appId) {
  * @returns {Promise<{success: boolean, status: number, error?: string}>}
  */
 async function write(vaultId, appId, fields) {
-    console.log(`[VAULT CLIENT] write(vaultId=${vaultId}, appId=${appId}) [fields not logged]`);
+    log.info('write', { vaultId, appId }); // fields not logged
     return await vaultRequest('/internal/vault/write', { vaultId, appId, fields });
 }
 
@@ -105,7 +354,7 @@ async function write(vaultId, appId, fields) {
  * @returns {Promise<{success: boolean, status: number, error?: string}>}
  */
 async function updatePassword(vaultId, appId, newPassword) {
-    console.log(`[VAULT CLIENT] updatePassword(vaultId=${vaultId}, appId=${appId}) [password not logged]`);
+    log.info('updatePassword', { vaultId, appId }); // password not logged
     return await vaultRequest('/internal/vault/update-password', { vaultId, appId, newPassword });
 }
 
@@ -116,7 +365,7 @@ async function updatePassword(vaultId, appId, newPassword) {
  * @returns {Promise<{success: boolean, status: number, error?: string}>}
  */
 async function deleteCredential(vaultId, appId) {
-    console.log(`[VAULT CLIENT] delete(vaultId=${vaultId}, appId=${appId})`);
+    log.info('delete', { vaultId, appId });
     return await vaultRequest('/internal/vault/delete', { vaultId, appId });
 }
 
@@ -126,37 +375,136 @@ async function deleteCredential(vaultId, appId) {
  * @returns {Promise<{success: boolean, status: number, error?: string}>}
  */
 async function deleteVault(vaultId) {
-    console.log(`[VAULT CLIENT] deleteVault(vaultId=${vaultId})`);
+    log.info('deleteVault', { vaultId });
     return await vaultRequest('/internal/vault/delete-vault', { vaultId });
 }
 
 /**
- * Health check
- * @returns {Promise<boolean>}
+ * List previous credential versions (metadata + username only)
+ * @param {string} vaultId
+ * @param {string} appId
+ * @returns {Promise<{success: boolean, status: number, versions?: Array, error?: string}>}
  */
-async function healthCheck() {
+async function listVersions(vaultId, appId) {
+    log.info('listVersions', { vaultId, appId });
+    const result = await vaultRequest('/internal/vault/versions', { vaultId, appId });
+    
+    if (result.success) {
+        return { success: true, status: result.status, versions: result.data.versions };
+    }
+    
+    return result;
+}
+
+/**
+ * Roll credentials back to a previous version
+ * @param {string} vaultId
+ * @param {string} appId
+ * @param {number} version
+ * @returns {Promise<{success: boolean, status: number, error?: string}>}
+ */
+async function restoreVersion(vaultId, appId, version) {
+    log.info('restoreVersion', { vaultId, appId, version });
+    return await vaultRequest('/internal/vault/restore', { vaultId, appId, version });
+}
+
+/**
+ * Query the Vault audit log
+ * @param {object} filters - { vaultId?, appId?, action?, from?, to?, limit?, offset?, beforeId? }
+ * @returns {Promise<{success: boolean, status: number, entries?: Array, total?: number, error?: string}>}
+ */
+async function queryAudit(filters) {
+    log.info('queryAudit', { filters });
+    const result = await vaultRequest('/internal/vault/audit', filters);
+    
+    if (result.success) {
+        return { success: true, status: result.status, entries: result.data.entries, total: result.data.total };
+    }
+    
+    return result;
+}
+
+/**
+ * Verify the Vault audit log hash chain
+ * @returns {Promise<{success: boolean, status: number, data?: {valid: boolean, checked: number, brokenAt?: object}, error?: string}>}
+ */
+async function verifyAudit() {
+    log.info('verifyAudit');
+    return await vaultRequest('/internal/vault/audit/verify', {});
+}
+
+/**
+ * Probe one Vault URL's /health
+ * @param {string} url
+ * @returns {Promise<{url: string, ok: boolean, httpStatus?: number, latencyMs: number, instance?: string, status?: string, mode?: string, error?: string}>}
+ */
+async function probeHealth(url) {
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), TIMEOUT_MS);
+    const started = Date.now();
     
     try {
-        const response = await fetch(`${VAULT_URL}/health`, {
+        const response = await fetch(`${url}/health`, {
             method: 'GET',
             signal: controller.signal
         });
+        const data = await response.json().catch(() => ({}));
         
         clearTimeout(timeoutId);
-        return response.ok;
+        return {
+            url,
+            ok: response.ok,
+            httpStatus: response.status,
+            latencyMs: Date.now() - started,
+            instance: data.instance,
+            status: data.status,
+            mode: data.mode,
+            error: response.ok ? undefined : (data.error || `HTTP ${response.status}`)
+        };
     } catch (err) {
         clearTimeout(timeoutId);
-        return false;
+        return {
+            url,
+            ok: false,
+            latencyMs: Date.now() - started,
+            error: err.name === 'AbortError' ? 'timeout' : ((err.cause && err.cause.code) || err.message)
+        };
+    }
+}
+
+/**
+ * Health of every configured Vault URL (which instance answered, latency, mode)
+ * @returns {Promise<Array<object>>} One probeHealth() result per URL
+ */
+async function healthStatus() {
+    return Promise.all(VAULT_URLS.map(probeHealth));
+}
+
+/**
+ * Health check — true if any Vault URL answers
+ * @returns {Promise<boolean>}
+ */
+async function healthCheck() {
+    for (const url of VAULT_URLS) {
+        if ((await probeHealth(url)).ok) return true;
     }
+    return false;
 }
 
 module.exports = {
     read,
+    readBatch,
     write,
     updatePassword,
     delete: deleteCredential,
     deleteVault,
-    healthCheck
+    listVersions,
+    restoreVersion,
+    queryAudit,
+    verifyAudit,
+    healthCheck,
+    healthStatus,
+    circuitStatus,
+    vaultUrls: VAULT_URLS,
+    signRequest
 };
@@ -0,0 +1,151 @@
+/**
+ * Primary Identity Service - WebAuthn (Passkeys)
+ *
+ * Thin wrapper around @simplewebauthn/server with PID's relying party settings.
+ * The browser side is public/webauthn-client.js; challenges live in the PID
+ * session and are used once (see app.js).
+ *
+ * A passkey is bound to the RP ID, and the browser reports the page origin in
+ * every response, so a look-alike phishing site can neither use nor relay one.
+ *
+ * Registration asks for a discoverable credential (so sign-in works without a
+ * username) and accepts any authenticator: attestation is not checked.
+ *
+ * Configuration:
+ *   WEBAUTHN_RP_ID    → PID's host name (default localhost)
+ *   WEBAUTHN_RP_NAME  → name shown by the browser (default Primary Identity)
+ *   WEBAUTHN_ORIGIN   → PID's origin as the browser sees it (default http://localhost:4000)
+ */
+
+const {
+    generateRegistrationOptions,
+    verifyRegistrationResponse,
+    generateAuthenticationOptions,
+    verifyAuthenticationResponse
+} = require('@simplewebauthn/server');
+
+const RP_ID = process.env.WEBAUTHN_RP_ID || 'localhost';
+const RP_NAME = process.env.WEBAUTHN_RP_NAME || 'Primary Identity';
+const ORIGIN = process.env.WEBAUTHN_ORIGIN || 'http://localhost:4000';
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+
+function descriptor(credential) {
+    return {
+        id: credential.credential_id,
+        transports: credential.transports ? JSON.parse(credential.transports) : undefined
+    };
+}
+
+/**
+ * Options for navigator.credentials.create()
+ * @param {{id: number, username: string}} user
+ * @param {object[]} existing - The user's webauthn_credentials rows (not registered twice)
+ * @returns {Promise<object>} Includes the challenge to keep in the session
+ */
+function registrationOptions(user, existing) {
+    return generateRegistrationOptions({
+        rpName: RP_NAME,
+        rpID: RP_ID,
+        userName: user.username,
+        userID: new TextEncoder().encode(String(user.id)),
+        attestationType: 'none',
+        excludeCredentials: existing.map(descriptor),
+        authenticatorSelection: {
+            residentKey: 'preferred',
+            userVerification: 'preferred'
+        }
+    });
+}
+
+/**
+ * @param {object} response - navigator.credentials.create() result as JSON
+ * @param {string} expectedChallenge
+ * @returns {Promise<{verified: boolean, error?: string, credential?: object}>}
+ *          credential: fields for db.addWebAuthnCredential
+ */
+async function verifyRegistration(response, expectedChallenge) {
+    try {
+        const { verified, registrationInfo } = await verifyRegistrationResponse({
+            response,
+            expectedChallenge,
+            expectedOrigin: ORIGIN,
+            expectedRPID: RP_ID,
+            requireUserVerification: false
+        });
+        if (!verified) {
+            return { verified: false, error: 'Registration could not be verified' };
+        }
+        const { credential, aaguid, credentialBackedUp } = registrationInfo;
+        return {
+            verified: true,
+            credential: {
+                credentialId: credential.id,
+                publicKey: Buffer.from(credential.publicKey).toString('base64url'),
+                counter: credential.counter,
+                transports: credential.transports || null,
+                aaguid,
+                backedUp: credentialBackedUp
+            }
+        };
+    } catch (err) {
+        return { verified: false, error: err.message };
+    }
+}
+
+/**
+ * Options for navigator.credentials.get()
+ * @param {object[]|null} allowed - webauthn_credentials rows to accept, or null for any
+ *        discoverable credential (sign-in without a username)
+ * @param {object} options
+ * @param {boolean} options.requireUserVerification - PIN/biometric required (passkey replaces the password)
+ * @returns {Promise<object>}
+ */
+function authenticationOptions(allowed, { requireUserVerification }) {
+    return generateAuthenticationOptions({
+        rpID: RP_ID,
+        allowCredentials: allowed ? allowed.map(descriptor) : undefined,
+        userVerification: requireUserVerification ? 'required' : 'preferred'
+    });
+}
+
+/**
+ * @param {object} response - navigator.credentials.get() result as JSON
+ * @param {string} expectedChallenge
+ * @param {object} stored - The webauthn_credentials row matching response.id
+ * @param {object} options
+ * @param {boolean} options.requireUserVerification
+ * @returns {Promise<{verified: boolean, error?: string, counter?: number}>}
+ */
+async function verifyAuthentication(response, expectedChallenge, stored, { requireUserVerification }) {
+    try {
+        const { verified, authenticationInfo } = await verifyAuthenticationResponse({
+            response,
+            expectedChallenge,
+            expectedOrigin: ORIGIN,
+            expectedRPID: RP_ID,
+            credential: {
+                id: stored.credential_id,
+                publicKey: Buffer.from(stored.public_key, 'base64url'),
+                counter: stored.counter,
+                transports: stored.transports ? JSON.parse(stored.transports) : undefined
+            },
+            requireUserVerification
+        });
+        if (!verified) {
+            return { verified: false, error: 'Passkey could not be verified' };
+        }
+        return { verified: true, counter: authenticationInfo.newCounter };
+    } catch (err) {
+        return { verified: false, error: err.message };
+    }
+}
+
+module.exports = {
+    RP_ID,
+    ORIGIN,
+    CHALLENGE_TTL_MS,
+    registrationOptions,
+    verifyRegistration,
+    authenticationOptions,
+    verifyAuthentication
+};
@@ -8,6 +8,9 @@
 
 const PRIMARY_IDENTITY_BASE = 'http://localhost:4000';
 
+// Renew the access token this long before it expires (at most a fifth of its lifetime)
+const REFRESH_MARGIN_MS = 60 * 1000;
+
 // =============================================================================
 // STATE (in-memory only, never persisted)
 // =============================================================================
@@ -15,29 +18,44 @@ const PRIMARY_IDENTITY_BASE = 'http://localhost:4000';
 let state = {
   pluginToken: null,
   expiresAt: null,
+  refreshToken: null,  // One-time use; PID rotates it on every refresh
+  appTokens: new Map(),  // appId → { token, expiresAt }; only these can read/write credentials
   apps: [],  // [{ appId, origin, loginSchema }]
   currentUserId: null,
   currentUsername: null,
   loggedInApps: new Set()  // Track origins where SSO filled credentials
 };
 
+let refreshTimer = null;
+let refreshInFlight = null;
+
 // =============================================================================
 // API FUNCTIONS
 // =============================================================================
 
+/**
+ * Request id PID assigned to a response (also in PID/Vault logs and the
+ * Vault audit log), so a failed auto-login can be traced server-side
+ * @param {Response} res
+ * @returns {string}
+ */
+function requestIdOf(res) {
+  return res.headers.get('X-Request-Id') || '-';
+}
+
 /**
  * Check if user is logged into Primary Identity
- * @returns {Promise<boolean>}
+ * @returns {Promise<{userId: number, username: string}|null>} The PID user, or null
  */
 async function checkSession() {
   try {
     const res = await fetch(`${PRIMARY_IDENTITY_BASE}/api/session/status`, {
       credentials: 'include'
     });
-    return res.ok;
+    return res.ok ? await res.json() : null;
   } catch (e) {
     console.log('[SSO Background] Session check failed:', e.message);
-    return false;
+    return null;
   }
 }
 
@@ -53,7 +71,7 @@ async function bootstrap() {
     });
     
     if (!res.ok) {
-      console.log('[SSO Background] Bootstrap failed:', res.status);
+      console.log('[SSO Background] Bootstrap failed:', res.status, 'request-id:', requestIdOf(res));
       return false;
     }
     
@@ -65,8 +83,7 @@ async function bootstrap() {
       console.log('[SSO Background] Clearing state to prevent credential leakage');
       
       // Clear all state when user changes
-      state.pluginToken = null;
-      state.expiresAt = null;
+      clearTokens();
       state.apps = [];
       state.currentUserId = null;
       state.currentUsername = null;
@@ -76,9 +93,7 @@ async function bootstrap() {
     }
     
     // Update state with new user
-    state.pluginToken = data.pluginToken;
-    state.expiresAt = Date.now() + (data.expiresIn * 1000);
-    state.apps = data.apps || [];
+    applyTokens(data);
     state.currentUserId = data.userId;
     state.currentUsername = data.username;
     
@@ -90,6 +105,134 @@ async function bootstrap() {
   }
 }
 
+/**
+ * Exchange the refresh token for a new access + refresh token pair.
+ * Concurrent callers share one request: a refresh token works only once,
+ * and PID treats a second use as theft and revokes the sign-in.
+ * @returns {Promise<boolean>}
+ */
+function refreshAccessToken() {
+  if (!refreshInFlight) {
+    refreshInFlight = sendRefresh().finally(() => {
+      refreshInFlight = null;
+    });
+  }
+  return refreshInFlight;
+}
+
+async function sendRefresh() {
+  if (!state.refreshToken) return false;
+  
+  try {
+    const res = await fetch(`${PRIMARY_IDENTITY_BASE}/api/plugin/token/refresh`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken: state.refreshToken })
+    });
+    
+    if (!res.ok) {
+      // Expired, revoked (logout, admin) or reused: only a new bootstrap helps
+      console.log('[SSO Background] Token refresh failed:', res.status, 'request-id:', requestIdOf(res));
+      clearTokens();
+      return false;
+    }
+    
+    const data = await res.json();
+    if (data.userId !== state.currentUserId) {
+      clearTokens();
+      return false;
+    }
+    
+    applyTokens(data);
+    console.log('[SSO Background] Token refreshed for', data.username);
+    return true;
+  } catch (e) {
+    // Network error: keep the refresh token, the next ensureReady() retries
+    console.log('[SSO Background] Token refresh error:', e.message);
+    return false;
+  }
+}
+
+/**
+ * Store a bootstrap/refresh response and schedule the next renewal
+ * @param {{pluginToken: string, expiresIn: number, refreshToken: string, apps: Array}} data
+ */
+function applyTokens(data) {
+  state.pluginToken = data.pluginToken;
+  state.expiresAt = Date.now() + (data.expiresIn * 1000);
+  state.refreshToken = data.refreshToken || null;
+  state.apps = data.apps || [];
+  scheduleRefresh();
+}
+
+function clearTokens() {
+  clearTimeout(refreshTimer);
+  refreshTimer = null;
+  state.pluginToken = null;
+  state.expiresAt = null;
+  state.refreshToken = null;
+  state.appTokens.clear();
+}
+
+/**
+ * Token bound to one app (vault:read:<appId>, vault:write:<appId>), exchanged
+ * for the sign-in token on first use and cached until shortly before it expires.
+ * A page on one origin can never get a token for another app's credentials.
+ * @param {string} appId
+ * @returns {Promise<string|null>}
+ */
+async function getAppToken(appId) {
+  const cached = state.appTokens.get(appId);
+  if (cached && Date.now() < cached.expiresAt - 5000) return cached.token;
+  if (!state.pluginToken) return null;
+  
+  try {
+    const res = await fetch(`${PRIMARY_IDENTITY_BASE}/api/plugin/token/app`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${state.pluginToken}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ appId })
+    });
+    
+    if (res.status === 401) {
+      // Sign-in revoked server-side: the next ensureReady() bootstraps again
+      console.log('[SSO Background] Token rejected, request-id:', requestIdOf(res));
+      clearTokens();
+      return null;
+    }
+    
+    if (!res.ok) {
+      console.log('[SSO Background] App token for', appId, 'failed:', res.status, 'request-id:', requestIdOf(res));
+      return null;
+    }
+    
+    const data = await res.json();
+    state.appTokens.set(appId, { token: data.pluginToken, expiresAt: Date.now() + (data.expiresIn * 1000) });
+    return data.pluginToken;
+  } catch (e) {
+    console.log('[SSO Background] App token error:', e.message);
+    return null;
+  }
+}
+
+/**
+ * Renew shortly before expiresAt. The service worker may be stopped before the
+ * timer fires; ensureReady() then refreshes on the next request instead.
+ */
+function scheduleRefresh() {
+  clearTimeout(refreshTimer);
+  refreshTimer = null;
+  if (!state.refreshToken || !state.expiresAt) return;
+  
+  const lifetime = state.expiresAt - Date.now();
+  const delay = Math.max(lifetime - Math.min(REFRESH_MARGIN_MS, lifetime / 5), 0);
+  refreshTimer = setTimeout(() => {
+    refreshAccessToken();
+  }, delay);
+}
+
 /**
  * CASCADE LOGOUT: Log out from all legacy apps where SSO filled credentials
  * Called when Primary Identity user changes
@@ -129,24 +272,32 @@ async function cascadeLogout() {
  * @returns {Promise<{username: string, password: string}|null>}
  */
 async function fetchCredentials(appId) {
-  if (!state.pluginToken) return null;
+  const token = await getAppToken(appId);
+  if (!token) return null;
   
   try {
     const res = await fetch(
       `${PRIMARY_IDENTITY_BASE}/api/vault/credentials?appId=${appId}`,
       {
-        headers: { 'Authorization': `Bearer ${state.pluginToken}` },
+        headers: { 'Authorization': `Bearer ${token}` },
         credentials: 'include'
       }
     );
     
     if (res.status === 404) {
-      console.log('[SSO Background] No credentials for', appId, '(first-time login)');
+      console.log('[SSO Background] No credentials for', appId, '(first-time login), request-id:', requestIdOf(res));
+      return null;
+    }
+    
+    if (res.status === 401) {
+      // Token revoked server-side: the next ensureReady() bootstraps again
+      console.log('[SSO Background] Token rejected, request-id:', requestIdOf(res));
+      clearTokens();
       return null;
     }
     
     if (!res.ok) {
-      console.log('[SSO Background] Fetch credentials failed:', res.status);
+      console.log('[SSO Background] Fetch credentials failed:', res.status, 'request-id:', requestIdOf(res));
       return null;
     }
     
@@ -164,20 +315,21 @@ async function fetchCredentials(appId) {
  * @returns {Promise<boolean>}
  */
 async function saveCredentials(appId, fields) {
-  if (!state.pluginToken) return false;
+  const token = await getAppToken(appId);
+  if (!token) return false;
   
   try {
     const res = await fetch(`${PRIMARY_IDENTITY_BASE}/api/vault/credentials`, {
       method: 'POST',
       headers: {
-        'Authorization': `Bearer ${state.pluginToken}`,
+        'Authorization': `Bearer ${token}`,
         'Content-Type': 'application/json'
       },
       credentials: 'include',
       body: JSON.stringify({ appId, fields })
     });
     
-    console.log('[SSO Background] Save credentials:', res.ok ? 'success' : 'failed');
+    console.log('[SSO Background] Save credentials:', res.ok ? 'success' : 'failed', 'request-id:', requestIdOf(res));
     return res.ok;
   } catch (e) {
     console.log('[SSO Background] Save credentials error:', e.message);
@@ -192,20 +344,21 @@ async function saveCredentials(appId, fields) {
  * @returns {Promise<boolean>}
  */
 async function updatePassword(appId, newPassword) {
-  if (!state.pluginToken) return false;
+  const token = await getAppToken(appId);
+  if (!token) return false;
   
   try {
     const res = await fetch(`${PRIMARY_IDENTITY_BASE}/api/vault/password`, {
       method: 'PUT',
       headers: {
-        'Authorization': `Bearer ${state.pluginToken}`,
+        'Authorization': `Bearer ${token}`,
         'Content-Type': 'application/json'
       },
       credentials: 'include',
       body: JSON.stringify({ appId, newPassword })
     });
     
-    console.log('[SSO Background] Update password:', res.ok ? 'success' : 'failed');
+    console.log('[SSO Background] Update password:', res.ok ? 'success' : 'failed', 'request-id:', requestIdOf(res));
     return res.ok;
   } catch (e) {
     console.log('[SSO Background] Update password error:', e.message);
@@ -251,19 +404,20 @@ function isAllowedOrigin(origin) {
  * @returns {boolean}
  */
 function isTokenValid() {
-  return state.pluginToken && state.expiresAt && Date.now() < state.expiresAt;
+  // 5s of slack so the token does not expire on its way to PID
+  return state.pluginToken && state.expiresAt && Date.now() < state.expiresAt - 5000;
 }
 
 /**
- * Ensure we have a valid session and bootstrap
- * IMPORTANT: Always calls bootstrap() to detect user changes
+ * Ensure we have a valid session and a usable token
+ * IMPORTANT: Always checks the PID session to detect logout and user changes
  * @returns {Promise<boolean>}
  */
 async function ensureReady() {
   // Always check session first (ensures logout stops everything)
-  const isLoggedIn = await checkSession();
-  if (!isLoggedIn) {
-    state.pluginToken = null;
+  const session = await checkSession();
+  if (!session) {
+    clearTokens();
     state.apps = [];
     state.currentUserId = null;
     state.currentUsername = null;
@@ -271,12 +425,15 @@ async function ensureReady() {
     return false;
   }
   
-  // ALWAYS call bootstrap to detect user changes
-  // Even if token is valid, the logged-in user might have changed!
-  const success = await bootstrap();
-  if (!success) return false;
+  // First run or a different PID user: bootstrap (handles the user switch)
+  if (session.userId !== state.currentUserId || !state.refreshToken) {
+    return bootstrap();
+  }
   
-  return true;
+  // Same user: reuse the token, renewing it if the scheduled refresh has not run
+  if (isTokenValid()) return true;
+  if (await refreshAccessToken()) return true;
+  return bootstrap();
 }
 
 // =============================================================================
@@ -395,4 +552,3 @@ console.log('[SSO Background] Extension loaded');
 // - Retry logic
 // - Rate limiting
 // - Error classification
-// - Token refresh scheduling
@@ -8,25 +8,111 @@
 -- Credential storage: one row per (vault_id, app_id) pair
 -- vault_id = opaque user identifier mapped by PID
 -- app_id   = application identifier (e.g. "app_a", "app_b")
--- fields   = JSONB blob { username, password, role, ... }
+-- fields   = JSONB blob { ciphertext } — AES-256-GCM of { username, password, role, ... }
+-- key_id   = data key in vault_keys used to encrypt fields (NULL = legacy plaintext)
+-- nonce    = base64 12-byte GCM nonce for this row
 CREATE TABLE IF NOT EXISTS vault_credentials (
     vault_id    TEXT        NOT NULL,
     app_id      TEXT        NOT NULL,
     fields      JSONB       NOT NULL DEFAULT '{}',
+    key_id      TEXT,
+    nonce       TEXT,
     created_at  TIMESTAMP   NOT NULL DEFAULT NOW(),
     updated_at  TIMESTAMP   NOT NULL DEFAULT NOW(),
     PRIMARY KEY (vault_id, app_id)
 );
 
--- Audit log: append-only record of credential operations
+-- Credential history: previous versions of each (vault_id, app_id), newest
+-- VAULT_CREDENTIAL_HISTORY kept. Same encrypted format as vault_credentials.
+-- replaced_by = action that overwrote this version ('write', 'update', 'restore')
+CREATE TABLE IF NOT EXISTS vault_credential_versions (
+    id          SERIAL      PRIMARY KEY,
+    vault_id    TEXT        NOT NULL,
+    app_id      TEXT        NOT NULL,
+    version     INTEGER     NOT NULL,
+    fields      JSONB       NOT NULL,
+    key_id      TEXT,
+    nonce       TEXT,
+    replaced_by TEXT        NOT NULL,
+    created_at  TIMESTAMP   NOT NULL DEFAULT NOW(),
+    UNIQUE (vault_id, app_id, version)
+);
+
+-- Data keys: one per vault_id, wrapped (AES-256-GCM) by the master key.
+-- The master key itself lives only in the vault's environment / key file.
+CREATE TABLE IF NOT EXISTS vault_keys (
+    key_id              TEXT        PRIMARY KEY,
+    vault_id            TEXT        NOT NULL UNIQUE,
+    wrapped_key         TEXT        NOT NULL,
+    wrap_nonce          TEXT        NOT NULL,
+    master_key_version  INTEGER     NOT NULL,
+    created_at          TIMESTAMP   NOT NULL DEFAULT NOW()
+);
+
+-- Master key rotation progress (one row per rotation run, resumable)
+-- status = 'running' until every data key is on target_version, then 'completed'
+CREATE TABLE IF NOT EXISTS key_rotations (
+    id              SERIAL      PRIMARY KEY,
+    target_version  INTEGER     NOT NULL,
+    status          TEXT        NOT NULL,
+    total_keys      INTEGER     NOT NULL DEFAULT 0,
+    rewrapped_keys  INTEGER     NOT NULL DEFAULT 0,
+    last_vault_id   TEXT,
+    last_error      TEXT,
+    started_by      TEXT,
+    started_at      TIMESTAMP   NOT NULL DEFAULT NOW(),
+    updated_at      TIMESTAMP   NOT NULL DEFAULT NOW(),
+    completed_at    TIMESTAMP
+);
+
+-- Request nonces: replay protection for signed PID → Vault requests.
+-- Shared by all vault instances; rows older than the signature window are purged.
+CREATE TABLE IF NOT EXISTS request_nonces (
+    client_id   TEXT        NOT NULL,
+    nonce       TEXT        NOT NULL,
+    seen_at     TIMESTAMP   NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (client_id, nonce)
+);
+
+-- Audit log: append-only, hash-chained record of credential operations
+-- row_hash = SHA-256(prev_hash + row contents); see src/audit.js
 CREATE TABLE IF NOT EXISTS audit_log (
     id          SERIAL      PRIMARY KEY,
     vault_id    TEXT        NOT NULL,
     app_id      TEXT        NOT NULL,
-    action      TEXT        NOT NULL,   -- 'read', 'write', 'update', 'delete', 'delete-vault'
-    timestamp   TIMESTAMP   NOT NULL DEFAULT NOW()
+    action      TEXT        NOT NULL,   -- 'read', 'write', 'update', 'restore', 'delete', 'delete-vault'
+    timestamp   TIMESTAMP   NOT NULL DEFAULT NOW(),
+    client_id   TEXT,                   -- requesting PID instance (X-Vault-Client)
+    request_id  TEXT,                   -- X-Request-Id of the originating request
+    outcome     TEXT        NOT NULL DEFAULT 'success',  -- 'success', 'denied', 'invalid', 'not_found', 'conflict', 'error', 'failed'
+    prev_hash   TEXT,
+    row_hash    TEXT
 );
 
+-- Enforce append-only: UPDATE/DELETE/TRUNCATE are rejected. The only exception is
+-- hashing a legacy row that predates the chain (row_hash still NULL).
+CREATE OR REPLACE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+BEGIN
+    IF TG_OP = 'UPDATE' AND OLD.row_hash IS NULL THEN
+        RETURN NEW;
+    END IF;
+    RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log;
+CREATE TRIGGER audit_log_append_only
+    BEFORE UPDATE OR DELETE ON audit_log
+    FOR EACH ROW EXECUTE FUNCTION audit_log_append_only();
+
+-- TRUNCATE skips row triggers; OLD is NULL here, so the function raises
+DROP TRIGGER IF EXISTS audit_log_no_truncate ON audit_log;
+CREATE TRIGGER audit_log_no_truncate
+    BEFORE TRUNCATE ON audit_log
+    FOR EACH STATEMENT EXECUTE FUNCTION audit_log_append_only();
+
 -- Index for fast cascade-delete lookups (delete all credentials for a vault_id)
 CREATE INDEX IF NOT EXISTS idx_audit_log_vault_id ON audit_log (vault_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_timestamp ON audit_log (timestamp);
 CREATE INDEX IF NOT EXISTS idx_vault_credentials_vault_id ON vault_credentials (vault_id);
+CREATE INDEX IF NOT EXISTS idx_request_nonces_seen_at ON request_nonces (seen_at);
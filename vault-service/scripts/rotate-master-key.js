@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+/**
+ * Vault Service — Master Key Rotation CLI
+ *
+ * Usage (same environment as the vault instances):
+ *   node scripts/rotate-master-key.js          → run / resume rotation
+ *   node scripts/rotate-master-key.js status   → show progress
+ *
+ * Exit codes: 0 = done, 1 = failed, 2 = another rotation holds the lock
+ */
+
+const db = require('../src/db');
+const keyring = require('../src/keyring');
+const { ensureSchema } = require('../src/migrate');
+const rotation = require('../src/rotation');
+
+async function main() {
+    const command = process.argv[2] || 'run';
+
+    const { version, previousVersions } = keyring.loadMasterKey();
+    console.log(`[ROTATION] Active master key v${version}; previous: ${previousVersions.join(', ') || 'none'}`);
+
+    await ensureSchema();
+
+    if (command === 'status') {
+        const status = await rotation.getRotationStatus();
+        console.log(JSON.stringify(status, null, 2));
+        return 0;
+    }
+
+    if (command !== 'run') {
+        console.error(`Unknown command: ${command} (expected "run" or "status")`);
+        return 1;
+    }
+
+    const result = await rotation.rotateMasterKey({ startedBy: 'cli' });
+    if (result.success) return 0;
+    console.error(`[ROTATION] ${result.error}`);
+    return result.busy ? 2 : 1;
+}
+
+main()
+    .catch((err) => {
+        console.error('[ROTATION] FATAL:', err.message);
+        return 1;
+    })
+    .then(async (code) => {
+        await db.close();
+        process.exit(code);
+    });
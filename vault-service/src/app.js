@@ -5,51 +5,82 @@
  * Port: 5000 (configurable via PORT env var)
  * 
  * This service:
- *   - Stores credentials per (vault_id, app_id)
- *   - Does NOT authenticate requests (PID handles that)
+ *   - Stores credentials per (vault_id, app_id), encrypted at rest
+ *   - Does NOT authenticate users (PID handles that)
  *   - Does NOT manage sessions or tokens
  *   - Does NOT know about users or login_schema
- *   - Only accepts internal requests from PID
+ *   - Only accepts HMAC-signed /internal requests from registered PID
+ *     instances (see middleware/auth.js)
  * 
  * Endpoints:
  *   GET  /health                        → Health check
+ *   GET  /metrics                       → Prometheus metrics, bearer token (see metrics.js)
  *   POST /internal/vault/read           → Read credentials
+ *   POST /internal/vault/read-batch     → Read credentials for several apps at once
  *   POST /internal/vault/write          → Upsert credentials
  *   POST /internal/vault/update-password → Merge password update
  *   POST /internal/vault/delete         → Delete single credential
  *   POST /internal/vault/delete-vault   → Delete all credentials for a vault
+ *   POST /internal/vault/versions       → List previous credential versions
+ *   POST /internal/vault/restore        → Roll back to a previous version
+ *   POST /internal/vault/audit          → Query audit_log (filters + pagination)
+ *   POST /internal/vault/audit/verify   → Walk the audit hash chain
+ *   POST /internal/vault/rotate-keys    → Re-wrap data keys under the active master key
+ *   POST /internal/vault/rotate-keys/status → Rotation progress
  */
 
 const express = require('express');
 const db = require('./db');
+const logger = require('./logger');
+const keyring = require('./keyring');
+const auth = require('./middleware/auth');
+const auditFailures = require('./middleware/auditFailures');
+const rejectWritesWhenDegraded = require('./middleware/readOnly');
+const audit = require('./audit');
+const metrics = require('./metrics');
+const { migrate } = require('./migrate');
 const vaultRoutes = require('./routes/vault');
+const keyRoutes = require('./routes/keys');
+const auditRoutes = require('./routes/audit');
 
 const app = express();
+const STARTUP_WAIT_MS = parseInt(process.env.VAULT_STARTUP_WAIT_MS || '10000', 10);
 const PORT = parseInt(process.env.PORT || '5000', 10);
-const INSTANCE = process.env.INSTANCE_NAME || 'vault';
 
 // ============================================================================
 // MIDDLEWARE
 // ============================================================================
 
 // Parse JSON bodies (limit to 1MB — credentials should be small)
-app.use(express.json({ limit: '1mb' }));
-
-// Request logging
-app.use((req, res, next) => {
-    const start = Date.now();
-    res.on('finish', () => {
-        const duration = Date.now() - start;
-        console.log(`[${INSTANCE}] ${req.method} ${req.path} → ${res.statusCode} (${duration}ms)`);
-    });
-    next();
-});
+// Raw body is kept for request signature verification
+app.use(express.json({ limit: '1mb', verify: auth.captureRawBody }));
+
+// Request id (taken from PID when provided, recorded in audit_log) and
+// access logging. After the body parser: it would drop the logging context.
+app.use(logger.requestLogging);
+
+// Request counts and latency per route for /metrics
+app.use(metrics.requestMetrics);
+
+// Denied, invalid and failed /internal requests are recorded in audit_log
+app.use('/internal', auditFailures);
+
+// Every /internal endpoint requires a signed request from PID
+app.use('/internal', auth.requireSignedRequest);
+
+// Primary down → only replica-backed reads are served, the rest get 503
+app.use('/internal', rejectWritesWhenDegraded);
 
 // ============================================================================
 // ROUTES
 // ============================================================================
 
+// Prometheus scrape endpoint: unsigned like /health, but needs VAULT_METRICS_TOKEN
+app.get('/metrics', metrics.requireMetricsToken, metrics.metricsHandler);
+
 app.use('/', vaultRoutes);
+app.use('/', keyRoutes);
+app.use('/', auditRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -58,7 +89,7 @@ app.use((req, res) => {
 
 // Global error handler
 app.use((err, req, res, next) => {
-    console.error('[ERROR] Unhandled error:', err.message);
+    logger.error('Unhandled error', err);
     res.status(500).json({ error: 'Internal server error' });
 });
 
@@ -67,32 +98,91 @@ app.use((err, req, res, next) => {
 // ============================================================================
 
 async function start() {
-    // Verify database connectivity before accepting requests
-    console.log(`[${INSTANCE}] Checking database connectivity...`);
+    // Load the master key before touching any credential rows
+    try {
+        const { version, previousVersions } = keyring.loadMasterKey();
+        logger.info('Master key loaded', { version, previousVersions });
+    } catch (err) {
+        logger.error('FATAL: master key', err);
+        process.exit(1);
+    }
+
+    // Load the PID client secrets used to verify request signatures
+    try {
+        const clients = auth.loadClientKeys();
+        logger.info('Accepting signed requests', { clients });
+    } catch (err) {
+        logger.error('FATAL: client keys', err);
+        process.exit(1);
+    }
+
+    // Replica first, so a missing primary can still start in read-only mode
+    await db.startReplicaMonitor();
+    const replica = db.replicaStatus();
+    if (replica.enabled) {
+        logger.info(`Read replica ${replica.healthy ? 'in use' : 'not in use'}`, {
+            lagSeconds: replica.lagSeconds,
+            error: replica.healthy ? undefined : replica.error,
+        });
+    }
+
+    // Wait for the primary (db.js retries and fails over with backoff in the
+    // background). Past STARTUP_WAIT_MS, start read-only if the replica answers,
+    // otherwise give up so the container is restarted.
+    logger.info('Checking database connectivity');
     
-    let retries = 5;
-    while (retries > 0) {
-        const healthy = await db.healthCheck();
-        if (healthy) {
-            console.log(`[${INSTANCE}] Database connected successfully`);
-            break;
+    const waitStarted = Date.now();
+    while (!(await db.healthCheck())) {
+        const waitedMs = Date.now() - waitStarted;
+        if (waitedMs >= STARTUP_WAIT_MS) {
+            if (db.mode() === 'read-only') {
+                logger.warn('Primary unavailable, starting in read-only mode');
+                break;
+            }
+            logger.error('FATAL: Cannot connect to database', {
+                waitedMs,
+                replica: replica.enabled ? db.replicaStatus().error || 'not usable' : 'not configured',
+            });
+            process.exit(1);
         }
-        retries--;
-        if (retries > 0) {
-            console.log(`[${INSTANCE}] Database not ready, retrying... (${retries} attempts left)`);
-            await new Promise(resolve => setTimeout(resolve, 2000));
-        } else {
-            console.error(`[${INSTANCE}] FATAL: Cannot connect to database after 5 attempts`);
+        logger.info('Database not ready, retrying');
+        await new Promise(resolve => setTimeout(resolve, 2000));
+    }
+
+    let migrated = false;
+    if (db.primaryAvailable()) {
+        logger.info('Database connected');
+
+        // Bring older databases up to the current schema and encrypt plaintext rows
+        try {
+            await migrate();
+            migrated = true;
+        } catch (err) {
+            logger.error('FATAL: migration failed', err);
             process.exit(1);
         }
     }
 
+    // After an outage: finish startup migration if it was skipped, then write
+    // the audit entries buffered and share the nonces seen in read-only mode
+    db.onPrimaryRestored(async () => {
+        if (!migrated) {
+            await migrate();
+            migrated = true;
+        }
+        await audit.flushPending();
+        await auth.flushLocalNonces();
+    });
+
+    auth.startNonceCleanup();
+
     app.listen(PORT, () => {
-        console.log(`[${INSTANCE}] ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
-        console.log(`[${INSTANCE}] Vault Service running on port ${PORT}`);
-        console.log(`[${INSTANCE}] Instance: ${INSTANCE}`);
-        console.log(`[${INSTANCE}] Health: http://localhost:${PORT}/health`);
-        console.log(`[${INSTANCE}] ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
+        logger.info('Vault Service running', {
+            port: PORT,
+            mode: db.mode(),
+            health: `http://localhost:${PORT}/health`,
+            metrics: `http://localhost:${PORT}/metrics`,
+        });
     });
 }
 
@@ -101,7 +191,7 @@ async function start() {
 // ============================================================================
 
 async function shutdown(signal) {
-    console.log(`\n[${INSTANCE}] ${signal} received, shutting down gracefully...`);
+    logger.info('Shutting down gracefully', { signal });
     await db.close();
     process.exit(0);
 }
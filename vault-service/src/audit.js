@@ -0,0 +1,282 @@
+/**
+ * Vault Service — Hash-Chained Audit Log
+ *
+ * Every audit_log row carries:
+ *   prev_hash → row_hash of the previous row (GENESIS_HASH for the first)
+ *   row_hash  → SHA-256 over prev_hash plus this row's contents
+ *
+ * Editing, deleting or re-ordering any row breaks the chain from that point
+ * on, which verifyChain() reports. Postgres also rejects UPDATE/DELETE/TRUNCATE on
+ * audit_log via triggers (see init.sql); the chain catches tampering by
+ * anyone able to bypass it. Truncating the newest rows is only detectable
+ * against an externally recorded head hash, so verifyChain() returns it.
+ *
+ * Appends are serialized with a transaction-level advisory lock so that
+ * concurrent vault instances cannot fork the chain.
+ *
+ * While the primary is down (read-only mode) entries are buffered in memory,
+ * in order, and appended by flushPending() once it is back. The buffer is
+ * per instance and lost if the instance exits before the primary returns.
+ * Entries marked droppable (failures of unsigned requests) are logged instead
+ * of buffered, so they cannot push other entries out of a full buffer.
+ */
+
+const crypto = require('crypto');
+const db = require('./db');
+const log = require('./logger').child({ component: 'audit' });
+
+const AUDIT_LOCK_ID = 5002;
+const GENESIS_HASH = '0'.repeat(64);
+const VERIFY_BATCH_SIZE = 1000;
+const PENDING_MAX = parseInt(process.env.VAULT_AUDIT_BUFFER_MAX || '10000', 10);
+
+const pending = [];
+let flushing = false;
+
+// Timestamp is read back in exactly the format it was hashed in, independent
+// of the Node or Postgres time zone
+const TIMESTAMP_SQL = `to_char(timestamp, 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"')`;
+
+/**
+ * Hash one audit entry. Field order is part of the format — do not reorder.
+ * @param {string} prevHash
+ * @param {object} entry - { timestamp, vaultId, appId, action, clientId, requestId, outcome }
+ * @returns {string} hex SHA-256
+ */
+function hashEntry(prevHash, entry) {
+    const canonical = JSON.stringify([
+        prevHash,
+        entry.timestamp,
+        entry.vaultId,
+        entry.appId,
+        entry.action,
+        entry.clientId || null,
+        entry.requestId || null,
+        entry.outcome,
+    ]);
+    return crypto.createHash('sha256').update(canonical).digest('hex');
+}
+
+/**
+ * Append an entry using a client that is already inside a transaction.
+ * The advisory lock is held until that transaction ends.
+ * @param {import('pg').PoolClient} client
+ * @param {object} entry
+ */
+async function appendInTransaction(client, entry) {
+    await client.query('SELECT pg_advisory_xact_lock($1)', [AUDIT_LOCK_ID]);
+
+    const last = await client.query(
+        'SELECT row_hash FROM audit_log WHERE row_hash IS NOT NULL ORDER BY id DESC LIMIT 1'
+    );
+    const prevHash = last.rows.length > 0 ? last.rows[0].row_hash : GENESIS_HASH;
+    const rowHash = hashEntry(prevHash, entry);
+
+    await client.query(
+        `INSERT INTO audit_log
+            (vault_id, app_id, action, timestamp, client_id, request_id, outcome, prev_hash, row_hash)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+        [entry.vaultId, entry.appId, entry.action, entry.timestamp,
+         entry.clientId || null, entry.requestId || null, entry.outcome, prevHash, rowHash]
+    );
+}
+
+/**
+ * Record an audit entry for a request.
+ * @param {import('express').Request} req - Supplies client id and request id
+ * @param {{ vaultId: string, appId: string, action: string, outcome?: string, droppable?: boolean }} details
+ * @param {import('pg').PoolClient} [client] - Pass when already inside a transaction
+ */
+async function record(req, details, client) {
+    const entry = {
+        timestamp: new Date().toISOString(),
+        vaultId: details.vaultId,
+        appId: details.appId,
+        action: details.action,
+        clientId: req.vaultClient,
+        requestId: req.requestId,
+        outcome: details.outcome || 'success',
+    };
+
+    if (client) {
+        return appendInTransaction(client, entry);
+    }
+
+    if (!db.primaryAvailable() || pending.length > 0) {
+        // Keep order: nothing is appended directly while older entries wait
+        bufferEntry(entry, details.droppable);
+        if (db.primaryAvailable()) flushPending();
+        return;
+    }
+
+    try {
+        await appendOwnTransaction(entry);
+    } catch (err) {
+        if (err.code !== 'PRIMARY_UNAVAILABLE' && !db.isConnectionError(err)) throw err;
+        bufferEntry(entry, details.droppable);
+    }
+}
+
+async function appendOwnTransaction(entry) {
+    let own;
+    try {
+        own = await db.getClient();
+        await own.query('BEGIN');
+        await appendInTransaction(own, entry);
+        await own.query('COMMIT');
+    } catch (err) {
+        if (own) await own.query('ROLLBACK').catch(() => {});
+        throw err;
+    } finally {
+        if (own) own.release();
+    }
+}
+
+function bufferEntry(entry, droppable) {
+    if (droppable) {
+        log.warn('Primary unavailable, entry not buffered', {
+            action: entry.action,
+            outcome: entry.outcome,
+            at: entry.timestamp,
+            droppedRequestId: entry.requestId,
+        });
+        return;
+    }
+    if (pending.length >= PENDING_MAX) {
+        const dropped = pending.shift();
+        log.error('Buffer full, dropped entry', {
+            action: dropped.action,
+            vaultId: dropped.vaultId,
+            appId: dropped.appId,
+            at: dropped.timestamp,
+            droppedRequestId: dropped.requestId,
+        });
+    }
+    pending.push(entry);
+}
+
+/**
+ * Append buffered entries to the chain. Stops at the first failure and
+ * leaves the rest buffered for the next call.
+ * @returns {Promise<number>} Entries written
+ */
+async function flushPending() {
+    if (flushing || pending.length === 0) return 0;
+    flushing = true;
+
+    let written = 0;
+    try {
+        while (pending.length > 0) {
+            await appendOwnTransaction(pending[0]);
+            pending.shift();
+            written++;
+        }
+    } catch (err) {
+        log.error('Flush stopped', { stillBuffered: pending.length, error: err.message });
+    } finally {
+        flushing = false;
+    }
+
+    if (written > 0) {
+        log.info('Wrote entries buffered during primary outage', { entries: written });
+    }
+    return written;
+}
+
+/**
+ * @returns {number} Entries waiting for the primary
+ */
+function pendingCount() {
+    return pending.length;
+}
+
+/**
+ * Hash any rows written before chaining existed, continuing the chain
+ * from the last hashed row. Runs once per database at startup.
+ * @param {import('pg').PoolClient} client - Inside the migration transaction
+ * @returns {Promise<number>} Rows hashed
+ */
+async function backfillChain(client) {
+    await client.query('SELECT pg_advisory_xact_lock($1)', [AUDIT_LOCK_ID]);
+
+    const unhashed = await client.query(
+        `SELECT id, vault_id, app_id, action, ${TIMESTAMP_SQL} AS ts, client_id, request_id, outcome
+         FROM audit_log WHERE row_hash IS NULL ORDER BY id`
+    );
+    if (unhashed.rows.length === 0) return 0;
+
+    const last = await client.query(
+        'SELECT row_hash FROM audit_log WHERE row_hash IS NOT NULL AND id < $1 ORDER BY id DESC LIMIT 1',
+        [unhashed.rows[0].id]
+    );
+    let prevHash = last.rows.length > 0 ? last.rows[0].row_hash : GENESIS_HASH;
+
+    for (const row of unhashed.rows) {
+        const rowHash = hashEntry(prevHash, toEntry(row));
+        await client.query(
+            'UPDATE audit_log SET prev_hash = $1, row_hash = $2 WHERE id = $3',
+            [prevHash, rowHash, row.id]
+        );
+        prevHash = rowHash;
+    }
+
+    return unhashed.rows.length;
+}
+
+function toEntry(row) {
+    return {
+        timestamp: row.ts,
+        vaultId: row.vault_id,
+        appId: row.app_id,
+        action: row.action,
+        clientId: row.client_id,
+        requestId: row.request_id,
+        outcome: row.outcome,
+    };
+}
+
+/**
+ * Walk the whole chain in id order and report the first broken link.
+ * @returns {Promise<{ valid: boolean, checked: number, headId?: number, headHash?: string,
+ *                     brokenAt?: { id: number, reason: string } }>}
+ */
+async function verifyChain() {
+    let prevHash = GENESIS_HASH;
+    let lastId = 0;
+    let checked = 0;
+
+    while (true) {
+        // Rows are append-only, so a replica within the lag threshold is safe to walk
+        const batch = await db.readQuery(
+            `SELECT id, vault_id, app_id, action, ${TIMESTAMP_SQL} AS ts,
+                    client_id, request_id, outcome, prev_hash, row_hash
+             FROM audit_log WHERE id > $1 ORDER BY id LIMIT $2`,
+            [lastId, VERIFY_BATCH_SIZE]
+        );
+
+        for (const row of batch.rows) {
+            if (row.prev_hash !== prevHash) {
+                return { valid: false, checked, brokenAt: { id: row.id, reason: 'prev_hash does not match previous row' } };
+            }
+            if (row.row_hash !== hashEntry(prevHash, toEntry(row))) {
+                return { valid: false, checked, brokenAt: { id: row.id, reason: 'row_hash does not match row contents' } };
+            }
+            prevHash = row.row_hash;
+            lastId = row.id;
+            checked++;
+        }
+
+        if (batch.rows.length < VERIFY_BATCH_SIZE) break;
+    }
+
+    return { valid: true, checked, headId: lastId || null, headHash: prevHash };
+}
+
+module.exports = {
+    TIMESTAMP_SQL,
+    record,
+    flushPending,
+    pendingCount,
+    backfillChain,
+    verifyChain,
+};
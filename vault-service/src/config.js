@@ -0,0 +1,25 @@
+/**
+ * Vault Service — Secret Configuration Helpers
+ *
+ * Secrets can be passed directly in the environment or, for Docker/K8s
+ * secrets, as a file path in <NAME>_FILE.
+ */
+
+const fs = require('fs');
+
+/**
+ * Read a setting from NAME, falling back to the file at NAME_FILE.
+ * @param {string} name
+ * @returns {string|null}
+ */
+function readSetting(name) {
+    if (process.env[name]) {
+        return process.env[name];
+    }
+    if (process.env[`${name}_FILE`]) {
+        return fs.readFileSync(process.env[`${name}_FILE`], 'utf8').trim();
+    }
+    return null;
+}
+
+module.exports = { readSetting };
@@ -1,79 +1,500 @@
 /**
  * Vault Service — Database Connection Module
- * 
- * Manages a Postgres connection pool using the 'pg' library.
+ *
+ * Manages Postgres connection pools using the 'pg' library.
  * All queries use parameterized statements to prevent SQL injection.
- * 
+ *
+ * Two pools:
+ *   primary → every write, every transaction, anything needing fresh data
+ *   replica → optional, read-only queries via readQuery() / reader
+ *
+ * Replica reads fall back to the primary whenever the replica is down or
+ * its replication lag exceeds PGREPLICA_MAX_LAG_SECONDS. Lag is sampled by
+ * startReplicaMonitor(); a failed replica query also switches reads to the
+ * primary until the next successful sample.
+ *
+ * Primary failover:
+ *   A connection-level error on the primary marks it down. Primary queries
+ *   then fail fast with code PRIMARY_UNAVAILABLE while a background loop
+ *   probes PGHOSTS in order (exponential backoff) for a writable server and
+ *   repoints the primary pool at the first one found. With
+ *   PGFAILOVER_PROMOTE=true, once the primary has been gone for
+ *   PGFAILOVER_PROMOTE_AFTER_MS the first reachable standby is promoted.
+ *   While down, mode() is 'read-only' if the replica still answers.
+ *
  * Configuration via environment variables:
  *   PGHOST, PGPORT, PGDATABASE, PGUSER, PGPASSWORD, PGPOOL_MAX
+ *   PGHOSTS                       → failover candidates "host:port,host:port" (default PGHOST:PGPORT)
+ *   PGFAILOVER_BACKOFF_MS         → first retry delay (default 500, doubles up to PGFAILOVER_BACKOFF_MAX_MS)
+ *   PGFAILOVER_BACKOFF_MAX_MS     → retry delay cap (default 10000)
+ *   PGFAILOVER_PROMOTE            → 'true' to promote a standby (default off)
+ *   PGFAILOVER_PROMOTE_AFTER_MS   → outage length before promoting (default 30000)
+ *   PGREPLICA_HOST, PGREPLICA_PORT, PGREPLICA_POOL_MAX → replica (disabled if no host)
+ *   PGREPLICA_MAX_LAG_SECONDS   → lag above which reads go to the primary (default 5)
+ *   PGREPLICA_CHECK_INTERVAL_MS → lag sampling interval (default 5000)
  */
 
-const { Pool } = require('pg');
+const { Pool, Client } = require('pg');
+const metrics = require('./metrics');
+const log = require('./logger').child({ component: 'db' });
 
-const pool = new Pool({
-    host:     process.env.PGHOST     || 'localhost',
-    port:     parseInt(process.env.PGPORT || '5432', 10),
+const FAILOVER_BACKOFF_MS = parseInt(process.env.PGFAILOVER_BACKOFF_MS || '500', 10);
+const FAILOVER_BACKOFF_MAX_MS = parseInt(process.env.PGFAILOVER_BACKOFF_MAX_MS || '10000', 10);
+const FAILOVER_PROMOTE = process.env.PGFAILOVER_PROMOTE === 'true';
+const FAILOVER_PROMOTE_AFTER_MS = parseInt(process.env.PGFAILOVER_PROMOTE_AFTER_MS || '30000', 10);
+
+const CONNECTION_SETTINGS = {
     database: process.env.PGDATABASE || 'vault_db',
     user:     process.env.PGUSER     || 'vault_user',
     password: process.env.PGPASSWORD || 'vault_secret',
-    max:      parseInt(process.env.PGPOOL_MAX || '10', 10),
+};
+
+// Error codes meaning "this server is gone or can no longer take writes"
+const CONNECTION_ERROR_CODES = new Set([
+    'ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'ETIMEDOUT', 'EHOSTUNREACH', 'EPIPE',
+    '57P01', // admin_shutdown
+    '57P02', // crash_shutdown
+    '57P03', // cannot_connect_now
+    '08000', '08003', '08006', // connection_exception family
+    '25006', // read_only_sql_transaction (old primary came back as a standby)
+]);
+
+/**
+ * Parse "host:port,host:port" into [{ host, port }].
+ * @param {string} list
+ * @returns {Array<{ host: string, port: number }>}
+ */
+function parseHosts(list) {
+    return list.split(',').map(h => h.trim()).filter(Boolean).map((entry) => {
+        const [host, port] = entry.split(':');
+        return { host, port: parseInt(port || '5432', 10) };
+    });
+}
+
+const PRIMARY_CANDIDATES = process.env.PGHOSTS
+    ? parseHosts(process.env.PGHOSTS)
+    : [{ host: process.env.PGHOST || 'localhost', port: parseInt(process.env.PGPORT || '5432', 10) }];
+
+/**
+ * @param {Error} err
+ * @returns {boolean} Whether the error means the server is gone (not a bad query)
+ */
+function isConnectionError(err) {
+    return CONNECTION_ERROR_CODES.has(err.code) ||
+        /Connection terminated|connection timeout|Client has encountered a connection error/i.test(err.message);
+}
+
+// ============================================================================
+// PRIMARY
+// ============================================================================
+
+const primaryState = {
+    host: PRIMARY_CANDIDATES[0].host,
+    port: PRIMARY_CANDIDATES[0].port,
+    healthy: true,
+    downSince: null,
+    lastError: null,
+    failovers: 0,
+};
+
+let pool = createPrimaryPool(PRIMARY_CANDIDATES[0]);
+let recovering = false;
+const restoredListeners = [];
+
+function createPrimaryPool({ host, port }) {
+    const created = new Pool({
+        ...CONNECTION_SETTINGS,
+        host,
+        port,
+        max: parseInt(process.env.PGPOOL_MAX || '10', 10),
+
+        // Connection timeouts
+        connectionTimeoutMillis: 5000,
+        idleTimeoutMillis:       30000,
+    });
+
+    // Connection event handlers for visibility
+    created.on('error', (err) => {
+        log.error('Unexpected pool error', err);
+        if (created === pool && isConnectionError(err)) {
+            markPrimaryDown(err);
+        }
+    });
+
+    created.on('connect', () => {
+        log.debug('Connected to primary', { host, port });
+    });
+
+    created.on('remove', () => {
+        log.debug('Connection removed from pool');
+    });
+
+    return created;
+}
+
+function markPrimaryDown(err) {
+    primaryState.lastError = err.message;
+    if (primaryState.healthy) {
+        primaryState.healthy = false;
+        primaryState.downSince = Date.now();
+        log.error('Connection lost to primary', { host: primaryState.host, port: primaryState.port, error: err.message });
+    }
+    recoverPrimary();
+}
+
+function primaryUnavailableError() {
+    const err = new Error('Primary database unavailable');
+    err.code = 'PRIMARY_UNAVAILABLE';
+    return err;
+}
+
+/**
+ * Connect to one candidate and ask whether it accepts writes, promoting it
+ * first if allowed.
+ * @param {{ host: string, port: number }} candidate
+ * @param {boolean} allowPromote
+ * @returns {Promise<'writable'|'standby'|'promote-failed'|'unreachable'>}
+ */
+async function probeCandidate(candidate, allowPromote) {
+    const client = new Client({ ...CONNECTION_SETTINGS, ...candidate, connectionTimeoutMillis: 2000 });
+    try {
+        await client.connect();
+        const result = await client.query('SELECT pg_is_in_recovery() AS in_recovery');
+        if (!result.rows[0].in_recovery) return 'writable';
+        if (!allowPromote) return 'standby';
+
+        log.warn('Promoting standby', { host: candidate.host, port: candidate.port });
+        // pg_promote waits (up to 30s) for promotion to finish; a concurrent
+        // promotion by another vault instance makes this throw, and the next
+        // probe then finds the server writable
+        try {
+            const promoted = await client.query('SELECT pg_promote(true, 30) AS promoted');
+            return promoted.rows[0].promoted === true ? 'writable' : 'promote-failed';
+        } catch (err) {
+            log.warn('Promotion failed', { host: candidate.host, port: candidate.port, error: err.message });
+            return 'promote-failed';
+        }
+    } catch (err) {
+        return 'unreachable';
+    } finally {
+        await client.end().catch(() => {});
+    }
+}
+
+/**
+ * Background loop: probe candidates with backoff until one accepts writes,
+ * then swap the primary pool over to it. Only one loop runs at a time.
+ */
+async function recoverPrimary() {
+    if (recovering) return;
+    recovering = true;
+
+    let delay = FAILOVER_BACKOFF_MS;
+    try {
+        while (!primaryState.healthy) {
+            const allowPromote = FAILOVER_PROMOTE && Date.now() - primaryState.downSince >= FAILOVER_PROMOTE_AFTER_MS;
+
+            for (const candidate of PRIMARY_CANDIDATES) {
+                const state = await probeCandidate(candidate, allowPromote);
+                if (state === 'writable') {
+                    switchPrimary(candidate);
+                    break;
+                }
+                // Attempt at most one promotion per round
+                if (state === 'promote-failed') break;
+            }
+
+            if (!primaryState.healthy) {
+                log.warn('No writable primary, retrying', {
+                    candidates: PRIMARY_CANDIDATES.map(c => `${c.host}:${c.port}`),
+                    retryInMs: delay,
+                });
+                await new Promise(resolve => setTimeout(resolve, delay));
+                delay = Math.min(delay * 2, FAILOVER_BACKOFF_MAX_MS);
+            }
+        }
+    } finally {
+        recovering = false;
+    }
+
+    for (const listener of restoredListeners) {
+        Promise.resolve().then(listener).catch((err) => {
+            log.error('Primary restored listener failed', err);
+        });
+    }
+}
+
+function switchPrimary(candidate) {
+    const changed = candidate.host !== primaryState.host || candidate.port !== primaryState.port;
+    const outageMs = Date.now() - primaryState.downSince;
+
+    if (changed) {
+        const old = pool;
+        pool = createPrimaryPool(candidate);
+        old.end().catch(() => {});
+        primaryState.failovers++;
+    }
+
+    primaryState.host = candidate.host;
+    primaryState.port = candidate.port;
+    primaryState.healthy = true;
+    primaryState.downSince = null;
+    primaryState.lastError = null;
+
+    log.info(changed ? 'Primary failed over' : 'Primary restored', { host: candidate.host, port: candidate.port, outageMs });
+}
+
+/**
+ * Register a callback for when a lost primary becomes writable again
+ * (e.g. to flush buffered audit entries).
+ * @param {() => (void|Promise<void>)} listener
+ */
+function onPrimaryRestored(listener) {
+    restoredListeners.push(listener);
+}
+
+/**
+ * @returns {boolean} Whether writes can currently be served
+ */
+function primaryAvailable() {
+    return primaryState.healthy;
+}
+
+// ============================================================================
+// READ REPLICA
+// ============================================================================
 
-    // Connection timeouts
-    connectionTimeoutMillis: 5000,
+const REPLICA_MAX_LAG_SECONDS = parseFloat(process.env.PGREPLICA_MAX_LAG_SECONDS || '5');
+const REPLICA_CHECK_INTERVAL_MS = parseInt(process.env.PGREPLICA_CHECK_INTERVAL_MS || '5000', 10);
+
+const replicaPool = process.env.PGREPLICA_HOST ? new Pool({
+    ...CONNECTION_SETTINGS,
+    host:     process.env.PGREPLICA_HOST,
+    port:     parseInt(process.env.PGREPLICA_PORT || '5432', 10),
+    max:      parseInt(process.env.PGREPLICA_POOL_MAX || process.env.PGPOOL_MAX || '10', 10),
+
+    connectionTimeoutMillis: 2000,
     idleTimeoutMillis:       30000,
-});
+}) : null;
+
+// Not usable until the first successful lag sample
+const replicaState = {
+    healthy: false,
+    reachable: false,
+    lagSeconds: null,
+    checkedAt: null,
+    error: replicaPool ? 'Not checked yet' : null,
+};
+
+metrics.trackPool('primary', () => pool);
+metrics.trackPool('replica', () => replicaPool);
+
+if (replicaPool) {
+    replicaPool.on('error', (err) => {
+        log.error('Unexpected replica pool error', err);
+        markReplicaDown(err);
+    });
+}
+
+function markReplicaDown(err) {
+    if (replicaState.healthy) {
+        log.warn('Replica unavailable, reading from primary', err);
+    }
+    replicaState.healthy = false;
+    replicaState.reachable = false;
+    replicaState.error = err.message;
+}
+
+/**
+ * Sample replication lag. On an idle primary nothing is left to replay, so a
+ * caught-up replica reports 0 rather than the age of the last transaction.
+ */
+async function checkReplica() {
+    if (!replicaPool) return;
+
+    try {
+        const result = await replicaPool.query(`
+            SELECT CASE
+                WHEN NOT pg_is_in_recovery() THEN 0
+                WHEN pg_last_wal_receive_lsn() = pg_last_wal_replay_lsn() THEN 0
+                ELSE COALESCE(EXTRACT(EPOCH FROM NOW() - pg_last_xact_replay_timestamp()), 0)
+            END AS lag_seconds
+        `);
+        const lag = parseFloat(result.rows[0].lag_seconds);
+        const wasHealthy = replicaState.healthy;
+
+        replicaState.reachable = true;
+        replicaState.lagSeconds = lag;
+        replicaState.checkedAt = new Date().toISOString();
+
+        if (lag > REPLICA_MAX_LAG_SECONDS) {
+            replicaState.healthy = false;
+            replicaState.error = `Replication lag ${lag.toFixed(1)}s exceeds ${REPLICA_MAX_LAG_SECONDS}s`;
+            if (wasHealthy) log.warn('Replica lagging, reading from primary', { lagSeconds: lag, maxLagSeconds: REPLICA_MAX_LAG_SECONDS });
+        } else {
+            replicaState.healthy = true;
+            replicaState.error = null;
+            if (!wasHealthy) log.info('Replica in use for reads', { lagSeconds: lag });
+        }
+    } catch (err) {
+        replicaState.checkedAt = new Date().toISOString();
+        markReplicaDown(err);
+    }
+}
+
+/**
+ * Start sampling replica lag. No-op when no replica is configured.
+ * @returns {Promise<NodeJS.Timeout|null>}
+ */
+async function startReplicaMonitor() {
+    if (!replicaPool) return null;
+
+    await checkReplica();
+    const timer = setInterval(checkReplica, REPLICA_CHECK_INTERVAL_MS);
+    timer.unref();
+    return timer;
+}
+
+/**
+ * @returns {boolean} Whether reads are currently being sent to the replica
+ */
+function replicaActive() {
+    return replicaPool !== null && replicaState.healthy;
+}
+
+/**
+ * Replica status for /health.
+ * @returns {{ enabled: boolean, healthy?: boolean, reachable?: boolean, lagSeconds?: number|null, maxLagSeconds?: number, checkedAt?: string|null, error?: string|null }}
+ */
+function replicaStatus() {
+    if (!replicaPool) return { enabled: false };
+    return { enabled: true, ...replicaState, maxLagSeconds: REPLICA_MAX_LAG_SECONDS };
+}
 
-// Connection event handlers for visibility
-pool.on('error', (err) => {
-    console.error('[DB] Unexpected pool error:', err.message);
-    console.error('[DB] Connection lost to postgres-primary');
-});
+// ============================================================================
+// SERVICE MODE
+// ============================================================================
 
-pool.on('connect', () => {
-    console.log('[DB] Connected to postgres-primary');
-});
+/**
+ * 'read-write'  → primary available
+ * 'read-only'   → primary lost, replica still answering (reads only)
+ * 'unavailable' → neither
+ * @returns {string}
+ */
+function mode() {
+    if (primaryState.healthy) return 'read-write';
+    if (replicaPool && replicaState.reachable) return 'read-only';
+    return 'unavailable';
+}
 
-pool.on('remove', () => {
-    console.log('[DB] Connection removed from pool');
-});
+/**
+ * Primary status for /health.
+ * @returns {{ host: string, port: number, healthy: boolean, downSince: string|null, lastError: string|null, failovers: number }}
+ */
+function primaryStatus() {
+    return {
+        ...primaryState,
+        downSince: primaryState.downSince ? new Date(primaryState.downSince).toISOString() : null,
+    };
+}
+
+// ============================================================================
+// QUERIES
+// ============================================================================
 
 /**
  * Execute a parameterized query.
  * @param {string} text - SQL query with $1, $2, ... placeholders
  * @param {Array} params - Parameter values
  * @returns {Promise<import('pg').QueryResult>}
+ * @throws {Error} code PRIMARY_UNAVAILABLE while the primary is down
  */
 async function query(text, params = []) {
+    if (!primaryState.healthy) throw primaryUnavailableError();
+
     const start = Date.now();
-    const result = await pool.query(text, params);
+    let result;
+    try {
+        result = await pool.query(text, params);
+    } catch (err) {
+        if (isConnectionError(err)) markPrimaryDown(err);
+        throw err;
+    }
     const duration = Date.now() - start;
+    metrics.observeQuery('primary', duration);
 
     if (duration > 200) {
-        console.warn(`[DB] Slow query (${duration}ms):`, text.substring(0, 80));
+        log.warn('Slow query', { durationMs: duration, query: text.substring(0, 80) });
     }
 
     return result;
 }
 
+/**
+ * Execute a read-only query, on the replica when it is healthy and caught up.
+ * Falls back to the primary if the replica query fails.
+ * Results may be up to PGREPLICA_MAX_LAG_SECONDS stale — callers that must
+ * see their own writes use query() instead. While the primary is down the
+ * replica is used regardless of lag: stale reads beat no reads.
+ * @param {string} text
+ * @param {Array} params
+ * @returns {Promise<import('pg').QueryResult>}
+ */
+async function readQuery(text, params = []) {
+    const useReplica = replicaActive() || (replicaPool !== null && !primaryState.healthy);
+    if (!useReplica) {
+        return query(text, params);
+    }
+
+    const start = Date.now();
+    try {
+        const result = await replicaPool.query(text, params);
+        const duration = Date.now() - start;
+        metrics.observeQuery('replica', duration);
+
+        if (duration > 200) {
+            log.warn('Slow replica query', { durationMs: duration, query: text.substring(0, 80) });
+        }
+        return result;
+    } catch (err) {
+        markReplicaDown(err);
+        return query(text, params);
+    }
+}
+
+// Connection-like object for helpers that take a `conn` (e.g. vaultCrypto)
+const reader = { query: readQuery };
+
 /**
  * Get a client from the pool (for transactions).
  * Caller MUST call client.release() when done.
  * @returns {Promise<import('pg').PoolClient>}
+ * @throws {Error} code PRIMARY_UNAVAILABLE while the primary is down
  */
 async function getClient() {
-    return pool.connect();
+    if (!primaryState.healthy) throw primaryUnavailableError();
+
+    try {
+        return await pool.connect();
+    } catch (err) {
+        if (isConnectionError(err)) markPrimaryDown(err);
+        throw err;
+    }
 }
 
 /**
- * Check if the database is reachable.
+ * Check if the primary is reachable. While it is down this reports false
+ * without a round trip; the failover loop does the probing.
  * @returns {Promise<boolean>}
  */
 async function healthCheck() {
     try {
-        await pool.query('SELECT 1');
+        await query('SELECT 1');
         return true;
     } catch (err) {
-        console.error('[DB] Health check failed:', err.message);
+        if (err.code !== 'PRIMARY_UNAVAILABLE') {
+            log.error('Health check failed', err);
+        }
         return false;
     }
 }
@@ -83,7 +504,23 @@ async function healthCheck() {
  */
 async function close() {
     await pool.end();
-    console.log('[DB] Connection pool closed');
+    if (replicaPool) await replicaPool.end();
+    log.info('Connection pool closed');
 }
 
-module.exports = { query, getClient, healthCheck, close };
+module.exports = {
+    query,
+    readQuery,
+    reader,
+    getClient,
+    healthCheck,
+    close,
+    startReplicaMonitor,
+    replicaActive,
+    replicaStatus,
+    primaryAvailable,
+    primaryStatus,
+    onPrimaryRestored,
+    isConnectionError,
+    mode,
+};
@@ -0,0 +1,91 @@
+/**
+ * Vault Service — Credential Version History
+ *
+ * Before a vault_credentials row is overwritten (write, update-password,
+ * restore) its current contents are copied into vault_credential_versions.
+ * Only the newest VAULT_CREDENTIAL_HISTORY versions (default 5) are kept
+ * per (vault_id, app_id).
+ *
+ * Versions hold the same encrypted blob, key_id and nonce as the live row —
+ * the AAD is (vault_id, app_id), so a version can be copied back verbatim.
+ *
+ * All functions take a PoolClient inside the caller's transaction.
+ */
+
+const HISTORY_LIMIT = parseInt(process.env.VAULT_CREDENTIAL_HISTORY || '5', 10);
+
+/**
+ * Copy the current credential row into the version history and prune old versions.
+ * @param {import('pg').PoolClient} client
+ * @param {string} vaultId
+ * @param {string} appId
+ * @param {{ fields: object, key_id: string|null, nonce: string|null }} row - Current row (locked FOR UPDATE)
+ * @param {string} replacedBy - Action that is about to overwrite it ('write', 'update', 'restore')
+ * @returns {Promise<number>} Version number assigned
+ */
+async function archiveVersion(client, vaultId, appId, row, replacedBy) {
+    // Safe without extra locking: callers hold the vault_credentials row lock
+    const latest = await client.query(
+        `SELECT COALESCE(MAX(version), 0) AS version
+         FROM vault_credential_versions
+         WHERE vault_id = $1 AND app_id = $2`,
+        [vaultId, appId]
+    );
+    const version = latest.rows[0].version + 1;
+
+    await client.query(
+        `INSERT INTO vault_credential_versions (vault_id, app_id, version, fields, key_id, nonce, replaced_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [vaultId, appId, version, JSON.stringify(row.fields), row.key_id, row.nonce, replacedBy]
+    );
+
+    await client.query(
+        `DELETE FROM vault_credential_versions
+         WHERE vault_id = $1 AND app_id = $2 AND version <= $3`,
+        [vaultId, appId, version - HISTORY_LIMIT]
+    );
+
+    return version;
+}
+
+/**
+ * List stored versions, newest first.
+ * @param {object} conn - db module or PoolClient
+ * @param {string} vaultId
+ * @param {string} appId
+ * @returns {Promise<Array<{ version: number, fields: object, key_id: string|null, nonce: string|null, replaced_by: string, created_at: Date }>>}
+ */
+async function listVersions(conn, vaultId, appId) {
+    const result = await conn.query(
+        `SELECT version, fields, key_id, nonce, replaced_by, created_at
+         FROM vault_credential_versions
+         WHERE vault_id = $1 AND app_id = $2
+         ORDER BY version DESC`,
+        [vaultId, appId]
+    );
+    return result.rows;
+}
+
+/**
+ * Fetch a single stored version.
+ * @param {object} conn
+ * @param {string} vaultId
+ * @param {string} appId
+ * @param {number} version
+ * @returns {Promise<object|null>}
+ */
+async function getVersion(conn, vaultId, appId, version) {
+    const result = await conn.query(
+        `SELECT version, fields, key_id, nonce, replaced_by, created_at
+         FROM vault_credential_versions
+         WHERE vault_id = $1 AND app_id = $2 AND version = $3`,
+        [vaultId, appId, version]
+    );
+    return result.rows[0] || null;
+}
+
+module.exports = {
+    archiveVersion,
+    listVersions,
+    getVersion,
+};
@@ -0,0 +1,226 @@
+/**
+ * Vault Service — Envelope Encryption Keyring
+ *
+ * Two-level key hierarchy:
+ *   master key  → wraps per-vault data keys (never stored in Postgres)
+ *   data key    → encrypts the credential fields of one vault_id
+ *
+ * Both levels use AES-256-GCM. Ciphertexts are stored as base64 of
+ * (ciphertext || 16-byte auth tag); the 12-byte nonce is stored separately.
+ *
+ * Master key configuration (each setting may also be read from a file by
+ * setting <NAME>_FILE to its path instead):
+ *   VAULT_MASTER_KEY            → base64-encoded 32-byte active key
+ *   VAULT_MASTER_KEY_VERSION    → version tag of the active key (default 1)
+ *   VAULT_PREVIOUS_MASTER_KEYS  → "version:base64,version:base64" — retired
+ *                                 keys kept only to unwrap data keys that have
+ *                                 not been rotated yet (see rotation.js)
+ */
+
+const crypto = require('crypto');
+const { readSetting } = require('./config');
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const NONCE_BYTES = 12;
+const TAG_BYTES = 16;
+
+let activeKey = null;        // { version, key }
+let masterKeys = new Map();  // version → key (active + previous)
+
+// ============================================================================
+// MASTER KEY
+// ============================================================================
+
+/**
+ * Decode and validate a base64 master key.
+ * @param {string} encoded
+ * @param {string} source - Where the key came from (for error messages)
+ * @returns {Buffer}
+ */
+function decodeKey(encoded, source) {
+    const key = Buffer.from(String(encoded).trim(), 'base64');
+    if (key.length !== KEY_BYTES) {
+        throw new Error(`${source} must be a base64-encoded ${KEY_BYTES}-byte key (got ${key.length} bytes)`);
+    }
+    return key;
+}
+
+/**
+ * Load the active and previous master keys.
+ * Must be called once at startup, before any encrypt/decrypt call.
+ * @throws {Error} if no valid active key is configured
+ * @returns {{ version: number, previousVersions: number[] }}
+ */
+function loadMasterKey() {
+    const encoded = readSetting('VAULT_MASTER_KEY');
+    if (!encoded) {
+        throw new Error('No master key configured (set VAULT_MASTER_KEY or VAULT_MASTER_KEY_FILE)');
+    }
+
+    const version = parseInt(process.env.VAULT_MASTER_KEY_VERSION || '1', 10);
+    const keys = new Map();
+    keys.set(version, decodeKey(encoded, 'VAULT_MASTER_KEY'));
+
+    const previous = readSetting('VAULT_PREVIOUS_MASTER_KEYS') || '';
+    for (const entry of previous.split(',').map(e => e.trim()).filter(Boolean)) {
+        const separator = entry.indexOf(':');
+        const previousVersion = parseInt(entry.substring(0, separator), 10);
+        if (separator < 1 || Number.isNaN(previousVersion)) {
+            throw new Error('VAULT_PREVIOUS_MASTER_KEYS entries must look like "version:base64key"');
+        }
+        if (keys.has(previousVersion)) {
+            throw new Error(`Master key v${previousVersion} is configured more than once`);
+        }
+        keys.set(previousVersion, decodeKey(entry.substring(separator + 1), `VAULT_PREVIOUS_MASTER_KEYS v${previousVersion}`));
+    }
+
+    masterKeys = keys;
+    activeKey = { version, key: keys.get(version) };
+
+    return {
+        version,
+        previousVersions: [...keys.keys()].filter(v => v !== version),
+    };
+}
+
+function requireActiveKey() {
+    if (!activeKey) {
+        throw new Error('Master key not loaded');
+    }
+    return activeKey;
+}
+
+/**
+ * Version of the master key new data keys are wrapped with.
+ * @returns {number}
+ */
+function activeVersion() {
+    return requireActiveKey().version;
+}
+
+// ============================================================================
+// AES-GCM PRIMITIVES
+// ============================================================================
+
+/**
+ * Encrypt a buffer with AES-256-GCM.
+ * @param {Buffer} key
+ * @param {Buffer} plaintext
+ * @param {string} aad - Additional authenticated data (binds ciphertext to its context)
+ * @returns {{ nonce: string, ciphertext: string }} base64-encoded
+ */
+function seal(key, plaintext, aad) {
+    const nonce = crypto.randomBytes(NONCE_BYTES);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, nonce);
+    cipher.setAAD(Buffer.from(aad, 'utf8'));
+    const body = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    const tag = cipher.getAuthTag();
+    return {
+        nonce: nonce.toString('base64'),
+        ciphertext: Buffer.concat([body, tag]).toString('base64'),
+    };
+}
+
+/**
+ * Decrypt a buffer sealed by seal(). Throws if the tag does not verify.
+ * @param {Buffer} key
+ * @param {string} nonce - base64
+ * @param {string} ciphertext - base64 (ciphertext || tag)
+ * @param {string} aad
+ * @returns {Buffer}
+ */
+function open(key, nonce, ciphertext, aad) {
+    const raw = Buffer.from(ciphertext, 'base64');
+    const body = raw.subarray(0, raw.length - TAG_BYTES);
+    const tag = raw.subarray(raw.length - TAG_BYTES);
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(nonce, 'base64'));
+    decipher.setAAD(Buffer.from(aad, 'utf8'));
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(body), decipher.final()]);
+}
+
+// ============================================================================
+// DATA KEYS
+// ============================================================================
+
+/**
+ * Generate a fresh data key for a vault and wrap it under the active master key.
+ * @param {string} vaultId
+ * @returns {{ key: Buffer, wrappedKey: string, wrapNonce: string, masterKeyVersion: number }}
+ */
+function generateDataKey(vaultId) {
+    const key = crypto.randomBytes(KEY_BYTES);
+    return { key, ...wrapDataKey(vaultId, key) };
+}
+
+/**
+ * Wrap a data key under the active master key.
+ * @param {string} vaultId
+ * @param {Buffer} key
+ * @returns {{ wrappedKey: string, wrapNonce: string, masterKeyVersion: number }}
+ */
+function wrapDataKey(vaultId, key) {
+    const { version, key: master } = requireActiveKey();
+    const wrapped = seal(master, key, `vault-key:${vaultId}`);
+    return {
+        wrappedKey: wrapped.ciphertext,
+        wrapNonce: wrapped.nonce,
+        masterKeyVersion: version,
+    };
+}
+
+/**
+ * Unwrap a stored data key with whichever master key version wrapped it.
+ * @param {string} vaultId
+ * @param {{ wrapped_key: string, wrap_nonce: string, master_key_version: number }} row - vault_keys row
+ * @returns {Buffer}
+ */
+function unwrapDataKey(vaultId, row) {
+    requireActiveKey();
+    const master = masterKeys.get(row.master_key_version);
+    if (!master) {
+        throw new Error(`Data key for ${vaultId} is wrapped with master key v${row.master_key_version}, which is not loaded`);
+    }
+    return open(master, row.wrap_nonce, row.wrapped_key, `vault-key:${vaultId}`);
+}
+
+// ============================================================================
+// CREDENTIAL FIELDS
+// ============================================================================
+
+/**
+ * Encrypt a credential fields object with a vault's data key.
+ * The (vault_id, app_id) pair is bound as AAD so rows cannot be swapped.
+ * @param {Buffer} dataKey
+ * @param {string} vaultId
+ * @param {string} appId
+ * @param {object} fields
+ * @returns {{ nonce: string, ciphertext: string }}
+ */
+function encryptFields(dataKey, vaultId, appId, fields) {
+    return seal(dataKey, Buffer.from(JSON.stringify(fields), 'utf8'), `${vaultId}:${appId}`);
+}
+
+/**
+ * Decrypt a credential fields object.
+ * @param {Buffer} dataKey
+ * @param {string} vaultId
+ * @param {string} appId
+ * @param {string} nonce
+ * @param {string} ciphertext
+ * @returns {object}
+ */
+function decryptFields(dataKey, vaultId, appId, nonce, ciphertext) {
+    return JSON.parse(open(dataKey, nonce, ciphertext, `${vaultId}:${appId}`).toString('utf8'));
+}
+
+module.exports = {
+    loadMasterKey,
+    activeVersion,
+    generateDataKey,
+    wrapDataKey,
+    unwrapDataKey,
+    encryptFields,
+    decryptFields,
+};
@@ -0,0 +1,122 @@
+/**
+ * Vault Service — Structured Logger
+ *
+ * One JSON object per line on stdout (stderr for warn/error):
+ *   {"time":"...","level":"info","service":"vault-service","instance":"vault-1",
+ *    "component":"routes","requestId":"...","msg":"Write","vaultId":"vault_1","appId":"app_a"}
+ *
+ * requestId comes from the request being handled (see requestLogging):
+ * PID generates one per extension call and forwards it as X-Request-Id, the
+ * same id is stored in audit_log.request_id, so one auto-login can be traced
+ * through PID logs, vault logs and the audit log. It is carried with
+ * AsyncLocalStorage, so code deep in a request does not need `req`.
+ *
+ * PID's logger.js emits the same format; keep the two in step.
+ *
+ * Configuration:
+ *   LOG_LEVEL  → debug | info | warn | error (default info)
+ *   LOG_FORMAT → json (default) | text (one readable line, for local runs)
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const SERVICE = 'vault-service';
+const INSTANCE = process.env.INSTANCE_NAME || 'vault';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+const TEXT_FORMAT = process.env.LOG_FORMAT === 'text';
+
+// Incoming ids are stored in audit_log; anything else is replaced
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{8,64}$/;
+
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * @returns {string|undefined} Id of the request currently being handled
+ */
+function requestId() {
+    const store = requestContext.getStore();
+    return store ? store.requestId : undefined;
+}
+
+function write(level, bindings, msg, fields) {
+    if (LEVELS[level] < MIN_LEVEL) return;
+
+    const extra = fields instanceof Error ? { error: fields.message } : fields;
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        service: SERVICE,
+        instance: INSTANCE,
+        ...bindings,
+        requestId: requestId(),
+        msg,
+        ...extra,
+    };
+
+    let line;
+    if (TEXT_FORMAT) {
+        const { time, service, instance, component, msg: text, ...rest } = entry;
+        const pairs = Object.entries(rest)
+            .filter(([key, value]) => key !== 'level' && value !== undefined)
+            .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`);
+        line = `${time} ${level.toUpperCase()} [${instance}${component ? `/${component}` : ''}] ${text} ${pairs.join(' ')}`.trimEnd();
+    } else {
+        line = JSON.stringify(entry);
+    }
+
+    (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line + '\n');
+}
+
+/**
+ * @param {object} bindings - Fields added to every entry, e.g. { component: 'db' }
+ * @returns {{ debug: Function, info: Function, warn: Function, error: Function, child: Function }}
+ *          Each level takes (msg, fields?) where fields is an object or an Error
+ */
+function createLogger(bindings = {}) {
+    return {
+        debug: (msg, fields) => write('debug', bindings, msg, fields),
+        info:  (msg, fields) => write('info', bindings, msg, fields),
+        warn:  (msg, fields) => write('warn', bindings, msg, fields),
+        error: (msg, fields) => write('error', bindings, msg, fields),
+        child: (more) => createLogger({ ...bindings, ...more }),
+    };
+}
+
+const logger = createLogger();
+const httpLog = logger.child({ component: 'http' });
+
+/**
+ * Express middleware: take the caller's X-Request-Id (or make one), echo it
+ * back, run the rest of the request inside its logging context and write
+ * one access log line when the response is sent.
+ */
+function requestLogging(req, res, next) {
+    const incoming = req.get('X-Request-Id');
+    req.requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    res.set('X-Request-Id', req.requestId);
+
+    const start = Date.now();
+    requestContext.run({ requestId: req.requestId }, () => {
+        res.on('finish', () => {
+            requestContext.run({ requestId: req.requestId }, () => {
+                httpLog.info('Request', {
+                    method: req.method,
+                    path: req.path,
+                    status: res.statusCode,
+                    durationMs: Date.now() - start,
+                    client: req.vaultClient,
+                });
+            });
+        });
+        next();
+    });
+}
+
+module.exports = {
+    ...logger,
+    requestId,
+    requestLogging,
+};
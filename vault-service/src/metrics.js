@@ -0,0 +1,180 @@
+/**
+ * Vault Service — Prometheus Metrics
+ *
+ * Exposed in Prometheus text format on GET /metrics (see app.js):
+ *   vault_http_requests_total{method,route,status}
+ *   vault_http_request_duration_seconds{method,route,status}   (histogram)
+ *   vault_db_query_duration_seconds{pool}                      (histogram)
+ *   vault_db_slow_queries_total{pool}                          (> 200ms, also logged)
+ *   vault_db_pool_connections{pool,state}                      (total / idle / waiting)
+ *   vault_credential_operations_total{operation,app_id}        (successful read / write / update / restore)
+ * plus the prom-client default process metrics (vault_process_*, vault_nodejs_*).
+ *
+ * Every series carries an `instance_name` label (INSTANCE_NAME) so the
+ * instances behind the load balancer can be told apart.
+ *
+ * `route` is the matched Express route, never the raw URL, to keep label
+ * cardinality bounded; requests that match no route are 'unmatched'.
+ *
+ * Scrapes must send "Authorization: Bearer <VAULT_METRICS_TOKEN>". Without a
+ * configured token /metrics stays closed.
+ *
+ * Configuration:
+ *   VAULT_METRICS_TOKEN (or VAULT_METRICS_TOKEN_FILE) → bearer token for /metrics
+ *                                                     (unset = endpoint disabled)
+ */
+
+const crypto = require('crypto');
+const client = require('prom-client');
+const { readSetting } = require('./config');
+const log = require('./logger').child({ component: 'metrics' });
+
+const INSTANCE = process.env.INSTANCE_NAME || 'vault';
+const PREFIX = 'vault_';
+const METRICS_TOKEN = readSetting('VAULT_METRICS_TOKEN');
+
+const registry = new client.Registry();
+registry.setDefaultLabels({ instance_name: INSTANCE });
+client.collectDefaultMetrics({ register: registry, prefix: PREFIX });
+
+const httpRequests = new client.Counter({
+    name: `${PREFIX}http_requests_total`,
+    help: 'HTTP requests handled',
+    labelNames: ['method', 'route', 'status'],
+    registers: [registry],
+});
+
+const httpDuration = new client.Histogram({
+    name: `${PREFIX}http_request_duration_seconds`,
+    help: 'HTTP request latency',
+    labelNames: ['method', 'route', 'status'],
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+    registers: [registry],
+});
+
+const queryDuration = new client.Histogram({
+    name: `${PREFIX}db_query_duration_seconds`,
+    help: 'Postgres query latency',
+    labelNames: ['pool'],
+    buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.2, 0.5, 1, 5],
+    registers: [registry],
+});
+
+const slowQueries = new client.Counter({
+    name: `${PREFIX}db_slow_queries_total`,
+    help: 'Postgres queries slower than 200ms',
+    labelNames: ['pool'],
+    registers: [registry],
+});
+
+const credentialOperations = new client.Counter({
+    name: `${PREFIX}credential_operations_total`,
+    help: 'Successful credential operations',
+    labelNames: ['operation', 'app_id'],
+    registers: [registry],
+});
+
+// pool name → function returning the current pg Pool (the primary pool is replaced on failover)
+const poolSources = new Map();
+
+new client.Gauge({
+    name: `${PREFIX}db_pool_connections`,
+    help: 'Postgres pool connections by state',
+    labelNames: ['pool', 'state'],
+    registers: [registry],
+    collect() {
+        this.reset();
+        for (const [name, getPool] of poolSources) {
+            const pool = getPool();
+            if (!pool) continue;
+            this.set({ pool: name, state: 'total' }, pool.totalCount);
+            this.set({ pool: name, state: 'idle' }, pool.idleCount);
+            this.set({ pool: name, state: 'waiting' }, pool.waitingCount);
+        }
+    },
+});
+
+/**
+ * Report a pool's connection counts on every scrape.
+ * @param {string} name - 'primary' or 'replica'
+ * @param {() => import('pg').Pool|null} getPool
+ */
+function trackPool(name, getPool) {
+    poolSources.set(name, getPool);
+}
+
+/**
+ * @param {string} pool - 'primary' or 'replica'
+ * @param {number} durationMs
+ */
+function observeQuery(pool, durationMs) {
+    queryDuration.observe({ pool }, durationMs / 1000);
+    if (durationMs > 200) slowQueries.inc({ pool });
+}
+
+/**
+ * @param {string} operation - 'read', 'write', 'update' or 'restore'
+ * @param {string} appId
+ */
+function countCredentialOperation(operation, appId) {
+    credentialOperations.inc({ operation, app_id: appId });
+}
+
+/**
+ * Express middleware: count and time every request once the response is sent.
+ */
+function requestMetrics(req, res, next) {
+    const stop = httpDuration.startTimer();
+    res.on('finish', () => {
+        const labels = {
+            method: req.method,
+            route: req.route ? req.baseUrl + req.route.path : 'unmatched',
+            status: String(res.statusCode),
+        };
+        httpRequests.inc(labels);
+        stop(labels);
+    });
+    next();
+}
+
+function digest(value) {
+    return crypto.createHash('sha256').update(value).digest();
+}
+
+/**
+ * Only scrapers holding VAULT_METRICS_TOKEN get through.
+ */
+function requireMetricsToken(req, res, next) {
+    if (!METRICS_TOKEN) {
+        return res.status(404).json({ error: 'Metrics are disabled (set VAULT_METRICS_TOKEN)' });
+    }
+    const header = req.get('Authorization') || '';
+    const token = header.startsWith('Bearer ') ? header.substring(7) : '';
+    // Compared as hashes so the check takes the same time whatever the length
+    if (!crypto.timingSafeEqual(digest(token), digest(METRICS_TOKEN))) {
+        return res.status(401).json({ error: 'Invalid metrics token' });
+    }
+    next();
+}
+
+/**
+ * GET /metrics handler.
+ */
+async function metricsHandler(req, res) {
+    try {
+        res.set('Content-Type', registry.contentType);
+        res.end(await registry.metrics());
+    } catch (err) {
+        log.error('Metrics collection failed', err);
+        res.status(500).json({ error: 'Metrics collection failed' });
+    }
+}
+
+module.exports = {
+    requestMetrics,
+    requireMetricsToken,
+    metricsHandler,
+    trackPool,
+    observeQuery,
+    countCredentialOperation,
+};
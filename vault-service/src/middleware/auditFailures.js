@@ -0,0 +1,81 @@
+/**
+ * Vault Service — Failure Audit Middleware
+ *
+ * Successful operations are audited inside their route handlers (in the same
+ * transaction as the change). This middleware covers everything else: any
+ * /internal request that ends in 4xx/5xx — rejected signatures, validation
+ * errors from validate.js, missing credentials, internal errors — is appended
+ * to audit_log with a non-success outcome once the response is sent.
+ *
+ * Must be mounted before the signature middleware so denials are captured.
+ * Until the signature has been verified (req.vaultClient is set) nothing in
+ * the request is trusted: the entry records placeholders instead of the body
+ * and path, and is dropped rather than buffered while the primary is down, so
+ * unsigned requests cannot push real entries out of the outage buffer.
+ */
+
+const audit = require('../audit');
+
+const log = require('../logger').child({ component: 'audit' });
+
+// Route names that differ from the action recorded on success
+const ACTION_ALIASES = {
+    'update-password': 'update',
+};
+
+// Recorded for requests whose signature was not verified
+const UNSIGNED_ACTION = 'unsigned';
+
+/**
+ * Map an HTTP status to an audit outcome.
+ * @param {number} status
+ * @returns {string}
+ */
+function outcomeForStatus(status) {
+    if (status === 400) return 'invalid';
+    if (status === 401 || status === 403) return 'denied';
+    if (status === 404) return 'not_found';
+    if (status === 409) return 'conflict';
+    if (status >= 500) return 'error';
+    return 'failed';
+}
+
+/**
+ * Derive the audit action from the request path, e.g.
+ * /internal/vault/update-password → 'update', /internal/vault/audit/verify → 'audit/verify'
+ * @param {string} path
+ * @returns {string}
+ */
+function actionForPath(path) {
+    const name = path.replace(/^\/internal\/vault\//, '').replace(/\/$/, '') || path;
+    return ACTION_ALIASES[name] || name;
+}
+
+function bodyString(req, field) {
+    const value = req.body && req.body[field];
+    return typeof value === 'string' && value.trim().length > 0 ? value : '-';
+}
+
+function auditFailures(req, res, next) {
+    res.on('finish', () => {
+        if (res.statusCode < 400) return;
+
+        const details = req.vaultClient
+            ? {
+                vaultId: bodyString(req, 'vaultId'),
+                appId: bodyString(req, 'appId'),
+                action: actionForPath(req.originalUrl.split('?')[0]),
+            }
+            : { vaultId: '-', appId: '-', action: UNSIGNED_ACTION, droppable: true };
+
+        audit.record(req, {
+            ...details,
+            outcome: outcomeForStatus(res.statusCode),
+        }).catch((err) => {
+            log.error('Failed to audit failed request', { status: res.statusCode, path: req.originalUrl, error: err.message });
+        });
+    });
+    next();
+}
+
+module.exports = auditFailures;
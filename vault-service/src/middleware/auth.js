@@ -0,0 +1,220 @@
+/**
+ * Vault Service — Request Signature Middleware
+ *
+ * Every /internal request must be signed by a registered PID instance:
+ *   X-Vault-Client     → client id (one per PID instance)
+ *   X-Vault-Timestamp  → unix seconds
+ *   X-Vault-Nonce      → random, single-use
+ *   X-Vault-Signature  → hex HMAC-SHA256(secret, canonical)
+ *
+ * canonical = METHOD \n PATH \n TIMESTAMP \n NONCE \n hex SHA256(raw body)
+ *
+ * Replays are rejected by a timestamp window plus a nonce table shared by
+ * all vault instances (request_nonces). Returns 401 with { error: "..." }.
+ * While the primary is down (read-only mode) nonces are tracked in memory
+ * instead, which only catches replays to the same instance. Writes are
+ * refused in that mode (see readOnly.js), so a replay to another instance can
+ * only repeat a read, and it is audited like any other. Once the primary is
+ * back the in-memory nonces are copied to request_nonces (flushLocalNonces),
+ * so a request signed during the outage cannot be replayed as a write later.
+ *
+ * Configuration:
+ *   VAULT_CLIENT_KEYS (or VAULT_CLIENT_KEYS_FILE) → "clientId:secret,clientId:secret"
+ *   VAULT_SIGNATURE_MAX_SKEW → allowed clock skew in seconds (default 300)
+ */
+
+const crypto = require('crypto');
+const db = require('../db');
+const { readSetting } = require('../config');
+const log = require('../logger').child({ component: 'auth' });
+
+const MAX_SKEW_SECONDS = parseInt(process.env.VAULT_SIGNATURE_MAX_SKEW || '300', 10);
+const NONCE_CLEANUP_INTERVAL_MS = 60 * 1000;
+
+let clientKeys = new Map();
+
+// Read-only mode fallback: "clientId:nonce" → expiry (ms)
+const localNonces = new Map();
+
+/**
+ * Load the registered PID client secrets.
+ * Must be called once at startup.
+ * @throws {Error} if no client keys are configured
+ * @returns {string[]} Registered client ids
+ */
+function loadClientKeys() {
+    const configured = readSetting('VAULT_CLIENT_KEYS') || '';
+    const keys = new Map();
+
+    for (const entry of configured.split(',').map(e => e.trim()).filter(Boolean)) {
+        const separator = entry.indexOf(':');
+        if (separator < 1 || separator === entry.length - 1) {
+            throw new Error('VAULT_CLIENT_KEYS entries must look like "clientId:secret"');
+        }
+        keys.set(entry.substring(0, separator), entry.substring(separator + 1));
+    }
+
+    if (keys.size === 0) {
+        throw new Error('No PID client keys configured (set VAULT_CLIENT_KEYS or VAULT_CLIENT_KEYS_FILE)');
+    }
+
+    clientKeys = keys;
+    return [...keys.keys()];
+}
+
+/**
+ * express.json() verify hook — keeps the exact body bytes for hashing.
+ */
+function captureRawBody(req, res, buf) {
+    req.rawBody = buf;
+}
+
+/**
+ * Constant-time comparison of two hex strings.
+ */
+function safeEqual(a, b) {
+    const left = Buffer.from(String(a), 'utf8');
+    const right = Buffer.from(String(b), 'utf8');
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Middleware: reject requests that are unsigned, badly signed, stale or replayed.
+ * On success sets req.vaultClient to the calling PID's client id.
+ */
+async function requireSignedRequest(req, res, next) {
+    const clientId = req.get('X-Vault-Client');
+    const timestamp = req.get('X-Vault-Timestamp');
+    const nonce = req.get('X-Vault-Nonce');
+    const signature = req.get('X-Vault-Signature');
+
+    if (!clientId || !timestamp || !nonce || !signature) {
+        return res.status(401).json({ error: 'Missing request signature' });
+    }
+
+    const secret = clientKeys.get(clientId);
+    if (!secret) {
+        log.warn('Unknown vault client', { client: clientId });
+        return res.status(401).json({ error: 'Unknown client' });
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const sentAt = parseInt(timestamp, 10);
+    if (Number.isNaN(sentAt) || Math.abs(now - sentAt) > MAX_SKEW_SECONDS) {
+        return res.status(401).json({ error: 'Request timestamp outside allowed window' });
+    }
+
+    const bodyHash = crypto.createHash('sha256').update(req.rawBody || '').digest('hex');
+    const canonical = [req.method.toUpperCase(), req.originalUrl, timestamp, nonce, bodyHash].join('\n');
+    const expected = crypto.createHmac('sha256', secret).update(canonical).digest('hex');
+
+    if (!safeEqual(signature, expected)) {
+        log.warn('Invalid signature', { client: clientId, method: req.method, path: req.originalUrl });
+        return res.status(401).json({ error: 'Invalid request signature' });
+    }
+
+    try {
+        let fresh;
+        try {
+            fresh = db.primaryAvailable()
+                ? !localNonces.has(`${clientId}:${nonce}`) && await recordNonce(clientId, nonce)
+                : recordLocalNonce(clientId, nonce);
+        } catch (err) {
+            // This request is the one that found the primary gone
+            if (db.primaryAvailable() || db.mode() !== 'read-only') throw err;
+            fresh = recordLocalNonce(clientId, nonce);
+        }
+        if (!fresh) {
+            log.warn('Replayed request', { client: clientId, nonce });
+            return res.status(401).json({ error: 'Replayed request' });
+        }
+    } catch (err) {
+        log.error('Nonce check failed', err);
+        if (err.code === 'PRIMARY_UNAVAILABLE' || db.isConnectionError(err)) {
+            return res.status(503).json({ error: 'Vault database unavailable' });
+        }
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+
+    req.vaultClient = clientId;
+    next();
+}
+
+/**
+ * Nonce table is shared by all instances, so a replay to a different
+ * instance behind the load balancer is caught too.
+ * @returns {Promise<boolean>} false if the nonce was already used
+ */
+async function recordNonce(clientId, nonce) {
+    const inserted = await db.query(
+        `INSERT INTO request_nonces (client_id, nonce) VALUES ($1, $2)
+         ON CONFLICT DO NOTHING`,
+        [clientId, nonce]
+    );
+    return inserted.rowCount > 0;
+}
+
+/**
+ * @returns {boolean} false if the nonce was already used on this instance
+ */
+function recordLocalNonce(clientId, nonce) {
+    const key = `${clientId}:${nonce}`;
+    if (localNonces.has(key)) return false;
+    localNonces.set(key, Date.now() + MAX_SKEW_SECONDS * 2 * 1000);
+    return true;
+}
+
+/**
+ * Copy nonces seen in read-only mode to the shared table, so other instances
+ * reject them too. Called when the primary is restored.
+ * @returns {Promise<number>} Nonces copied
+ */
+async function flushLocalNonces() {
+    const now = Date.now();
+    let copied = 0;
+    for (const [key, expiresAt] of localNonces) {
+        if (expiresAt < now) continue;
+        // Client ids cannot contain ':' (see loadClientKeys)
+        const split = key.indexOf(':');
+        await recordNonce(key.slice(0, split), key.slice(split + 1));
+        copied++;
+    }
+    if (copied > 0) {
+        log.info('Copied read-only mode nonces to request_nonces', { nonces: copied });
+    }
+    return copied;
+}
+
+/**
+ * Periodically delete nonces older than the timestamp window — any request
+ * reusing them is already rejected as stale.
+ * @returns {NodeJS.Timeout}
+ */
+function startNonceCleanup() {
+    const timer = setInterval(async () => {
+        const now = Date.now();
+        for (const [key, expiresAt] of localNonces) {
+            if (expiresAt < now) localNonces.delete(key);
+        }
+
+        if (!db.primaryAvailable()) return;
+        try {
+            await db.query(
+                "DELETE FROM request_nonces WHERE seen_at < NOW() - ($1 || ' seconds')::interval",
+                [String(MAX_SKEW_SECONDS * 2)]
+            );
+        } catch (err) {
+            log.error('Nonce cleanup failed', err);
+        }
+    }, NONCE_CLEANUP_INTERVAL_MS);
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    loadClientKeys,
+    captureRawBody,
+    requireSignedRequest,
+    flushLocalNonces,
+    startNonceCleanup,
+};
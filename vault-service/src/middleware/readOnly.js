@@ -0,0 +1,36 @@
+/**
+ * Vault Service — Read-Only Mode Guard
+ *
+ * While the Postgres primary is down (see db.js) only requests that can be
+ * answered from the replica are let through. Everything else gets a 503 with
+ * { error: "..." } straight away instead of failing inside the handler with
+ * a 500, so PID can tell "vault degraded" apart from "vault broken".
+ *
+ * Mounted after the signature middleware.
+ */
+
+const db = require('../db');
+
+// Handlers that only read via db.readQuery / db.reader
+const READ_ONLY_PATHS = new Set([
+    '/internal/vault/read',
+    '/internal/vault/read-batch',
+    '/internal/vault/audit',
+    '/internal/vault/audit/verify',
+]);
+
+function rejectWritesWhenDegraded(req, res, next) {
+    if (db.primaryAvailable()) return next();
+
+    const path = req.originalUrl.split('?')[0];
+    if (db.mode() === 'read-only' && READ_ONLY_PATHS.has(path)) return next();
+
+    res.set('Retry-After', '5');
+    return res.status(503).json({
+        error: db.mode() === 'read-only'
+            ? 'Vault is in read-only mode: primary database unavailable'
+            : 'Vault database unavailable',
+    });
+}
+
+module.exports = rejectWritesWhenDegraded;
@@ -2,7 +2,8 @@
  * Vault Service — Request Validation Middleware
  * 
  * Validates request bodies for each endpoint.
- * Returns 400 with { error: "..." } on validation failure.
+ * Returns 400 with { error: "..." } on validation failure
+ * (recorded in audit_log as outcome 'invalid' by auditFailures.js).
  */
 
 /**
@@ -12,6 +13,30 @@ function isNonEmptyString(value) {
     return typeof value === 'string' && value.trim().length > 0;
 }
 
+/**
+ * Extra validator: field may be omitted, otherwise must be a non-empty string.
+ */
+function optionalString(field) {
+    return (value) => {
+        if (value !== undefined && !isNonEmptyString(value)) {
+            return `${field} must be a non-empty string`;
+        }
+        return null;
+    };
+}
+
+/**
+ * Extra validator: field may be omitted, otherwise must parse as a timestamp.
+ */
+function optionalTimestamp(field) {
+    return (value) => {
+        if (value !== undefined && (typeof value !== 'string' || Number.isNaN(Date.parse(value)))) {
+            return `${field} must be an ISO timestamp`;
+        }
+        return null;
+    };
+}
+
 /**
  * Factory: creates middleware that validates required string fields exist.
  * @param {string[]} requiredFields - Field names that must be non-empty strings
@@ -52,6 +77,26 @@ function validateBody(requiredFields, extraValidators = {}) {
  */
 const validateRead = validateBody(['vaultId', 'appId']);
 
+/**
+ * POST /internal/vault/read-batch
+ * Requires: vaultId, appIds (1-MAX_BATCH_APPS unique non-empty strings)
+ */
+const MAX_BATCH_APPS = 100;
+const validateReadBatch = validateBody(['vaultId'], {
+    appIds: (value) => {
+        if (!Array.isArray(value) || value.length === 0 || value.length > MAX_BATCH_APPS) {
+            return `appIds is required and must be an array of 1-${MAX_BATCH_APPS} app ids`;
+        }
+        if (!value.every(isNonEmptyString)) {
+            return 'appIds must contain only non-empty strings';
+        }
+        if (new Set(value).size !== value.length) {
+            return 'appIds must not contain duplicates';
+        }
+        return null;
+    }
+});
+
 /**
  * POST /internal/vault/write
  * Requires: vaultId, appId, fields (object)
@@ -83,10 +128,65 @@ const validateDelete = validateBody(['vaultId', 'appId']);
  */
 const validateDeleteVault = validateBody(['vaultId']);
 
+/**
+ * POST /internal/vault/versions
+ * Requires: vaultId, appId
+ */
+const validateListVersions = validateBody(['vaultId', 'appId']);
+
+/**
+ * POST /internal/vault/restore
+ * Requires: vaultId, appId, version (positive integer)
+ */
+const validateRestoreVersion = validateBody(['vaultId', 'appId'], {
+    version: (value) => {
+        if (!Number.isInteger(value) || value < 1) {
+            return 'version is required and must be a positive integer';
+        }
+        return null;
+    }
+});
+
+/**
+ * POST /internal/vault/audit
+ * Optional: vaultId, appId, action, outcome (strings), from, to (ISO timestamps),
+ *           limit (1-500), offset (>= 0), beforeId (> 0; only entries with a smaller id)
+ */
+const validateAuditQuery = validateBody([], {
+    vaultId: optionalString('vaultId'),
+    appId: optionalString('appId'),
+    action: optionalString('action'),
+    outcome: optionalString('outcome'),
+    from: optionalTimestamp('from'),
+    to: optionalTimestamp('to'),
+    limit: (value) => {
+        if (value !== undefined && (!Number.isInteger(value) || value < 1 || value > 500)) {
+            return 'limit must be an integer between 1 and 500';
+        }
+        return null;
+    },
+    offset: (value) => {
+        if (value !== undefined && (!Number.isInteger(value) || value < 0)) {
+            return 'offset must be a non-negative integer';
+        }
+        return null;
+    },
+    beforeId: (value) => {
+        if (value !== undefined && (!Number.isInteger(value) || value < 1)) {
+            return 'beforeId must be a positive integer';
+        }
+        return null;
+    },
+});
+
 module.exports = {
     validateRead,
+    validateReadBatch,
     validateWrite,
     validateUpdatePassword,
     validateDelete,
     validateDeleteVault,
+    validateListVersions,
+    validateRestoreVersion,
+    validateAuditQuery,
 };
@@ -0,0 +1,180 @@
+/**
+ * Vault Service — Startup Schema Migration
+ *
+ * init.sql only runs when the Postgres volume is first created, so databases
+ * created before a schema change need the same DDL applied at startup.
+ * Every statement here is idempotent and mirrors init.sql.
+ *
+ * Runs under a Postgres advisory lock so the vault instances starting
+ * together do not race each other.
+ */
+
+const db = require('./db');
+const vaultCrypto = require('./vaultCrypto');
+const audit = require('./audit');
+const log = require('./logger').child({ component: 'migrate' });
+
+const MIGRATION_LOCK_ID = 5000;
+const BATCH_SIZE = 100;
+
+const SCHEMA_STATEMENTS = [
+    `CREATE TABLE IF NOT EXISTS vault_keys (
+        key_id              TEXT        PRIMARY KEY,
+        vault_id            TEXT        NOT NULL UNIQUE,
+        wrapped_key         TEXT        NOT NULL,
+        wrap_nonce          TEXT        NOT NULL,
+        master_key_version  INTEGER     NOT NULL,
+        created_at          TIMESTAMP   NOT NULL DEFAULT NOW()
+    )`,
+    `CREATE TABLE IF NOT EXISTS key_rotations (
+        id              SERIAL      PRIMARY KEY,
+        target_version  INTEGER     NOT NULL,
+        status          TEXT        NOT NULL,
+        total_keys      INTEGER     NOT NULL DEFAULT 0,
+        rewrapped_keys  INTEGER     NOT NULL DEFAULT 0,
+        last_vault_id   TEXT,
+        last_error      TEXT,
+        started_by      TEXT,
+        started_at      TIMESTAMP   NOT NULL DEFAULT NOW(),
+        updated_at      TIMESTAMP   NOT NULL DEFAULT NOW(),
+        completed_at    TIMESTAMP
+    )`,
+    `CREATE TABLE IF NOT EXISTS request_nonces (
+        client_id   TEXT        NOT NULL,
+        nonce       TEXT        NOT NULL,
+        seen_at     TIMESTAMP   NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (client_id, nonce)
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_request_nonces_seen_at ON request_nonces (seen_at)',
+    `CREATE TABLE IF NOT EXISTS vault_credential_versions (
+        id          SERIAL      PRIMARY KEY,
+        vault_id    TEXT        NOT NULL,
+        app_id      TEXT        NOT NULL,
+        version     INTEGER     NOT NULL,
+        fields      JSONB       NOT NULL,
+        key_id      TEXT,
+        nonce       TEXT,
+        replaced_by TEXT        NOT NULL,
+        created_at  TIMESTAMP   NOT NULL DEFAULT NOW(),
+        UNIQUE (vault_id, app_id, version)
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_audit_log_timestamp ON audit_log (timestamp)',
+    'ALTER TABLE audit_log ADD COLUMN IF NOT EXISTS client_id TEXT',
+    'ALTER TABLE audit_log ADD COLUMN IF NOT EXISTS request_id TEXT',
+    "ALTER TABLE audit_log ADD COLUMN IF NOT EXISTS outcome TEXT NOT NULL DEFAULT 'success'",
+    'ALTER TABLE audit_log ADD COLUMN IF NOT EXISTS prev_hash TEXT',
+    'ALTER TABLE audit_log ADD COLUMN IF NOT EXISTS row_hash TEXT',
+    'ALTER TABLE vault_credentials ADD COLUMN IF NOT EXISTS key_id TEXT',
+    'ALTER TABLE vault_credentials ADD COLUMN IF NOT EXISTS nonce TEXT',
+];
+
+// Applied after legacy audit rows are hashed (the trigger blocks later edits)
+const AUDIT_TRIGGER_STATEMENTS = [
+    `CREATE OR REPLACE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+    BEGIN
+        IF TG_OP = 'UPDATE' AND OLD.row_hash IS NULL THEN
+            RETURN NEW;
+        END IF;
+        RAISE EXCEPTION 'audit_log is append-only';
+    END;
+    $$ LANGUAGE plpgsql`,
+    'DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log',
+    `CREATE TRIGGER audit_log_append_only
+        BEFORE UPDATE OR DELETE ON audit_log
+        FOR EACH ROW EXECUTE FUNCTION audit_log_append_only()`,
+    // TRUNCATE skips row triggers
+    'DROP TRIGGER IF EXISTS audit_log_no_truncate ON audit_log',
+    `CREATE TRIGGER audit_log_no_truncate
+        BEFORE TRUNCATE ON audit_log
+        FOR EACH STATEMENT EXECUTE FUNCTION audit_log_append_only()`,
+];
+
+/**
+ * Apply any missing schema changes.
+ */
+async function ensureSchema() {
+    const client = await db.getClient();
+    try {
+        await client.query('BEGIN');
+        await client.query('SELECT pg_advisory_xact_lock($1)', [MIGRATION_LOCK_ID]);
+        for (const statement of SCHEMA_STATEMENTS) {
+            await client.query(statement);
+        }
+
+        const hashed = await audit.backfillChain(client);
+        if (hashed > 0) {
+            log.info('Hash-chained existing audit_log rows', { rows: hashed });
+        }
+
+        for (const statement of AUDIT_TRIGGER_STATEMENTS) {
+            await client.query(statement);
+        }
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Encrypt any plaintext rows left over from before envelope encryption.
+ * Works in batches; each batch is its own transaction.
+ * @returns {Promise<number>} Number of rows encrypted
+ */
+async function encryptPlaintextRows() {
+    let total = 0;
+
+    while (true) {
+        const client = await db.getClient();
+        let migrated = 0;
+        try {
+            await client.query('BEGIN');
+
+            const batch = await client.query(
+                `SELECT vault_id, app_id, fields FROM vault_credentials
+                 WHERE key_id IS NULL
+                 LIMIT $1
+                 FOR UPDATE SKIP LOCKED`,
+                [BATCH_SIZE]
+            );
+
+            for (const row of batch.rows) {
+                const sealed = await vaultCrypto.sealFields(client, row.vault_id, row.app_id, row.fields);
+                await client.query(
+                    `UPDATE vault_credentials
+                     SET fields = $1, key_id = $2, nonce = $3
+                     WHERE vault_id = $4 AND app_id = $5`,
+                    [JSON.stringify(sealed.stored), sealed.keyId, sealed.nonce, row.vault_id, row.app_id]
+                );
+            }
+
+            await client.query('COMMIT');
+            migrated = batch.rows.length;
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+
+        total += migrated;
+        if (migrated < BATCH_SIZE) break;
+    }
+
+    if (total > 0) {
+        log.info('Encrypted plaintext credential rows', { rows: total });
+    }
+    return total;
+}
+
+/**
+ * Run all startup migrations.
+ */
+async function migrate() {
+    await ensureSchema();
+    await encryptPlaintextRows();
+}
+
+module.exports = { migrate, ensureSchema, encryptPlaintextRows };
@@ -0,0 +1,195 @@
+/**
+ * Vault Service — Master Key Rotation Job
+ *
+ * Re-wraps every data key in vault_keys under the active master key version.
+ * Credential rows are untouched: only the wrapping of each data key changes,
+ * so the job is cheap and never needs to decrypt credential fields.
+ *
+ * Zero-downtime procedure:
+ *   1. Restart every vault instance with the new key as VAULT_MASTER_KEY
+ *      (bumped VAULT_MASTER_KEY_VERSION) and the old key listed in
+ *      VAULT_PREVIOUS_MASTER_KEYS. Instances can now unwrap both versions.
+ *   2. Run the job (POST /internal/vault/rotate-keys or scripts/rotate-master-key.js).
+ *   3. Once it reports 'completed', drop the old key from VAULT_PREVIOUS_MASTER_KEYS.
+ *
+ * Crash safety:
+ *   - Each batch re-wraps its keys and advances the key_rotations progress row
+ *     in a single transaction, so a data key is always wrapped by exactly one
+ *     loaded master key version and is never left undecryptable.
+ *   - Re-running the job resumes the unfinished rotation for the same target
+ *     version; already re-wrapped keys are skipped by the version filter.
+ *   - A session-level advisory lock keeps two runs (from any instance or the
+ *     CLI) from working at the same time.
+ */
+
+const db = require('./db');
+const keyring = require('./keyring');
+const log = require('./logger').child({ component: 'rotation' });
+
+const INSTANCE = process.env.INSTANCE_NAME || 'vault';
+const ROTATION_LOCK_ID = 5001;
+const BATCH_SIZE = 100;
+
+/**
+ * Find the unfinished rotation for a target version, or start a new one.
+ * @param {import('pg').PoolClient} client
+ * @param {number} targetVersion
+ * @param {string} startedBy
+ * @returns {Promise<object>} key_rotations row
+ */
+async function findOrCreateRotation(client, targetVersion, startedBy) {
+    const existing = await client.query(
+        `SELECT * FROM key_rotations
+         WHERE target_version = $1 AND status = 'running'
+         ORDER BY id DESC LIMIT 1`,
+        [targetVersion]
+    );
+    if (existing.rows.length > 0) {
+        log.info('Resuming rotation', { rotationId: existing.rows[0].id, targetVersion });
+        return existing.rows[0];
+    }
+
+    const pending = await client.query(
+        'SELECT COUNT(*)::int AS count FROM vault_keys WHERE master_key_version <> $1',
+        [targetVersion]
+    );
+
+    const created = await client.query(
+        `INSERT INTO key_rotations (target_version, status, total_keys, started_by)
+         VALUES ($1, 'running', $2, $3)
+         RETURNING *`,
+        [targetVersion, pending.rows[0].count, startedBy]
+    );
+    log.info('Started rotation', { rotationId: created.rows[0].id, targetVersion, keys: pending.rows[0].count });
+    return created.rows[0];
+}
+
+/**
+ * Re-wrap one batch of data keys. Returns the number of keys processed.
+ * @param {import('pg').PoolClient} client
+ * @param {object} rotation
+ * @returns {Promise<number>}
+ */
+async function rewrapBatch(client, rotation) {
+    await client.query('BEGIN');
+    try {
+        const batch = await client.query(
+            `SELECT vault_id, wrapped_key, wrap_nonce, master_key_version FROM vault_keys
+             WHERE master_key_version <> $1
+             ORDER BY vault_id
+             LIMIT $2
+             FOR UPDATE`,
+            [rotation.target_version, BATCH_SIZE]
+        );
+
+        for (const row of batch.rows) {
+            const key = keyring.unwrapDataKey(row.vault_id, row);
+            const wrapped = keyring.wrapDataKey(row.vault_id, key);
+            await client.query(
+                `UPDATE vault_keys
+                 SET wrapped_key = $1, wrap_nonce = $2, master_key_version = $3
+                 WHERE vault_id = $4`,
+                [wrapped.wrappedKey, wrapped.wrapNonce, wrapped.masterKeyVersion, row.vault_id]
+            );
+        }
+
+        if (batch.rows.length > 0) {
+            await client.query(
+                `UPDATE key_rotations
+                 SET rewrapped_keys = rewrapped_keys + $1, last_vault_id = $2, updated_at = NOW()
+                 WHERE id = $3`,
+                [batch.rows.length, batch.rows[batch.rows.length - 1].vault_id, rotation.id]
+            );
+        }
+
+        await client.query('COMMIT');
+        return batch.rows.length;
+    } catch (err) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw err;
+    }
+}
+
+/**
+ * Rotate every data key to the active master key version.
+ * Resumes an interrupted rotation to the same version if one exists.
+ * @param {object} [options]
+ * @param {string} [options.startedBy] - Recorded on the rotation row
+ * @param {(rotation: object) => void} [options.onStart] - Called once the rotation row exists
+ * @returns {Promise<{ success: boolean, busy?: boolean, unavailable?: boolean, rotation?: object, error?: string }>}
+ */
+async function rotateMasterKey(options = {}) {
+    const { startedBy = INSTANCE, onStart } = options;
+    const targetVersion = keyring.activeVersion();
+
+    let client;
+    let locked = false;
+    let rotation = null;
+    try {
+        client = await db.getClient();
+        const lock = await client.query('SELECT pg_try_advisory_lock($1) AS locked', [ROTATION_LOCK_ID]);
+        locked = lock.rows[0].locked;
+        if (!locked) {
+            return { success: false, busy: true, error: 'Key rotation already in progress' };
+        }
+
+        rotation = await findOrCreateRotation(client, targetVersion, startedBy);
+        if (onStart) onStart(rotation);
+
+        let processed;
+        do {
+            processed = await rewrapBatch(client, rotation);
+            if (processed > 0) {
+                log.info('Re-wrapped keys', { rotationId: rotation.id, keys: processed });
+            }
+        } while (processed === BATCH_SIZE);
+
+        const done = await client.query(
+            `UPDATE key_rotations
+             SET status = 'completed', completed_at = NOW(), updated_at = NOW()
+             WHERE id = $1
+             RETURNING *`,
+            [rotation.id]
+        );
+        log.info('Rotation completed', { rotationId: rotation.id, keys: done.rows[0].rewrapped_keys, targetVersion });
+        return { success: true, rotation: done.rows[0] };
+
+    } catch (err) {
+        log.error('Rotation failed', err);
+        // Leave the row 'running' so the next run resumes it; just record the error
+        if (rotation) {
+            await client.query(
+                'UPDATE key_rotations SET last_error = $1, updated_at = NOW() WHERE id = $2',
+                [err.message, rotation.id]
+            ).catch(() => {});
+        }
+        const unavailable = err.code === 'PRIMARY_UNAVAILABLE' || db.isConnectionError(err);
+        return { success: false, unavailable, rotation, error: err.message };
+
+    } finally {
+        if (locked) {
+            await client.query('SELECT pg_advisory_unlock($1)', [ROTATION_LOCK_ID]).catch(() => {});
+        }
+        if (client) client.release();
+    }
+}
+
+/**
+ * Most recent rotation plus how many data keys are still on an older version.
+ * @returns {Promise<{ activeVersion: number, pendingKeys: number, rotation: object|null }>}
+ */
+async function getRotationStatus() {
+    const targetVersion = keyring.activeVersion();
+    const latest = await db.query('SELECT * FROM key_rotations ORDER BY id DESC LIMIT 1');
+    const pending = await db.query(
+        'SELECT COUNT(*)::int AS count FROM vault_keys WHERE master_key_version <> $1',
+        [targetVersion]
+    );
+    return {
+        activeVersion: targetVersion,
+        pendingKeys: pending.rows[0].count,
+        rotation: latest.rows[0] || null,
+    };
+}
+
+module.exports = { rotateMasterKey, getRotationStatus };
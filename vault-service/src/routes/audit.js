@@ -0,0 +1,107 @@
+/**
+ * Vault Service — Audit Log Routes
+ *
+ * Internal-only read access to audit_log for PID's admin audit page.
+ * Entries never contain credential fields, so results can be returned as-is.
+ * Chain verification lives in audit.js.
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const audit = require('../audit');
+const log = require('../logger').child({ component: 'routes' });
+const { validateAuditQuery } = require('../middleware/validate');
+
+const DEFAULT_LIMIT = 50;
+
+// ============================================================================
+// POST /internal/vault/audit
+// ============================================================================
+
+// Filters (all optional): vaultId, appId, action, outcome, from, to (ISO timestamps;
+// the column holds UTC, so an offset in them is converted rather than dropped)
+// Pagination: limit (1-500, default 50), offset. Newest entries first.
+// beforeId returns only entries older than that id, so a caller walking the
+// whole log passes the last id it got instead of an offset (which would skip
+// or repeat rows as new entries arrive). total ignores beforeId.
+router.post('/internal/vault/audit', validateAuditQuery, async (req, res) => {
+    const { vaultId, appId, action, outcome, from, to } = req.body;
+    const limit = req.body.limit || DEFAULT_LIMIT;
+    const offset = req.body.offset || 0;
+    const beforeId = req.body.beforeId || null;
+
+    const conditions = [];
+    const params = [];
+    const addCondition = (sql, value) => {
+        params.push(value);
+        conditions.push(sql.replace('?', `$${params.length}`));
+    };
+
+    if (vaultId) addCondition('vault_id = ?', vaultId);
+    if (appId)   addCondition('app_id = ?', appId);
+    if (action)  addCondition('action = ?', action);
+    if (outcome) addCondition('outcome = ?', outcome);
+    if (from)    addCondition("timestamp >= ?::timestamptz AT TIME ZONE 'UTC'", from);
+    if (to)      addCondition("timestamp <= ?::timestamptz AT TIME ZONE 'UTC'", to);
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const countParams = [...params];
+    if (beforeId) addCondition('id < ?', beforeId);
+    const pageWhere = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    try {
+        const count = await db.readQuery(`SELECT COUNT(*)::int AS total FROM audit_log ${where}`, countParams);
+
+        const entries = await db.readQuery(
+            `SELECT id, vault_id, app_id, action, ${audit.TIMESTAMP_SQL} AS ts, client_id, request_id, outcome, row_hash
+             FROM audit_log ${pageWhere}
+             ORDER BY id DESC
+             LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+            [...params, limit, offset]
+        );
+
+        return res.json({
+            entries: entries.rows.map(row => ({
+                id: row.id,
+                vaultId: row.vault_id,
+                appId: row.app_id,
+                action: row.action,
+                timestamp: row.ts,
+                clientId: row.client_id,
+                requestId: row.request_id,
+                outcome: row.outcome,
+                rowHash: row.row_hash,
+            })),
+            total: count.rows[0].total,
+            limit,
+            offset,
+            beforeId,
+        });
+
+    } catch (err) {
+        log.error('Audit query failed', err);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// ============================================================================
+// POST /internal/vault/audit/verify
+// ============================================================================
+
+// Recomputes every row hash. Returns { valid, checked, headId, headHash } or
+// { valid: false, brokenAt: { id, reason } } for the first broken link.
+router.post('/internal/vault/audit/verify', async (req, res) => {
+    try {
+        const result = await audit.verifyChain();
+        if (!result.valid) {
+            log.warn('Audit chain broken', { id: result.brokenAt.id, reason: result.brokenAt.reason });
+        }
+        return res.json(result);
+    } catch (err) {
+        log.error('Audit verify failed', err);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,73 @@
+/**
+ * Vault Service — Key Management Routes
+ *
+ * Internal-only endpoints for master key rotation (see rotation.js).
+ * Like the credential routes, these are called by operators/PID only.
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const rotation = require('../rotation');
+const log = require('../logger').child({ component: 'routes' });
+const INSTANCE = process.env.INSTANCE_NAME || 'vault';
+
+// 503 while the primary is unreachable, 500 for anything else
+function unavailableOrError(res, err) {
+    if (err.code === 'PRIMARY_UNAVAILABLE' || db.isConnectionError(err)) {
+        return res.status(503).json({ error: 'Vault database unavailable' });
+    }
+    return res.status(500).json({ error: 'Internal server error' });
+}
+
+// ============================================================================
+// POST /internal/vault/rotate-keys
+// ============================================================================
+
+// Starts (or resumes) a rotation in the background and returns 202 as soon as
+// the key_rotations row exists. Poll /internal/vault/rotate-keys/status.
+router.post('/internal/vault/rotate-keys', async (req, res) => {
+    let responded = false;
+
+    try {
+        const result = await rotation.rotateMasterKey({
+            startedBy: INSTANCE,
+            onStart: (row) => {
+                responded = true;
+                res.status(202).json({ success: true, rotation: row });
+            },
+        });
+
+        if (responded) return;
+
+        if (result.busy) {
+            return res.status(409).json({ error: result.error });
+        }
+
+        log.error('Rotate keys failed', { error: result.error });
+        if (result.unavailable) {
+            return res.status(503).json({ error: 'Vault database unavailable' });
+        }
+        return res.status(500).json({ error: 'Internal server error' });
+    } catch (err) {
+        log.error('Rotate keys failed', err);
+        if (responded) return;
+        return unavailableOrError(res, err);
+    }
+});
+
+// ============================================================================
+// POST /internal/vault/rotate-keys/status
+// ============================================================================
+
+router.post('/internal/vault/rotate-keys/status', async (req, res) => {
+    try {
+        const status = await rotation.getRotationStatus();
+        return res.json(status);
+    } catch (err) {
+        log.error('Rotation status failed', err);
+        return unavailableOrError(res, err);
+    }
+});
+
+module.exports = router;
@@ -3,50 +3,94 @@
  * 
  * Internal-only API endpoints for credential CRUD.
  * These are called exclusively by PID — never by the browser extension.
+ * Request signatures are verified before these handlers run (middleware/auth.js).
  * 
  * All endpoints:
  *   - Accept JSON bodies
  *   - Use parameterized queries
- *   - Log to audit_log table
+ *   - Encrypt credential fields at rest (see vaultCrypto.js)
+ *   - Log to the hash-chained audit_log table (see audit.js)
  *   - Return consistent JSON responses
  */
 
 const express = require('express');
 const router = express.Router();
 const db = require('../db');
+const vaultCrypto = require('../vaultCrypto');
+const history = require('../history');
+const audit = require('../audit');
+const metrics = require('../metrics');
+const log = require('../logger').child({ component: 'routes' });
 const INSTANCE = process.env.INSTANCE_NAME || 'vault';
 const {
     validateRead,
+    validateReadBatch,
     validateWrite,
     validateUpdatePassword,
     validateDelete,
     validateDeleteVault,
+    validateListVersions,
+    validateRestoreVersion,
 } = require('../middleware/validate');
 
+/**
+ * 503 when the primary went away mid-request (as for writes refused in
+ * read-only mode), 500 for anything else.
+ */
+function failureResponse(res, err) {
+    if (err.code === 'PRIMARY_UNAVAILABLE' || db.isConnectionError(err)) {
+        return res.status(503).json({ error: 'Vault database unavailable' });
+    }
+    return res.status(500).json({ error: 'Internal server error' });
+}
+
 // ============================================================================
 // HEALTH CHECK
 // ============================================================================
 
 router.get('/health', async (req, res) => {
     try {
+        // Pings the primary (skipped while failover is in progress).
+        // Replica state is reported alongside (from the lag monitor, no extra query).
         const dbHealthy = await db.healthCheck();
         if (dbHealthy) {
             return res.json({
                 status: 'ok',
                 service: 'vault-service',
                 instance: INSTANCE,
+                mode: db.mode(),
+                primary: db.primaryStatus(),
+                replica: db.replicaStatus(),
+                timestamp: new Date().toISOString(),
+            });
+        }
+
+        // Primary lost but reads still served from the replica
+        if (db.mode() === 'read-only') {
+            return res.json({
+                status: 'degraded',
+                service: 'vault-service',
+                instance: INSTANCE,
+                mode: 'read-only',
+                primary: db.primaryStatus(),
+                replica: db.replicaStatus(),
+                pendingAuditEntries: audit.pendingCount(),
                 timestamp: new Date().toISOString(),
             });
         }
+
         return res.status(503).json({
             status: 'unhealthy',
             service: 'vault-service',
             instance: INSTANCE,
+            mode: db.mode(),
+            primary: db.primaryStatus(),
+            replica: db.replicaStatus(),
             error: 'Database connection failed',
             timestamp: new Date().toISOString(),
         });
     } catch (err) {
-        console.error('[HEALTH] Error:', err.message);
+        log.error('Health check failed', err);
         return res.status(503).json({
             status: 'unhealthy',
             service: 'vault-service',
@@ -64,26 +108,66 @@ router.get('/health', async (req, res) => {
 router.post('/internal/vault/read', validateRead, async (req, res) => {
     const { vaultId, appId } = req.body;
 
+    const sql = 'SELECT fields, key_id, nonce FROM vault_credentials WHERE vault_id = $1 AND app_id = $2';
+
     try {
-        const result = await db.query(
-            'SELECT fields FROM vault_credentials WHERE vault_id = $1 AND app_id = $2',
-            [vaultId, appId]
-        );
+        // Replica first; a miss there may just be replication lag, so confirm on the primary
+        let source = db.reader;
+        let result = await source.query(sql, [vaultId, appId]);
+        if (result.rows.length === 0 && db.replicaActive() && db.primaryAvailable()) {
+            source = db;
+            result = await db.query(sql, [vaultId, appId]);
+        }
 
         if (result.rows.length === 0) {
             return res.status(404).json({ error: 'Credentials not found' });
         }
 
+        const fields = await vaultCrypto.openFields(source, vaultId, appId, result.rows[0]);
+
         // Audit log
-        await db.query(
-            'INSERT INTO audit_log (vault_id, app_id, action) VALUES ($1, $2, $3)',
-            [vaultId, appId, 'read']
-        );
+        await audit.record(req, { vaultId, appId, action: 'read' });
+        metrics.countCredentialOperation('read', appId);
+
+        return res.json({ fields });
+
+    } catch (err) {
+        log.error('Read failed', err);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// ============================================================================
+// POST /internal/vault/read-batch
+// ============================================================================
+
+router.post('/internal/vault/read-batch', validateReadBatch, async (req, res) => {
+    const { vaultId, appIds } = req.body;
+
+    const sql = 'SELECT app_id, fields, key_id, nonce FROM vault_credentials WHERE vault_id = $1 AND app_id = ANY($2)';
+
+    try {
+        // Same replica-then-primary rule as a single read
+        let source = db.reader;
+        let result = await source.query(sql, [vaultId, appIds]);
+        if (result.rows.length < appIds.length && db.replicaActive() && db.primaryAvailable()) {
+            source = db;
+            result = await db.query(sql, [vaultId, appIds]);
+        }
+
+        const credentials = await vaultCrypto.openRows(source, vaultId, result.rows);
+        const missing = appIds.filter(appId => !Object.prototype.hasOwnProperty.call(credentials, appId));
+
+        // One audit entry per credential returned, same as individual reads
+        for (const appId of Object.keys(credentials)) {
+            await audit.record(req, { vaultId, appId, action: 'read' });
+            metrics.countCredentialOperation('read', appId);
+        }
 
-        return res.json({ fields: result.rows[0].fields });
+        return res.json({ credentials, missing });
 
     } catch (err) {
-        console.error(`[${INSTANCE}] Read error:`, err.message);
+        log.error('Read-batch failed', err);
         return res.status(500).json({ error: 'Internal server error' });
     }
 });
@@ -95,27 +179,45 @@ router.post('/internal/vault/read', validateRead, async (req, res) => {
 router.post('/internal/vault/write', validateWrite, async (req, res) => {
     const { vaultId, appId, fields } = req.body;
 
+    // Single transaction: archive existing version → upsert
+    let client;
     try {
-        await db.query(
-            `INSERT INTO vault_credentials (vault_id, app_id, fields, created_at, updated_at)
-             VALUES ($1, $2, $3, NOW(), NOW())
+        client = await db.getClient();
+        await client.query('BEGIN');
+
+        const existing = await client.query(
+            'SELECT fields, key_id, nonce FROM vault_credentials WHERE vault_id = $1 AND app_id = $2 FOR UPDATE',
+            [vaultId, appId]
+        );
+        if (existing.rows.length > 0) {
+            await history.archiveVersion(client, vaultId, appId, existing.rows[0], 'write');
+        }
+
+        const sealed = await vaultCrypto.sealFields(client, vaultId, appId, fields);
+
+        await client.query(
+            `INSERT INTO vault_credentials (vault_id, app_id, fields, key_id, nonce, created_at, updated_at)
+             VALUES ($1, $2, $3, $4, $5, NOW(), NOW())
              ON CONFLICT (vault_id, app_id)
-             DO UPDATE SET fields = $3, updated_at = NOW()`,
-            [vaultId, appId, JSON.stringify(fields)]
+             DO UPDATE SET fields = $3, key_id = $4, nonce = $5, updated_at = NOW()`,
+            [vaultId, appId, JSON.stringify(sealed.stored), sealed.keyId, sealed.nonce]
         );
 
         // Audit log
-        await db.query(
-            'INSERT INTO audit_log (vault_id, app_id, action) VALUES ($1, $2, $3)',
-            [vaultId, appId, 'write']
-        );
+        await audit.record(req, { vaultId, appId, action: 'write' }, client);
+
+        await client.query('COMMIT');
+        metrics.countCredentialOperation('write', appId);
 
-        console.log(`[${INSTANCE}] Write: vault_id=${vaultId}, app_id=${appId}`);
+        log.info('Write', { vaultId, appId });
         return res.json({ success: true });
 
     } catch (err) {
-        console.error(`[${INSTANCE}] Write error:`, err.message);
-        return res.status(500).json({ error: 'Internal server error' });
+        if (client) await client.query('ROLLBACK').catch(() => {});
+        log.error('Write failed', err);
+        return failureResponse(res, err);
+    } finally {
+        if (client) client.release();
     }
 });
 
@@ -127,13 +229,14 @@ router.post('/internal/vault/update-password', validateUpdatePassword, async (re
     const { vaultId, appId, newPassword } = req.body;
 
     // Single transaction: read existing → merge password → upsert
-    const client = await db.getClient();
+    let client;
     try {
+        client = await db.getClient();
         await client.query('BEGIN');
 
         // Read existing fields
         const existing = await client.query(
-            'SELECT fields FROM vault_credentials WHERE vault_id = $1 AND app_id = $2 FOR UPDATE',
+            'SELECT fields, key_id, nonce FROM vault_credentials WHERE vault_id = $1 AND app_id = $2 FOR UPDATE',
             [vaultId, appId]
         );
 
@@ -142,37 +245,39 @@ router.post('/internal/vault/update-password', validateUpdatePassword, async (re
             return res.status(404).json({ error: 'Credentials not found' });
         }
 
-        // Merge password into existing fields
+        await history.archiveVersion(client, vaultId, appId, existing.rows[0], 'update');
+
+        // Decrypt, merge password into existing fields, re-encrypt
+        const currentFields = await vaultCrypto.openFields(client, vaultId, appId, existing.rows[0]);
         const updatedFields = {
-            ...existing.rows[0].fields,
+            ...currentFields,
             password: newPassword,
         };
+        const sealed = await vaultCrypto.sealFields(client, vaultId, appId, updatedFields);
 
         // Upsert with merged fields
         await client.query(
             `UPDATE vault_credentials
-             SET fields = $1, updated_at = NOW()
-             WHERE vault_id = $2 AND app_id = $3`,
-            [JSON.stringify(updatedFields), vaultId, appId]
+             SET fields = $1, key_id = $2, nonce = $3, updated_at = NOW()
+             WHERE vault_id = $4 AND app_id = $5`,
+            [JSON.stringify(sealed.stored), sealed.keyId, sealed.nonce, vaultId, appId]
         );
 
         // Audit log
-        await client.query(
-            'INSERT INTO audit_log (vault_id, app_id, action) VALUES ($1, $2, $3)',
-            [vaultId, appId, 'update']
-        );
+        await audit.record(req, { vaultId, appId, action: 'update' }, client);
 
         await client.query('COMMIT');
+        metrics.countCredentialOperation('update', appId);
 
-        console.log(`[${INSTANCE}] Password updated: vault_id=${vaultId}, app_id=${appId}`);
+        log.info('Password updated', { vaultId, appId });
         return res.json({ success: true });
 
     } catch (err) {
-        await client.query('ROLLBACK');
-        console.error(`[${INSTANCE}] Update password error:`, err.message);
-        return res.status(500).json({ error: 'Internal server error' });
+        if (client) await client.query('ROLLBACK').catch(() => {});
+        log.error('Update password failed', err);
+        return failureResponse(res, err);
     } finally {
-        client.release();
+        if (client) client.release();
     }
 });
 
@@ -183,28 +288,44 @@ router.post('/internal/vault/update-password', validateUpdatePassword, async (re
 router.post('/internal/vault/delete', validateDelete, async (req, res) => {
     const { vaultId, appId } = req.body;
 
+    // Single transaction: the row lock taken by the delete makes a concurrent
+    // update-password or restore wait, then find nothing, so no version is
+    // archived after the history is gone
+    let client;
     try {
-        const result = await db.query(
+        client = await db.getClient();
+        await client.query('BEGIN');
+
+        const result = await client.query(
             'DELETE FROM vault_credentials WHERE vault_id = $1 AND app_id = $2',
             [vaultId, appId]
         );
 
         if (result.rowCount === 0) {
+            await client.query('ROLLBACK');
             return res.status(404).json({ error: 'Credentials not found' });
         }
 
-        // Audit log
-        await db.query(
-            'INSERT INTO audit_log (vault_id, app_id, action) VALUES ($1, $2, $3)',
-            [vaultId, appId, 'delete']
+        // Deleted credentials should not be recoverable through history
+        await client.query(
+            'DELETE FROM vault_credential_versions WHERE vault_id = $1 AND app_id = $2',
+            [vaultId, appId]
         );
 
-        console.log(`[${INSTANCE}] Deleted: vault_id=${vaultId}, app_id=${appId}`);
+        // Audit log
+        await audit.record(req, { vaultId, appId, action: 'delete' }, client);
+
+        await client.query('COMMIT');
+
+        log.info('Deleted', { vaultId, appId });
         return res.json({ success: true });
 
     } catch (err) {
-        console.error(`[${INSTANCE}] Delete error:`, err.message);
-        return res.status(500).json({ error: 'Internal server error' });
+        if (client) await client.query('ROLLBACK').catch(() => {});
+        log.error('Delete failed', err);
+        return failureResponse(res, err);
+    } finally {
+        if (client) client.release();
     }
 });
 
@@ -215,25 +336,131 @@ router.post('/internal/vault/delete', validateDelete, async (req, res) => {
 router.post('/internal/vault/delete-vault', validateDeleteVault, async (req, res) => {
     const { vaultId } = req.body;
 
+    // Single transaction. Locks are taken in the order writers take them
+    // (credential rows, then the data key, which sealFields holds FOR SHARE):
+    // a write in progress finishes first and its row is deleted with the rest;
+    // a later one waits and then seals under a fresh key.
+    let client;
     try {
-        const result = await db.query(
+        client = await db.getClient();
+        await client.query('BEGIN');
+
+        await client.query(
+            'SELECT app_id FROM vault_credentials WHERE vault_id = $1 ORDER BY app_id FOR UPDATE',
+            [vaultId]
+        );
+        await client.query('SELECT key_id FROM vault_keys WHERE vault_id = $1 FOR UPDATE', [vaultId]);
+
+        const result = await client.query(
             'DELETE FROM vault_credentials WHERE vault_id = $1',
             [vaultId]
         );
 
+        // Drop history and the data key too — nothing is left for it to decrypt
+        await client.query('DELETE FROM vault_credential_versions WHERE vault_id = $1', [vaultId]);
+        await client.query('DELETE FROM vault_keys WHERE vault_id = $1', [vaultId]);
+
         // Audit log (app_id = '*' indicates all apps for this vault)
-        await db.query(
-            'INSERT INTO audit_log (vault_id, app_id, action) VALUES ($1, $2, $3)',
-            [vaultId, '*', 'delete-vault']
-        );
+        await audit.record(req, { vaultId, appId: '*', action: 'delete-vault' }, client);
+
+        await client.query('COMMIT');
 
-        console.log(`[${INSTANCE}] Deleted all for vault_id=${vaultId} (${result.rowCount} rows)`);
+        log.info('Deleted vault', { vaultId, rows: result.rowCount });
         return res.json({ success: true, deletedCount: result.rowCount });
 
     } catch (err) {
-        console.error(`[${INSTANCE}] Delete-vault error:`, err.message);
+        if (client) await client.query('ROLLBACK').catch(() => {});
+        log.error('Delete-vault failed', err);
+        return failureResponse(res, err);
+    } finally {
+        if (client) client.release();
+    }
+});
+
+// ============================================================================
+// POST /internal/vault/versions
+// ============================================================================
+
+// Lists previous versions without secrets: only the username is decrypted so
+// the user can tell versions apart.
+router.post('/internal/vault/versions', validateListVersions, async (req, res) => {
+    const { vaultId, appId } = req.body;
+
+    try {
+        const rows = await history.listVersions(db, vaultId, appId);
+
+        const versions = [];
+        for (const row of rows) {
+            const fields = await vaultCrypto.openFields(db, vaultId, appId, row);
+            versions.push({
+                version: row.version,
+                username: fields.username || null,
+                replacedBy: row.replaced_by,
+                createdAt: row.created_at,
+            });
+        }
+
+        return res.json({ versions });
+
+    } catch (err) {
+        log.error('List versions failed', err);
         return res.status(500).json({ error: 'Internal server error' });
     }
 });
 
+// ============================================================================
+// POST /internal/vault/restore
+// ============================================================================
+
+router.post('/internal/vault/restore', validateRestoreVersion, async (req, res) => {
+    const { vaultId, appId, version } = req.body;
+
+    // Single transaction: archive current → copy version back
+    let client;
+    try {
+        client = await db.getClient();
+        await client.query('BEGIN');
+
+        const existing = await client.query(
+            'SELECT fields, key_id, nonce FROM vault_credentials WHERE vault_id = $1 AND app_id = $2 FOR UPDATE',
+            [vaultId, appId]
+        );
+        if (existing.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Credentials not found' });
+        }
+
+        const target = await history.getVersion(client, vaultId, appId, version);
+        if (!target) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Version not found' });
+        }
+
+        await history.archiveVersion(client, vaultId, appId, existing.rows[0], 'restore');
+
+        await client.query(
+            `UPDATE vault_credentials
+             SET fields = $1, key_id = $2, nonce = $3, updated_at = NOW()
+             WHERE vault_id = $4 AND app_id = $5`,
+            [JSON.stringify(target.fields), target.key_id, target.nonce, vaultId, appId]
+        );
+
+        // Audit log
+        await audit.record(req, { vaultId, appId, action: 'restore' }, client);
+
+        await client.query('COMMIT');
+        metrics.countCredentialOperation('restore', appId);
+
+        log.info('Restored version', { vaultId, appId, version });
+        return res.json({ success: true });
+
+    } catch (err) {
+        if (client) await client.query('ROLLBACK').catch(() => {});
+        log.error('Restore failed', err);
+        return failureResponse(res, err);
+    } finally {
+        if (client) client.release();
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,128 @@
+/**
+ * Vault Service — Credential Encryption Helpers
+ *
+ * Glue between the keyring and Postgres:
+ *   - Looks up (or lazily creates) the data key for a vault_id in vault_keys
+ *   - Seals credential fields before they are written to vault_credentials
+ *   - Opens encrypted rows on read
+ *
+ * Every function takes a `conn` argument, which is either the db module or a
+ * PoolClient inside a transaction — both expose query(text, params).
+ *
+ * Encrypted rows store { ciphertext } in the fields column plus key_id and
+ * nonce. Rows with key_id = NULL are legacy plaintext (see migrate.js).
+ */
+
+const crypto = require('crypto');
+const keyring = require('./keyring');
+
+/**
+ * Load a vault's data key, creating it on first use.
+ * Safe against concurrent creation by multiple vault instances.
+ * The key row is held FOR SHARE until the caller's transaction ends, so
+ * delete-vault (which takes it FOR UPDATE) cannot drop a key that a
+ * credential is being sealed with.
+ * @param {object} conn - PoolClient inside a transaction
+ * @param {string} vaultId
+ * @returns {Promise<{ keyId: string, key: Buffer }>}
+ */
+async function getOrCreateDataKey(conn, vaultId) {
+    const existing = await getDataKey(conn, vaultId, { forShare: true });
+    if (existing) return existing;
+
+    const generated = keyring.generateDataKey(vaultId);
+    const keyId = 'dk_' + crypto.randomBytes(8).toString('hex');
+
+    await conn.query(
+        `INSERT INTO vault_keys (key_id, vault_id, wrapped_key, wrap_nonce, master_key_version)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (vault_id) DO NOTHING`,
+        [keyId, vaultId, generated.wrappedKey, generated.wrapNonce, generated.masterKeyVersion]
+    );
+
+    // Another instance may have won the race — always return what is stored
+    return getDataKey(conn, vaultId, { forShare: true });
+}
+
+/**
+ * Load a vault's data key if one exists.
+ * @param {object} conn
+ * @param {string} vaultId
+ * @param {{ forShare?: boolean }} [options] - Lock the key row (primary only, inside a transaction)
+ * @returns {Promise<{ keyId: string, key: Buffer } | null>}
+ */
+async function getDataKey(conn, vaultId, { forShare = false } = {}) {
+    const result = await conn.query(
+        `SELECT key_id, wrapped_key, wrap_nonce, master_key_version FROM vault_keys WHERE vault_id = $1${forShare ? ' FOR SHARE' : ''}`,
+        [vaultId]
+    );
+    if (result.rows.length === 0) return null;
+
+    const row = result.rows[0];
+    return { keyId: row.key_id, key: keyring.unwrapDataKey(vaultId, row) };
+}
+
+/**
+ * Encrypt credential fields for storage.
+ * @param {object} conn
+ * @param {string} vaultId
+ * @param {string} appId
+ * @param {object} fields - Plaintext { username, password, ... }
+ * @returns {Promise<{ keyId: string, nonce: string, stored: { ciphertext: string } }>}
+ */
+async function sealFields(conn, vaultId, appId, fields) {
+    const { keyId, key } = await getOrCreateDataKey(conn, vaultId);
+    const { nonce, ciphertext } = keyring.encryptFields(key, vaultId, appId, fields);
+    return { keyId, nonce, stored: { ciphertext } };
+}
+
+/**
+ * Decrypt a vault_credentials row back to plaintext fields.
+ * @param {object} conn
+ * @param {string} vaultId
+ * @param {string} appId
+ * @param {{ fields: object, key_id: string|null, nonce: string|null }} row
+ * @returns {Promise<object>}
+ */
+async function openFields(conn, vaultId, appId, row) {
+    // Legacy plaintext row not yet migrated
+    if (!row.key_id) {
+        return row.fields;
+    }
+
+    const dataKey = await getDataKey(conn, vaultId);
+    if (!dataKey || dataKey.keyId !== row.key_id) {
+        throw new Error(`Data key ${row.key_id} not found for ${vaultId}`);
+    }
+    return keyring.decryptFields(dataKey.key, vaultId, appId, row.nonce, row.fields.ciphertext);
+}
+
+/**
+ * Decrypt several rows of the same vault, unwrapping the data key only once.
+ * @param {object} conn
+ * @param {string} vaultId
+ * @param {Array<{ app_id: string, fields: object, key_id: string|null, nonce: string|null }>} rows
+ * @returns {Promise<Object<string, object>>} appId → plaintext fields
+ */
+async function openRows(conn, vaultId, rows) {
+    const dataKey = rows.some(row => row.key_id) ? await getDataKey(conn, vaultId) : null;
+    const opened = {};
+
+    for (const row of rows) {
+        if (!row.key_id) {
+            opened[row.app_id] = row.fields;
+            continue;
+        }
+        if (!dataKey || dataKey.keyId !== row.key_id) {
+            throw new Error(`Data key ${row.key_id} not found for ${vaultId}`);
+        }
+        opened[row.app_id] = keyring.decryptFields(dataKey.key, vaultId, row.app_id, row.nonce, row.fields.ciphertext);
+    }
+    return opened;
+}
+
+module.exports = {
+    sealFields,
+    openFields,
+    openRows,
+};
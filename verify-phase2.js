@@ -5,6 +5,7 @@
  */
 
 const http = require('http');
+const { signRequest } = require('./primary-identity/vaultClient');
 
 const PID_URL = 'http://localhost:4000';
 
@@ -12,10 +13,14 @@ const PID_URL = 'http://localhost:4000';
 function request(method, path, body = null, headers = {}) {
     return new Promise((resolve, reject) => {
         const url = new URL(path, PID_URL);
+        const payload = body ? JSON.stringify(body) : '';
+        // Vault /internal endpoints only accept requests signed as a PID instance
+        const signature = url.pathname.startsWith('/internal/') ? signRequest(method, url.pathname, payload) : {};
         const options = {
             method,
             headers: {
                 'Content-Type': 'application/json',
+                ...signature,
                 ...headers
             }
         };
@@ -34,7 +39,7 @@ function request(method, path, body = null, headers = {}) {
         });
         
         req.on('error', reject);
-        if (body) req.write(JSON.stringify(body));
+        if (payload) req.write(payload);
         req.end();
     });
 }